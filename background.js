@@ -1,56 +1,25 @@
 /**
  * Speed Tune - Background Service Worker (Enterprise)
  *
- * Handles: lifecycle, commands, auto-apply on load, storage.
- * Production: settings migration, safe executor (retry/backoff), error handling.
+ * Handles: lifecycle, commands, right-click menu on media, auto-apply on load, storage,
+ * per-tab speed state, toolbar badge.
+ * Production: versioned settings migration with a backup, message-based controller protocol, error handling.
  *
- * Note: safe-executor logic is inlined here because MV3 service workers
- * do not reliably support importScripts() for extension scripts.
+ * The controller protocol (message types, sendToController, safelySetSpeed) lives in
+ * speedTuneProtocol.js, the key-binding schema in speedTuneBindings.js and the settings
+ * schema in speedTuneSettings.js, all shared with the popup, options page and content
+ * script; the watch-time statistics schema is in speedTuneStats.js. importScripts() is
+ * called synchronously at top level, the only place MV3 service workers allow it.
  */
 
-// ============================================================================
-// SAFE EXECUTOR (inlined from safeExecuteSetSpeed.js for MV3 service worker)
-// ============================================================================
-
-const SAFE_EXEC_MAX_RETRIES = 6;
-const SAFE_EXEC_BACKOFF_MS = 250;
-
-async function safelySetSpeed(tabId, speed, showIndicator, position) {
-  for (let attempt = 0; attempt < SAFE_EXEC_MAX_RETRIES; attempt++) {
-    try {
-      const results = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (s, show, pos) => {
-          const c = window.speedTuneController;
-          if (!c) return "not-ready";
-          if (!c.videos || c.videos.size === 0) return "not-ready";
-          c.setSpeed(s, show, pos);
-          return "ok";
-        },
-        args: [speed, showIndicator, position],
-      });
-      const result = results && results[0] && results[0].result;
-      if (result === "ok") return true;
-    } catch (err) {
-      // Tab not ready / restricted / navigating / discarded
-    }
-    if (attempt < SAFE_EXEC_MAX_RETRIES - 1) {
-      await new Promise((r) => setTimeout(r, SAFE_EXEC_BACKOFF_MS * (attempt + 1)));
-    }
-  }
-  return false;
-}
+importScripts("speedTuneProtocol.js", "speedTuneBindings.js", "speedTuneSettings.js", "speedTuneStats.js");
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
-const SPEED_MIN = 0.1;
-const SPEED_MAX = 16;
-const SPEED_INCREMENT_SMALL = 0.1;
-const SPEED_INCREMENT_LARGE = 1.0;
+const { SPEED_MIN, SPEED_MAX } = SpeedTuneSettings;
 const PAGE_LOAD_DELAY = 2000;
-const SETTINGS_VERSION = "1.0.0";
 const DEBUG_MODE = false;
 
 // ============================================================================
@@ -65,55 +34,458 @@ function debugLog(...args) {
   if (DEBUG_MODE) console.log("[SpeedTune Background]", ...args);
 }
 
+function clampSpeed(speed) {
+  return Math.max(SPEED_MIN, Math.min(SPEED_MAX, roundSpeed(speed)));
+}
+
 /**
- * Default settings schema (single source of truth).
+ * Hostname used as the site-profile key ("" for URLs without one, e.g. file:// or about:blank).
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * Speed a tab showing this URL should run at, and where that value came from:
+ * the tab's own speed (same site only), then the site profile, then the saved
+ * default when Save Speed is ON, otherwise 1x.
+ * @returns {{ speed: number, source: "tab" | "site" | "default" | "none" }}
+ */
+function resolveSpeedForUrl(settings, url, tabState = null) {
+  const host = getHostname(url);
+  if (tabState && tabState.host === host) return { speed: tabState.speed, source: "tab" };
+  const profile = settings.siteProfiles[host];
+  if (profile) return { speed: profile.speed, source: "site" };
+  return settings.saveSpeed ? { speed: settings.speed, source: "default" } : { speed: 1.0, source: "none" };
+}
+
+/**
+ * Default settings schema (speedTuneSettings.js is the single source of truth).
  */
 function getDefaultSettings() {
-  return {
-    speed: 1.0,
-    saveSpeed: false,
-    showIndicator: true,
-    indicatorPosition: "top-left",
-    version: SETTINGS_VERSION,
-  };
+  return SpeedTuneSettings.getDefaultSettings();
 }
 
 /**
- * Migrate/normalize stored settings to current schema; write back if changed.
+ * Migrate/normalize stored settings to current schema.
  */
 function migrateSettings(raw, callback) {
-  const defaults = getDefaultSettings();
-  if (!raw || typeof raw !== "object") {
-    if (callback) callback(defaults);
-    return defaults;
-  }
-  const migrated = {
-    speed: typeof raw.speed === "number" ? Math.max(SPEED_MIN, Math.min(SPEED_MAX, raw.speed)) : defaults.speed,
-    saveSpeed: typeof raw.saveSpeed === "boolean" ? raw.saveSpeed : defaults.saveSpeed,
-    showIndicator: raw.showIndicator !== false,
-    indicatorPosition: ["top-left", "top-right", "bottom-left", "bottom-right", "center"].includes(raw.indicatorPosition)
-      ? raw.indicatorPosition
-      : defaults.indicatorPosition,
-    version: SETTINGS_VERSION,
-  };
+  const migrated = SpeedTuneSettings.migrateSettings(raw);
   if (callback) callback(migrated);
   return migrated;
 }
 
 // ============================================================================
-// EXTENSION LIFECYCLE
+// PER-TAB SPEED STATE
 // ============================================================================
 
 /**
- * Initialize extension on install/reload; ensure settings schema exists and is migrated.
+ * Speed changes made in a tab (keyboard, popup, in-page shortcuts) live here, not
+ * in speedTuneSettings, so they never leak into other tabs. chrome.storage.session
+ * survives service-worker restarts, is cleared with the browser session and never syncs.
+ */
+const TAB_STATE_PREFIX = "tabSpeed:";
+
+function tabStateKey(tabId) {
+  return `${TAB_STATE_PREFIX}${tabId}`;
+}
+
+/**
+ * Per-tab state ({ speed, host }) or null.
+ */
+async function getTabState(tabId) {
+  try {
+    const key = tabStateKey(tabId);
+    const result = await chrome.storage.session.get(key);
+    const state = result[key];
+    return state && typeof state.speed === "number" ? state : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Record the tab's speed for the site it is on and tell open popups.
+ */
+async function setTabState(tabId, speed, url) {
+  const state = { speed: clampSpeed(speed), host: getHostname(url) };
+  try {
+    await chrome.storage.session.set({ [tabStateKey(tabId)]: state });
+  } catch (e) {
+    console.error("[SpeedTune] Error saving tab speed:", e);
+  }
+  chrome.runtime.sendMessage({ type: SpeedTuneProtocol.MESSAGES.TAB_SPEED_CHANGED, tabId, speed: state.speed }).catch(() => {
+    // No popup open
+  });
+  return state;
+}
+
+async function clearTabState(tabId) {
+  try {
+    await chrome.storage.session.remove(tabStateKey(tabId));
+  } catch (e) {}
+}
+
+/**
+ * Stored settings, migrated; rejects when they can't be read. Use this before writing
+ * settings back, so a failed read never replaces the user's settings with defaults.
+ */
+function readSyncSettings() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.get(["speedTuneSettings"], (result) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(migrateSettings(result.speedTuneSettings));
+    });
+  });
+}
+
+/**
+ * Stored settings for reading only: defaults when they can't be read. Never write the result back.
+ */
+function getSyncSettings() {
+  return readSyncSettings().catch(() => getDefaultSettings());
+}
+
+/**
+ * Resolve a tab's effective speed plus the saved default, for content scripts and the popup.
+ */
+async function describeTabSpeed(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const settings = await getSyncSettings();
+  const tabState = await getTabState(tabId);
+  const resolved = resolveSpeedForUrl(settings, tab.url, tabState);
+  return { ...resolved, defaultSpeed: settings.speed, saveSpeed: settings.saveSpeed };
+}
+
+// ============================================================================
+// WATCH-TIME STATISTICS
+// ============================================================================
+
+/**
+ * Content scripts in several tabs report at once: writes are chained so none is lost
+ * to a read-modify-write race. Statistics stay in chrome.storage.local (never synced).
+ */
+let statsWriteQueue = Promise.resolve();
+
+function recordWatchTime(url, samples) {
+  const host = getHostname(url);
+  const day = SpeedTuneStats.dayKey();
+  statsWriteQueue = statsWriteQueue
+    .then(async () => {
+      const key = SpeedTuneStats.STATS_KEY;
+      const result = await chrome.storage.local.get(key);
+      const stats = SpeedTuneStats.normalizeStats(result[key]);
+      for (const sample of samples) {
+        SpeedTuneStats.addWatchTime(stats, {
+          day,
+          host,
+          speed: Number(sample && sample.speed),
+          media: Number(sample && sample.media),
+          wall: Number(sample && sample.wall),
+        });
+      }
+      await chrome.storage.local.set({ [key]: stats });
+    })
+    .catch((e) => console.error("[SpeedTune] Error saving statistics:", e));
+  return statsWriteQueue;
+}
+
+/**
+ * Delete the statistics once the writes already queued are done. Rejects if that fails.
+ */
+function clearStats() {
+  const cleared = statsWriteQueue.then(() => chrome.storage.local.remove(SpeedTuneStats.STATS_KEY));
+  statsWriteQueue = cleared.catch((e) => console.error("[SpeedTune] Error clearing statistics:", e));
+  return cleared;
+}
+
+/**
+ * Only the extension's own pages (the statistics page) may clear statistics; content
+ * scripts report the page's URL.
+ */
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id && typeof sender.url === "string" && sender.url.startsWith(chrome.runtime.getURL(""));
+}
+
+/**
+ * Forward a controller's frame-coordination message (content.js FRAME COORDINATION) to
+ * another frame of the same tab. Frames use this instead of window.postMessage, which any
+ * script or embed on the page could forge or read: Chrome fills in sender.tab and
+ * sender.frameId, so the receiving controller knows which frame really wrote. Subframes may
+ * only write to the top frame, and only the top frame may address a subframe.
+ */
+function relayFrameMessage(sender, { to, message }) {
+  if (!sender.tab || typeof sender.frameId !== "number" || !message || typeof message.type !== "string") return;
+  const fromTop = sender.frameId === 0;
+  if (fromTop ? typeof to !== "number" || to === 0 : to !== 0) return;
+  chrome.tabs
+    .sendMessage(sender.tab.id, { type: SpeedTuneProtocol.MESSAGES.FRAME, from: sender.frameId, message }, { frameId: to })
+    .catch(() => {
+      // Frame gone or navigating; the top frame drops it once its reports stop
+    });
+}
+
+/**
+ * Tab speed and statistics messages. tabId comes from the popup, or from the sending content script's tab.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || typeof message.type !== "string") return false;
+  if (message.type === SpeedTuneProtocol.MESSAGES.FRAME) {
+    relayFrameMessage(sender, message);
+    return false;
+  }
+  if (message.type === SpeedTuneProtocol.MESSAGES.CLEAR_STATS) {
+    if (!isExtensionPage(sender)) return false;
+    clearStats()
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => sendResponse({ ok: false, error: e && e.message }));
+    return true;
+  }
+  const tabId = typeof message.tabId === "number" ? message.tabId : sender.tab && sender.tab.id;
+  if (typeof tabId !== "number") return false;
+
+  switch (message.type) {
+    case SpeedTuneProtocol.MESSAGES.GET_TAB_SPEED:
+      describeTabSpeed(tabId)
+        .then(sendResponse)
+        .catch(() => sendResponse(null));
+      return true;
+    case SpeedTuneProtocol.MESSAGES.SET_TAB_SPEED:
+      if (typeof message.speed !== "number") return false;
+      chrome.tabs
+        .get(tabId)
+        .then((tab) => setTabState(tabId, message.speed, tab.url))
+        .then(sendResponse)
+        .catch(() => sendResponse(null));
+      return true;
+    case SpeedTuneProtocol.MESSAGES.BADGE:
+      if (!sender.tab || sender.frameId !== 0 || typeof message.speed !== "number") return false;
+      if (message.disabled) showDisabledBadge(tabId);
+      else showSpeedBadge(tabId, message.speed, message.hasMedia !== false);
+      return false;
+    case SpeedTuneProtocol.MESSAGES.RECORD_WATCH_TIME:
+      if (!Array.isArray(message.samples) || !sender.tab) return false;
+      recordWatchTime(sender.tab.url, message.samples);
+      return false;
+    default:
+      return false;
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTabState(tabId);
+});
+
+// ============================================================================
+// TOOLBAR BADGE
+// ============================================================================
+
+/**
+ * Per-tab badge on the toolbar icon. The tab's controller reports its effective speed
+ * (SpeedTuneProtocol BADGE) whenever it changes; Chrome clears tab badges on navigation, so
+ * every new page reports again. Restricted pages never run a controller and are marked here.
+ */
+const BADGE_COLORS = {
+  speed: "#3b82f6",
+  idle: "#6b7280",
+  restricted: "#9ca3af",
+  disabled: "#b45309",
+};
+
+function setBadge(tabId, text, color, title) {
+  Promise.all([
+    chrome.action.setBadgeText({ tabId, text }),
+    chrome.action.setBadgeBackgroundColor({ tabId, color }),
+    chrome.action.setTitle({ tabId, title }),
+  ]).catch(() => {
+    // Tab closed
+  });
+}
+
+/**
+ * "1.75" while media is found; a dash when the page has no controllable media.
+ */
+function showSpeedBadge(tabId, speed, hasMedia) {
+  if (!hasMedia) {
+    setBadge(tabId, "–", BADGE_COLORS.idle, "Speed Tune — no video or audio found on this page");
+    return;
+  }
+  const text = SpeedTuneSettings.formatIndicatorSpeed(speed, 2).replace(/x$/, "");
+  setBadge(tabId, text, BADGE_COLORS.speed, `Speed Tune — ${text}x`);
+}
+
+function showRestrictedBadge(tabId) {
+  setBadge(tabId, "off", BADGE_COLORS.restricted, "Speed Tune can't run on this page");
+}
+
+function showDisabledBadge(tabId) {
+  setBadge(tabId, "off", BADGE_COLORS.disabled, "Speed Tune is turned off on this site");
+}
+
+// ============================================================================
+// CONTEXT MENU
+// ============================================================================
+
+const MENU_ROOT = "speed-tune";
+const MENU_PRESET_PREFIX = "speed-tune-preset:";
+const MENU_RESET = "speed-tune-reset";
+const MENU_REMEMBER = "speed-tune-remember";
+
+/**
+ * Install, startup and preset edits can each ask for a rebuild: rebuilds are chained so one
+ * never adds items while another is removing them (duplicate ids).
+ */
+let contextMenuQueue = Promise.resolve();
+
+function createMenuItem(properties) {
+  return new Promise((resolve) => {
+    chrome.contextMenus.create(properties, () => {
+      if (chrome.runtime.lastError) {
+        console.error(`[SpeedTune] Error adding context menu item "${properties.id}":`, chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * "Speed Tune" submenu on videos and audio: the preset speeds, normal speed and
+ * "remember for this site". Rebuilt whenever the presets change.
  */
-chrome.runtime.onInstalled.addListener(() => {
-  debugLog("Extension installed/reloaded");
+async function buildContextMenu(settings) {
+  await new Promise((resolve) => {
+    chrome.contextMenus.removeAll(() => {
+      if (chrome.runtime.lastError) console.error("[SpeedTune] Error clearing the context menu:", chrome.runtime.lastError);
+      resolve();
+    });
+  });
+  const contexts = ["video", "audio"];
+  await createMenuItem({ id: MENU_ROOT, title: "Speed Tune", contexts });
+  for (const speed of settings.speedPresets) {
+    await createMenuItem({
+      id: `${MENU_PRESET_PREFIX}${speed}`,
+      parentId: MENU_ROOT,
+      title: SpeedTuneSettings.formatIndicatorSpeed(speed, 2),
+      contexts,
+    });
+  }
+  await createMenuItem({ id: "speed-tune-separator", parentId: MENU_ROOT, type: "separator", contexts });
+  await createMenuItem({ id: MENU_RESET, parentId: MENU_ROOT, title: "Normal speed (1x)", contexts });
+  await createMenuItem({ id: MENU_REMEMBER, parentId: MENU_ROOT, title: "Remember this speed for the site", contexts });
+}
+
+/**
+ * Queue a rebuild from the settings as they are when its turn comes.
+ */
+function rebuildContextMenu() {
+  contextMenuQueue = contextMenuQueue
+    .then(() => getSyncSettings())
+    .then(buildContextMenu)
+    .catch((e) => console.error("[SpeedTune] Error building the context menu:", e));
+  return contextMenuQueue;
+}
+
+/**
+ * Speed for the right-clicked element: the content script in the clicked frame applies it to the
+ * media under the pointer (as the tab's speed when that media is controlled, otherwise to that
+ * element alone). Pages without the content script
+ * (it can't reach every frame) fall back to the tab's controller.
+ */
+async function applyContextMenuSpeed(tab, frameId, speed) {
+  const settings = await getSyncSettings();
+  if (!SpeedTuneSettings.isSiteEnabled(settings, getHostname(tab.url))) return;
+  try {
+    const response = await chrome.tabs.sendMessage(
+      tab.id,
+      { type: SpeedTuneProtocol.MESSAGES.CONTEXT_MENU, speed },
+      { frameId: frameId || 0 }
+    );
+    if (response && response.ok) return;
+  } catch (e) {
+    debugLog("Context menu frame unreachable:", e && e.message);
+  }
+  await setTabState(tab.id, speed, tab.url);
+  applySpeedInTab(tab.id, speed, settings.showIndicator, settings.indicatorPosition);
+}
+
+/**
+ * Rate of the right-clicked media when it doesn't follow the tab's speed (a menu speed picked
+ * on it applies to it alone); null when the tab's speed is what it plays at.
+ */
+async function getContextMenuRate(tabId, frameId) {
+  try {
+    const response = await chrome.tabs.sendMessage(
+      tabId,
+      { type: SpeedTuneProtocol.MESSAGES.CONTEXT_MENU },
+      { frameId: frameId || 0 }
+    );
+    return response && response.ok && response.rate > 0 ? response.rate : null;
+  } catch (e) {
+    debugLog("Context menu frame unreachable:", e && e.message);
+    return null;
+  }
+}
+
+/**
+ * Save the right-clicked media's speed as its site's speed (the popup's "Save for this site"):
+ * the tab's speed, or the rate of an element the controller leaves alone.
+ */
+async function rememberSiteSpeed(tab, frameId) {
+  const host = getHostname(tab.url);
+  if (!host) return;
+  const rate = await getContextMenuRate(tab.id, frameId);
+  const speed = rate !== null ? clampSpeed(rate) : (await describeTabSpeed(tab.id)).speed;
+  // Rejects (nothing is written) when the settings can't be read
+  const settings = await readSyncSettings();
+  const siteProfiles = { ...settings.siteProfiles, [host]: { ...settings.siteProfiles[host], speed } };
+  chrome.storage.sync.set({ speedTuneSettings: { ...settings, siteProfiles } }, () => {
+    if (chrome.runtime.lastError) console.error("[SpeedTune] Error saving site speed:", chrome.runtime.lastError);
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || typeof tab.id !== "number") return;
+  const id = String(info.menuItemId);
+  if (id.startsWith(MENU_PRESET_PREFIX)) {
+    const speed = Number(id.slice(MENU_PRESET_PREFIX.length));
+    if (speed > 0) applyContextMenuSpeed(tab, info.frameId, clampSpeed(speed));
+  } else if (id === MENU_RESET) {
+    applyContextMenuSpeed(tab, info.frameId, 1.0);
+  } else if (id === MENU_REMEMBER) {
+    rememberSiteSpeed(tab, info.frameId).catch((e) => console.error("[SpeedTune] Error saving site speed:", e));
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== "sync" || !changes.speedTuneSettings) return;
+  const presets = migrateSettings(changes.speedTuneSettings.newValue).speedPresets;
+  const previous = migrateSettings(changes.speedTuneSettings.oldValue).speedPresets;
+  if (JSON.stringify(presets) !== JSON.stringify(previous)) rebuildContextMenu();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  rebuildContextMenu();
+});
+
+// ============================================================================
+// EXTENSION LIFECYCLE
+// ============================================================================
 
+/**
+ * Bring the stored settings to this version's schema. A blob from an older version is
+ * copied to chrome.storage.local first (the options page offers it back); if that copy
+ * can't be made the blob is left alone, since every reader migrates it anyway. A blob
+ * from a newer version (a downgrade, or synced from a browser that updated first) is
+ * never rewritten: this version reads what it knows and keeps the rest.
+ */
+function upgradeStoredSettings(reason) {
   chrome.storage.sync.get(["speedTuneSettings"], (result) => {
     if (chrome.runtime.lastError) {
-      const def = getDefaultSettings();
-      chrome.storage.sync.set({ speedTuneSettings: def });
+      console.error("[SpeedTune] Couldn't read settings to upgrade them:", chrome.runtime.lastError);
       return;
     }
 
@@ -125,12 +497,47 @@ chrome.runtime.onInstalled.addListener(() => {
       return;
     }
 
-    migrateSettings(raw, (migrated) => {
+    const from = SpeedTuneSettings.settingsVersionOf(raw);
+    const order = SpeedTuneSettings.compareVersions(from, SpeedTuneSettings.SETTINGS_VERSION);
+    if (order > 0) {
+      debugLog(`Settings are from newer version ${from}; left as they are`);
+      return;
+    }
+
+    const migrated = migrateSettings(raw);
+    if (JSON.stringify(migrated) === JSON.stringify(raw)) return;
+    const write = () => {
       chrome.storage.sync.set({ speedTuneSettings: migrated }, () => {
-        if (!chrome.runtime.lastError) debugLog("Settings migrated if needed");
+        if (chrome.runtime.lastError) {
+          console.error("[SpeedTune] Error saving upgraded settings:", chrome.runtime.lastError);
+          return;
+        }
+        debugLog(`Settings migrated from ${from} to ${SpeedTuneSettings.SETTINGS_VERSION}`);
       });
+    };
+    if (order === 0) {
+      write();
+      return;
+    }
+
+    const backup = { version: from, upgradedTo: SpeedTuneSettings.SETTINGS_VERSION, reason, savedAt: new Date().toISOString(), settings: raw };
+    chrome.storage.local.set({ [SpeedTuneSettings.BACKUP_KEY]: backup }, () => {
+      if (chrome.runtime.lastError) {
+        console.error("[SpeedTune] Couldn't back up settings; leaving them unchanged:", chrome.runtime.lastError);
+        return;
+      }
+      write();
     });
   });
+}
+
+/**
+ * Initialize extension on install/reload; ensure settings schema exists and is migrated.
+ */
+chrome.runtime.onInstalled.addListener((details) => {
+  debugLog(`Extension ${details.reason}`);
+  rebuildContextMenu();
+  if (details.reason === "install" || details.reason === "update") upgradeStoredSettings(details.reason);
 });
 
 // ============================================================================
@@ -152,62 +559,67 @@ chrome.commands.onCommand.addListener((command) => {
     if (tabs && tabs[0]) {
       const url = tabs[0].url;
 
-      // Block internal Chrome/Edge pages (content scripts don't run there)
-      if (url && (url.startsWith("chrome://") || url.startsWith("edge://"))) {
+      // Block internal browser pages (content scripts don't run there); the badge says so
+      if (SpeedTuneProtocol.isRestrictedUrl(url)) {
         debugLog("Keyboard shortcut ignored on restricted page:", url);
+        showRestrictedBadge(tabs[0].id);
         return;
       }
 
-      executeSpeedCommand(tabs[0].id, command);
+      const tabId = tabs[0].id;
+      getSyncSettings().then((settings) => {
+        // Dormant controller: the site is turned off, so the command is ignored there too
+        if (!SpeedTuneSettings.isSiteEnabled(settings, getHostname(url))) {
+          debugLog("Keyboard shortcut ignored on disabled site:", url);
+          showDisabledBadge(tabId);
+          return;
+        }
+        executeSpeedCommand(tabId, command, url);
+      });
     }
   });
 });
 
 /**
- * Apply speed in tab via shared safe executor (never assumes controller exists).
+ * Apply speed in tab via the controller protocol (waits for the controller; never throws).
  */
-function applySpeedInTab(tabId, speed, showIndicator, position) {
-  if (typeof safelySetSpeed === "function") {
-    safelySetSpeed(tabId, speed, showIndicator, position);
-  }
+async function applySpeedInTab(tabId, speed, showIndicator, position) {
+  const result = await SpeedTuneProtocol.safelySetSpeed(tabId, speed, showIndicator, position);
+  if (!result.ok) debugLog("Could not apply speed:", result.error && result.error.message);
+  return result;
 }
 
 /**
- * Execute speed command from keyboard shortcut
+ * Execute a command from a keyboard shortcut.
+ * Speed commands adjust this tab's speed only (saved settings are left alone);
+ * seek and play/pause go to the tab's controller.
  */
-function executeSpeedCommand(tabId, command) {
-  chrome.storage.sync.get(["speedTuneSettings"], (result) => {
+function executeSpeedCommand(tabId, command, url) {
+  const action = SpeedTuneBindings.actionForCommand(command);
+  if (!action) {
+    console.warn("[SpeedTune] Unknown command:", command);
+    return;
+  }
+  if (SpeedTuneBindings.isMediaAction(action)) {
+    SpeedTuneProtocol.sendToController(tabId, { type: SpeedTuneProtocol.MESSAGES.MEDIA_ACTION, action }).catch((err) => {
+      debugLog("Could not run media action:", err && err.message);
+    });
+    return;
+  }
+
+  chrome.storage.sync.get(["speedTuneSettings"], async (result) => {
     if (chrome.runtime.lastError) return;
 
     const raw = result.speedTuneSettings;
     const settings = migrateSettings(raw);
-    let currentSpeed = settings.speed;
-    let newSpeed = currentSpeed;
-
-    switch (command) {
-      case "increase-speed-small":
-        newSpeed = Math.min(SPEED_MAX, roundSpeed(currentSpeed + SPEED_INCREMENT_SMALL));
-        break;
-      case "decrease-speed-small":
-        newSpeed = Math.max(SPEED_MIN, roundSpeed(currentSpeed - SPEED_INCREMENT_SMALL));
-        break;
-      case "increase-speed-large":
-        newSpeed = Math.min(SPEED_MAX, roundSpeed(currentSpeed + SPEED_INCREMENT_LARGE));
-        break;
-      case "reset-speed":
-        newSpeed = 1.0;
-        break;
-      default:
-        console.warn("[SpeedTune] Unknown command:", command);
-        return;
-    }
-
-    const updatedSettings = { ...settings, speed: newSpeed };
-
-    chrome.storage.sync.set({ speedTuneSettings: updatedSettings }, () => {
-      if (chrome.runtime.lastError) return;
-      applySpeedInTab(tabId, newSpeed, settings.showIndicator !== false, settings.indicatorPosition || "top-left");
-    });
+    const tabState = await getTabState(tabId);
+    const currentSpeed = resolveSpeedForUrl(settings, url, tabState).speed;
+    // Same steps, preferred speed and presets as the in-page bindings
+    const newSpeed = SpeedTuneBindings.speedForAction(action, currentSpeed, settings);
+    if (newSpeed === null) return;
+
+    await setTabState(tabId, newSpeed, url);
+    applySpeedInTab(tabId, newSpeed, settings.showIndicator !== false, settings.indicatorPosition || "top-left");
   });
 }
 
@@ -216,10 +628,15 @@ function executeSpeedCommand(tabId, command) {
 // ============================================================================
 
 /**
- * Auto-apply saved speed when pages load
- * Only applies if Save Speed toggle is ON
+ * Auto-apply speed when pages load: the tab's own speed if it stayed on the same site,
+ * else a site profile, else the saved default only if Save Speed toggle is ON. Sites where
+ * Speed Tune is turned off are skipped.
  */
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === "complete" && SpeedTuneProtocol.isRestrictedUrl(tab.url)) {
+    showRestrictedBadge(tabId);
+    return;
+  }
   if (
     changeInfo.status !== "complete" ||
     !tab.url ||
@@ -229,18 +646,27 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     return;
   }
 
-  chrome.storage.sync.get(["speedTuneSettings"], (result) => {
+  chrome.storage.sync.get(["speedTuneSettings"], async (result) => {
     if (chrome.runtime.lastError) return;
 
     const raw = result.speedTuneSettings;
     const settings = raw ? migrateSettings(raw) : getDefaultSettings();
+    if (!SpeedTuneSettings.isSiteEnabled(settings, getHostname(tab.url))) return;
+
+    // Tab left the site its speed was set on: that speed no longer applies
+    let tabState = await getTabState(tabId);
+    if (tabState && tabState.host !== getHostname(tab.url)) {
+      await clearTabState(tabId);
+      tabState = null;
+    }
 
-    if (!settings.saveSpeed || !settings.speed || settings.speed === 1.0) return;
+    const { speed } = resolveSpeedForUrl(settings, tab.url, tabState);
+    if (!speed || speed === 1.0) return;
 
     setTimeout(() => {
       applySpeedInTab(
         tabId,
-        settings.speed,
+        speed,
         settings.showIndicator !== false,
         settings.indicatorPosition || "top-left"
       );
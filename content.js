@@ -1,17 +1,100 @@
 /**
  * Speed Tune - Content Script (Enterprise)
  *
- * Handles: video detection, speed control, indicator, keyboard fallback,
- * settings. Production-ready: debounced observer, global speed interval,
+ * Handles: video/audio detection, speed control, indicator, keyboard fallback
+ * (user key bindings, speedTuneBindings.js), seek/play-pause actions, settings,
+ * watch-time statistics (recorded by the service worker, local only), opt-in live-stream
+ * catch-up, speed ramp, caption-based speed, on-video controls, fullscreen and picture-in-picture.
+ * Production-ready: debounced observer, global speed interval,
  * visibility-aware, stale ref cleanup, defensive DOM access.
+ *
+ * Runs in every frame. Subframes report their best media to the top frame,
+ * which elects the single frame that holds the tab's primary media and relays
+ * speed changes to it (see FRAME COORDINATION). Frames talk through the service
+ * worker, never window.postMessage, so the page can't forge or read that traffic. The top frame also answers the
+ * extension's controller protocol (speedTuneProtocol.js, see EXTENSION MESSAGING).
  */
 
 (function () {
   "use strict";
 
+  // Already running in this frame (re-injected into a tab that had the manifest script)
+  if (window.speedTuneController) return;
+
+  const { MESSAGES, SUBSCRIBE_PORT } = globalThis.SpeedTuneProtocol;
+
   const DEBOUNCE_MS = 250;
   const GLOBAL_SPEED_CHECK_MS = 500;
   const SCAN_INTERVAL_MS = 2000;
+  const FRAME_REPORT_TTL_MS = 6000;
+  const { TARGET_MODES } = globalThis.SpeedTuneSettings;
+  /** Replies travel through the service worker, which may first have to wake up. */
+  const FRAME_REQUEST_TIMEOUT_MS = 1000;
+  const STATE_PUSH_DELAY_MS = 100;
+  /** Requests a dormant controller answers with { disabled: true } (the rest go unanswered). */
+  const PROTOCOL_REQUESTS = [
+    MESSAGES.SET_SPEED,
+    MESSAGES.GET_STATE,
+    MESSAGES.LIST_VIDEOS,
+    MESSAGES.SET_TARGET_MODE,
+    MESSAGES.MEDIA_ACTION,
+  ];
+  const SILENCE_SAMPLE_MS = 100;
+  /** Audio that reads as exact zeros this long from the start can't be measured (cross-origin media). */
+  const SILENCE_UNREADABLE_MS = 5000;
+  const WATCH_FLUSH_MS = 30000;
+  /** Remaining-time text (indicator, popup) refreshes at most this often while playing. */
+  const TIMING_REFRESH_MS = 1000;
+  /** Caption-based speed: words are counted over this much media time around the playhead. */
+  const ADAPTIVE_WINDOW_S = 60;
+  /** Less caption time than this (start or end of the media) is too little to judge the pace. */
+  const ADAPTIVE_MIN_SPAN_S = 10;
+  const ADAPTIVE_REFRESH_MS = 2000;
+  /** On-video controls fold back to the speed this long after the pointer stops moving over the video. */
+  const OVERLAY_HIDE_MS = 2000;
+  /** On-video controls, inside their shadow root: page styles can't reach them. */
+  const OVERLAY_CSS = `
+    .pill {
+      display: flex;
+      align-items: center;
+      gap: 2px;
+      padding: 6px 12px;
+      border-radius: 20px;
+      background-color: rgba(0, 0, 0, 0.7);
+      backdrop-filter: blur(10px);
+      color: white;
+      font: 600 14px/1.4 "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+      white-space: nowrap;
+      user-select: none;
+    }
+    .pill:not(.open) .control { display: none; }
+    button {
+      all: unset;
+      box-sizing: border-box;
+      min-width: 22px;
+      padding: 0 6px;
+      border-radius: 10px;
+      text-align: center;
+      cursor: pointer;
+    }
+    button:hover, button:focus-visible { background-color: rgba(128, 128, 128, 0.3); }
+    button:focus-visible { outline: 2px solid #60a5fa; }
+    .label { cursor: text; }
+    .grip { padding: 0 4px 0 0; cursor: grab; touch-action: none; opacity: 0.7; }
+    .grip:active { cursor: grabbing; }
+    input {
+      width: 4.5em;
+      margin: 0;
+      padding: 0 4px;
+      border: none;
+      border-radius: 6px;
+      background-color: rgba(255, 255, 255, 0.15);
+      color: inherit;
+      font: inherit;
+    }
+  `;
+  /** Timeline jumps longer than this many seconds of real time are seeks, not playback. */
+  const WATCH_MAX_GAP_S = 2;
 
   // ============================================================================
   // SPEED TUNE CONTROLLER CLASS
@@ -20,22 +103,93 @@
   class SpeedTuneController {
     constructor() {
       this.currentSpeed = 1.0;
+      /** Keep the voice's pitch when changing speed (this site's choice, else the global one). */
+      this.preservesPitch = true;
+      /** All tracked media elements (<video> and <audio>). */
       this.videos = new Set();
       this.observer = null;
 
       this.constantIndicator = null;
       this.constantIndicatorUpdateHandlers = [];
-      /** Single source of truth: the one video eligible for speed indicator (main player only). */
+      /** Single source of truth: the one media element eligible for speed indicator (main player only). */
       this.indicatorPrimaryVideo = null;
       this.indicatorRecomputeIntervalId = null;
       this.lastIndicatorHideTime = 0;
 
-      this.popupToast = null;
-      this.popupToastTimeout = null;
-
       this.showConstantIndicator = true;
       this.indicatorPosition = "top-left";
+      /** Size, opacity, colours, decimals and auto-hide (settings.indicatorAppearance). */
+      this.indicatorAppearance = { ...SpeedTuneSettings.getDefaultSettings().indicatorAppearance };
+      /** Auto-hide: fades the indicator out once the change or hover that showed it is over. */
+      this.indicatorHideTimer = null;
+      /** Pointer over the video unfolds the controls and shows an auto-hidden indicator. */
+      this.indicatorPointerHandler = null;
+      /** Show the interactive controls (see CONTROLLER OVERLAY) instead of the read-only indicator. */
+      this.indicatorControls = false;
+      /** Where the controls were dragged on this site ({ x, y } fractions), or null for indicatorPosition. */
+      this.overlayPosition = null;
+      /** Element holding the indicator text (the indicator itself, or the controls' label). */
+      this.indicatorLabel = null;
+      /** Controls parts ({ root, pill, label }) while they are shown. */
+      this.overlay = null;
+      this.overlayCloseTimer = null;
+      this.overlayDragging = false;
+      this.overlayEditing = false;
+      this.fullscreenHandler = null;
+      /**
+       * Document Picture-in-Picture window showing media from this page, with the speed bar
+       * added to it: { win, host, label, controlled, media?, placeholder?, mediaStyle? } (media
+       * and placeholder only when this controller popped the video out). controlled: the
+       * window's media follows the tab's speed (always in a window Speed Tune opened; in one
+       * the page opened, only once the bar has been used).
+       */
+      this.pip = null;
+      this.pipEnterHandler = null;
+      /** enterpictureinpicture / leavepictureinpicture (the browser's own PiP window). */
+      this.classicPipHandler = null;
+      /** Top frame only: whether the elected subframe's primary media is in the browser's PiP window. */
+      this.remotePictureInPicture = false;
+      /** Media under the last right-click in this frame (target of the "Speed Tune" context menu). */
+      this.contextMenuMedia = null;
+      this.contextMenuHandler = null;
+      this.contextMenuMessageHandler = null;
+      /** What the indicator shows next to the speed: "speed" | "remaining" | "finish". */
+      this.indicatorMode = "speed";
+      this.lastTimingRefresh = 0;
+      /** Top frame only: latest timing reported by the elected subframe. */
+      this.remoteTiming = null;
+      /** Top frame only: actual playbackRate of the elected subframe's primary media. */
+      this.remoteRate = null;
+      /** Top frame only: last toolbar badge sent to the service worker ("rate|hasMedia"). */
+      this.lastBadge = "";
       this.saveSpeedEnabled = false;
+      /** Which media speed applies to: "primary" | "all" (visible videos) | "selected" (chosen in popup). */
+      this.targetMode = "primary";
+      this.selectedVideo = null;
+      /** "selected" mode: the chosen element lives in another frame, so this frame applies nothing. */
+      this.hasSelectionElsewhere = false;
+      this.mediaIds = new WeakMap();
+      this.nextMediaId = 1;
+
+      /** In-page keyboard fallback: action -> binding, off on listed sites. */
+      this.keyBindings = SpeedTuneBindings.getDefaultBindings();
+      /** What the actions use: { speedSteps, preferredSpeed, speedPresets } (speedForAction). */
+      this.actionSettings = SpeedTuneSettings.getDefaultSettings();
+      /** Rewind/advance distance in seconds. */
+      this.seekSeconds = this.actionSettings.seekSeconds;
+      this.shortcutsEnabled = true;
+      this.keydownHandler = null;
+      this.storageChangeHandler = null;
+
+      /**
+       * Site switch (disabledSites / allowlist, decided by the tab's site): while off, the
+       * controller stays dormant — no scanning, intervals or key capture — until it is turned on.
+       */
+      this.siteEnabled = true;
+      /** True while started (settings loaded and the site is on). */
+      this.running = false;
+      this.playHandler = null;
+      this.visibilityHandler = null;
 
       this.debounceTimer = null;
       this.speedCheckIntervalId = null;
@@ -44,6 +198,70 @@
       this.urlChangeObserver = null;
       this.lastUrl = "";
 
+      /** Frame coordination: top frame elects which frame owns the primary media. */
+      this.isTopFrame = this.detectTopFrame();
+      /** Top frame only: subframe frameId -> latest report ({ kind, area, likelyMain, frameSize, lastSeen }). */
+      this.frameCandidates = new Map();
+      /** Top frame only: frameId of the subframe holding the primary media (null = this frame). */
+      this.primaryFrame = null;
+      /** Subframes only: true while the top frame has elected this frame. */
+      this.frameElected = false;
+      this.hasReportedMedia = false;
+      this.frameMessageHandler = null;
+      /** Top frame only: requestId -> resolver for replies from subframes. */
+      this.pendingFrameRequests = new Map();
+
+      /** Silence skipping (see SILENCE SKIPPING): settings, Web Audio graph, current stretch. */
+      this.silenceSettings = { ...SpeedTuneSettings.getDefaultSettings().silenceSkip };
+      this.audioContext = null;
+      /** media -> { analyser, samples }; a media element can only be routed into Web Audio once. */
+      this.silenceAnalysers = new WeakMap();
+      /** Media whose audio can't be analysed (cross-origin without CORS, or already routed by the page). */
+      this.silenceUnreadable = new WeakSet();
+      this.silenceMedia = null;
+      this.silenceAttaching = false;
+      this.silenceIntervalId = null;
+      this.silenceSkipping = false;
+      this.silenceSince = 0;
+      this.silenceLastTime = null;
+      this.silenceHeardSignal = false;
+      this.silenceZeroMs = 0;
+      /** Seconds of watching time saved by skipping on this page. */
+      this.silenceTimeSaved = 0;
+      /** Top frame only: latest silence state reported by the elected subframe. */
+      this.remoteSilence = null;
+
+      /** Live catch-up (see LIVE CATCH-UP): live streams are left alone unless this is enabled. */
+      this.liveSettings = { ...SpeedTuneSettings.getDefaultSettings().liveCatchUp };
+
+      /** Speed ramp (see SPEED RAMP): settings and the primary media's ramp ({ media, src, start, done }). */
+      this.rampSettings = { ...SpeedTuneSettings.getDefaultSettings().speedRamp };
+      this.ramp = null;
+
+      /** Caption-based speed (see CAPTION-BASED SPEED): on for this site, settings, primary media state. */
+      this.adaptiveEnabled = false;
+      this.adaptiveSettings = { ...SpeedTuneSettings.getDefaultSettings().adaptiveSpeed };
+      /** { media, src, available, wpm (words per media minute), rate, stopped } */
+      this.adaptive = null;
+      this.lastAdaptiveUpdate = 0;
+      /** Caption track switched to "hidden" so its cues load; put back when the mode is turned off. */
+      this.hiddenCaptionTrack = null;
+      /** Top frame only: latest caption-speed state reported by the elected subframe. */
+      this.remoteAdaptive = null;
+
+      /** Watch-time statistics: playbackRate -> { media, wall } seconds not yet sent. */
+      this.pendingWatchTime = new Map();
+      /** Last timeupdate seen on the primary media: { media, time }. */
+      this.watchLast = null;
+      this.watchFlushTimer = null;
+      this.timeUpdateHandler = null;
+
+      /** Popup ports subscribed to state pushes. */
+      this.subscribers = new Set();
+      this.statePushTimer = null;
+      this.runtimeMessageHandler = null;
+      this.connectHandler = null;
+
       this.init();
     }
 
@@ -52,14 +270,24 @@
     // ========================================================================
 
     /**
-     * Initialize the controller
+     * Initialize the controller: settings and extension messaging always; everything else
+     * starts once settings show the site is on (see start).
      */
     init() {
-      this.setupMutationObserver();
-      this.findAndSetupVideos();
+      window.speedTuneController = this;
+      this.setupSettingsListener();
+      this.setupExtensionMessaging();
       this.loadSavedSettings();
+    }
 
-      window.speedTuneController = this;
+    /**
+     * Start detection, intervals and page listeners. Undone by stop().
+     */
+    start() {
+      if (this.running) return;
+      this.running = true;
+      this.setupMutationObserver();
+      this.findAndSetupVideos();
 
       const retryIntervals = [500, 1000, 2000, 3000, 5000];
       retryIntervals.forEach((delay) => {
@@ -73,23 +301,28 @@
       this.startPeriodicScan();
       this.setupKeyboardShortcuts();
       this.setupPlayIntentListener();
+      this.setupWatchTimeTracking();
+      this.setupFrameMessaging();
+      this.setupFullscreenListener();
+      this.setupPictureInPicture();
+      this.setupContextMenu();
     }
 
     /**
      * Bind to playback events: user intent is the strongest signal for main video.
-     * Grid/preview videos rarely receive real "play" events.
+     * Grid/preview videos rarely receive real "play" events. Audio only takes over
+     * when there is no visible main video.
      */
     setupPlayIntentListener() {
-      document.addEventListener(
-        "play",
-        (e) => {
-          const v = e.target;
-          if (!(v instanceof HTMLVideoElement)) return;
-          if (!this.isLikelyMainPlayer(v)) return;
-          this.switchActiveVideo(v);
-        },
-        true
-      );
+      this.playHandler = (e) => {
+        const v = e.target;
+        if (!(v instanceof HTMLMediaElement)) return;
+        if (!this.isLikelyMainPlayer(v)) return;
+        this.onMediaActivity();
+        if (this.isAudioElement(v) && this.selectPrimaryVideo()) return;
+        this.switchActiveVideo(v);
+      };
+      document.addEventListener("play", this.playHandler, true);
     }
 
     // ========================================================================
@@ -97,107 +330,148 @@
     // ========================================================================
 
     /**
-     * Setup keyboard shortcut listeners as fallback
-     * Handles: Ctrl+., Ctrl+,, Ctrl+Shift+., Ctrl+Shift+,
+     * Setup keyboard shortcut listeners as fallback.
+     * Keys come from the user's binding table (speedTuneBindings.js); the listener
+     * stays attached but ignores keys on sites where shortcuts are turned off.
      */
     setupKeyboardShortcuts() {
       const controller = this;
 
-      document.addEventListener(
-        "keydown",
-        (e) => {
-          try {
-            // Validate event object
-            if (!e || typeof e.preventDefault !== "function") {
-              return;
-            }
+      this.keydownHandler = (e) => {
+        try {
+          // Validate event object
+          if (!e || typeof e.preventDefault !== "function") {
+            return;
+          }
+          if (!controller.shortcutsEnabled) return;
 
-            // Only listen when Ctrl is pressed (and not in input fields)
-            if (e.ctrlKey && !e.altKey && !e.metaKey) {
-              const target = e.target;
-              const isInput =
-                target &&
-                (target.tagName === "INPUT" ||
-                  target.tagName === "TEXTAREA" ||
-                  target.isContentEditable);
-
-              if (isInput) return; // Don't interfere with typing
-
-              const handleShortcut = (newSpeed) => {
-                try {
-                  if (e && typeof e.preventDefault === "function") {
-                    e.preventDefault();
-                  }
-                  if (e && typeof e.stopPropagation === "function") {
-                    e.stopPropagation();
-                  }
-
-                  controller.setSpeed(
-                    newSpeed,
-                    controller.showConstantIndicator,
-                    controller.indicatorPosition
-                  );
-
-                  // Update storage
-                  chrome.storage.sync.get(["speedTuneSettings"], (result) => {
-                    if (chrome.runtime.lastError) {
-                      console.error("[SpeedTune] Storage error:", chrome.runtime.lastError);
-                      return;
-                    }
-                    const settings = result.speedTuneSettings || {};
-                    chrome.storage.sync.set({
-                      speedTuneSettings: { ...settings, speed: newSpeed },
-                    });
-                  });
-                } catch (error) {
-                  console.error("[SpeedTune] Error handling keyboard shortcut:", error);
-                }
-              };
-
-              // IMPORTANT: Check Shift combinations FIRST (before non-Shift)
-
-              // Ctrl + Shift + . (Period) - Increase speed by 1.0x
-              if (e.shiftKey && (e.key === "." || e.code === "Period")) {
-                const newSpeed = Math.min(
-                  16,
-                  Math.round((controller.currentSpeed + 1.0) * 100) / 100
-                );
-                handleShortcut(newSpeed);
-                return;
-              }
+          const action = SpeedTuneBindings.findAction(controller.keyBindings, e);
+          if (!action) return;
 
-              // Ctrl + Shift + , (Comma) - Reset to 1.0x
-              if (e.shiftKey && (e.key === "," || e.code === "Comma")) {
-                handleShortcut(1.0);
-                return;
-              }
+          // composedPath()[0] reaches fields inside the page's open shadow roots. The on-video
+          // controls' root is closed, so there the path starts at their host: their speed field
+          // is known by overlayEditing instead (it has focus for as long as that is set).
+          const target = typeof e.composedPath === "function" ? e.composedPath()[0] : e.target;
+          const isInput =
+            controller.overlayEditing ||
+            (target &&
+              (target.tagName === "INPUT" ||
+                target.tagName === "TEXTAREA" ||
+                target.tagName === "SELECT" ||
+                target.isContentEditable));
 
-              // Ctrl + . (Period) - Increase speed by 0.1x
-              if (!e.shiftKey && (e.key === "." || e.code === "Period")) {
-                const newSpeed = Math.min(
-                  16,
-                  Math.round((controller.currentSpeed + 0.1) * 100) / 100
-                );
-                handleShortcut(newSpeed);
-                return;
-              }
+          if (isInput) return; // Don't interfere with typing
 
-              // Ctrl + , (Comma) - Decrease speed by 0.1x
-              if (!e.shiftKey && (e.key === "," || e.code === "Comma")) {
-                const newSpeed = Math.max(
-                  0.1,
-                  Math.round((controller.currentSpeed - 0.1) * 100) / 100
-                );
-                handleShortcut(newSpeed);
-                return;
-              }
-            }
-          } catch (error) {
-            console.error("[SpeedTune] Error in keyboard shortcut handler:", error);
+          // Single keys (S, D, R...) are ordinary typing keys: only take them while the player has focus
+          if (SpeedTuneBindings.isSingleKey(controller.keyBindings[action]) && !controller.mediaHasFocus()) return;
+
+          e.preventDefault();
+          e.stopPropagation();
+
+          if (SpeedTuneBindings.isMediaAction(action)) {
+            controller.runMediaAction(action);
+            return;
+          }
+          const newSpeed = controller.getSpeedForAction(action);
+          if (newSpeed === null) return;
+
+          controller.applyUserSpeed(newSpeed);
+        } catch (error) {
+          console.error("[SpeedTune] Error in keyboard shortcut handler:", error);
+        }
+      };
+
+      document.addEventListener("keydown", this.keydownHandler, true); // Use capture phase
+    }
+
+    /**
+     * A speed picked on the page (keys, on-video controls): set it and keep it as the tab's speed.
+     */
+    applyUserSpeed(speed) {
+      this.setSpeed(speed, this.showConstantIndicator, this.indicatorPosition, true);
+      this.persistSpeed(speed);
+    }
+
+    /**
+     * New speed for a bound speed action (steps, preferred speed and presets from settings).
+     */
+    getSpeedForAction(action) {
+      return SpeedTuneBindings.speedForAction(action, this.currentSpeed, this.actionSettings);
+    }
+
+    /**
+     * Run rewind / advance / play-pause on the tab's primary media, wherever it lives:
+     * here if this frame owns it, otherwise the top frame routes it to the elected subframe.
+     */
+    runMediaAction(action) {
+      if (this.ownsPrimaryMedia()) {
+        this.performMediaAction(action);
+      } else if (this.isTopFrame) {
+        this.postToFrame(this.primaryFrame, { type: "media-action", action });
+      } else {
+        this.postToTopFrame({ type: "media-action", action });
+      }
+    }
+
+    /**
+     * Apply a media action to this frame's primary media. Returns false when there is none.
+     */
+    performMediaAction(action) {
+      const media = this.indicatorPrimaryVideo || this.selectLocalPrimaryMedia();
+      if (!media) return false;
+      try {
+        switch (action) {
+          case "rewind":
+            media.currentTime = Math.max(0, media.currentTime - this.seekSeconds);
+            return true;
+          case "advance": {
+            const target = media.currentTime + this.seekSeconds;
+            media.currentTime = Number.isFinite(media.duration) ? Math.min(media.duration, target) : target;
+            return true;
           }
-        },
-        true
-      ); // Use capture phase
+          case "togglePlay":
+            if (media.paused) {
+              // Autoplay policy may refuse; the page's own controls still work
+              const played = media.play();
+              if (played && typeof played.catch === "function") played.catch(() => {});
+            } else {
+              media.pause();
+            }
+            return true;
+          default:
+            return false;
+        }
+      } catch (e) {
+        console.warn("[SpeedTune] Media action failed:", e);
+        return false;
+      }
+    }
+
+    /**
+     * True when keyboard focus is on the page itself or on the player holding the
+     * primary media (not on a search box, chat, menu or other widget).
+     */
+    mediaHasFocus() {
+      const media = this.selectLocalPrimaryMedia();
+      if (!media) return false;
+      const active = document.activeElement;
+      if (!active || active === document.body || active === document.documentElement) return true;
+      try {
+        return active === media || active.contains(media);
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /**
+     * Read the keyboard fallback and action settings (bindings, steps, presets, seek interval,
+     * per-site switch) from validated settings.
+     */
+    applyShortcutSettings(settings) {
+      this.keyBindings = settings.keyBindings;
+      this.actionSettings = settings;
+      this.seekSeconds = settings.seekSeconds;
+      this.shortcutsEnabled = !settings.shortcutsDisabledSites.includes(this.getTabSiteKey());
     }
 
     // ========================================================================
@@ -205,63 +479,250 @@
     // ========================================================================
 
     /**
-     * Load saved settings from storage
+     * Copy validated settings (speedTuneSettings.js) onto the controller.
+     * targetMode is only read at startup; later changes go through applyTargetMode.
+     */
+    applySettings(settings, includeTargetMode = false) {
+      this.siteEnabled = SpeedTuneSettings.isSiteEnabled(settings, this.getTabSiteKey());
+      this.showConstantIndicator = settings.showIndicator;
+      this.indicatorPosition = settings.indicatorPosition;
+      this.indicatorMode = settings.indicatorMode;
+      this.indicatorAppearance = settings.indicatorAppearance;
+      this.indicatorControls = settings.indicatorControls;
+      this.overlayPosition = settings.overlayPositions[this.getTabSiteKey()] || null;
+      this.saveSpeedEnabled = settings.saveSpeed;
+      if (includeTargetMode) this.targetMode = settings.targetMode;
+      this.applyShortcutSettings(settings);
+      this.silenceSettings = settings.silenceSkip;
+      this.liveSettings = settings.liveCatchUp;
+      this.rampSettings = settings.speedRamp;
+      this.adaptiveSettings = settings.adaptiveSpeed;
+      this.adaptiveEnabled = settings.adaptiveSpeedSites.includes(this.getTabSiteKey());
+      this.preservesPitch = SpeedTuneSettings.preservesPitchFor(settings, this.getTabSiteKey());
+    }
+
+    /**
+     * Settings edited in the popup or options page reach the page without a reload.
+     */
+    setupSettingsListener() {
+      this.storageChangeHandler = (changes, namespace) => {
+        if (namespace !== "sync" || !changes.speedTuneSettings) return;
+        this.handleSettingsChange(changes.speedTuneSettings.newValue, changes.speedTuneSettings.oldValue);
+      };
+      try {
+        chrome.storage.onChanged.addListener(this.storageChangeHandler);
+      } catch (e) {
+        // Extension context invalidated
+      }
+    }
+
+    /**
+     * Apply a settings change. Every frame takes the new values; the top frame also
+     * re-renders the indicator, switches targeting and re-resolves the tab's speed,
+     * relaying each to the frames as usual.
+     */
+    handleSettingsChange(newValue, oldValue) {
+      const settings = SpeedTuneSettings.migrateSettings(newValue);
+      const previous = SpeedTuneSettings.migrateSettings(oldValue);
+      if (!SpeedTuneSettings.isSiteEnabled(settings, this.getTabSiteKey())) {
+        this.applySettings(settings);
+        if (this.running) this.sleep();
+        return;
+      }
+      if (!this.running) {
+        this.wake(settings);
+        return;
+      }
+      const indicatorChanged =
+        settings.showIndicator !== this.showConstantIndicator || settings.indicatorPosition !== this.indicatorPosition;
+      const modeChanged = settings.indicatorMode !== this.indicatorMode;
+      const controlsChanged =
+        settings.indicatorControls !== this.indicatorControls ||
+        JSON.stringify(settings.indicatorAppearance) !== JSON.stringify(this.indicatorAppearance);
+      const overlayMoved =
+        JSON.stringify(settings.overlayPositions[this.getTabSiteKey()] || null) !== JSON.stringify(this.overlayPosition);
+      const liveChanged = JSON.stringify(settings.liveCatchUp) !== JSON.stringify(this.liveSettings);
+      const liveWasEnabled = this.liveSettings.enabled;
+      const pitchWasPreserved = this.preservesPitch;
+      const rampChanged = JSON.stringify(settings.speedRamp) !== JSON.stringify(this.rampSettings);
+      const adaptiveWasEnabled = this.adaptiveEnabled;
+      const adaptiveChanged = JSON.stringify(settings.adaptiveSpeed) !== JSON.stringify(this.adaptiveSettings);
+      this.applySettings(settings);
+      if (adaptiveChanged || this.adaptiveEnabled !== adaptiveWasEnabled) this.resetAdaptiveSpeed();
+      this.updateSilenceSkip();
+      if (rampChanged) {
+        // New ramp settings start over from the current position
+        this.ramp = null;
+        this.updateRamp();
+      }
+      if (this.preservesPitch !== pitchWasPreserved) {
+        for (const media of this.getTargetMedia()) {
+          try {
+            this.setMediaRate(media, this.getPlaybackRateFor(media));
+          } catch (e) {}
+        }
+      }
+      if (controlsChanged) {
+        // New look, or read-only indicator and controls (different elements): rebuild it
+        this.hideConstantIndicator();
+        this.updateIndicators();
+      } else if (overlayMoved && this.constantIndicator && this.indicatorPrimaryVideo) {
+        this.positionConstantIndicator(this.constantIndicator, this.indicatorPrimaryVideo);
+      }
+      if (liveChanged) this.updateLiveCatchUp(liveWasEnabled);
+      else if (modeChanged) this.updateIndicators();
+      if (!this.isTopFrame) return;
+
+      // "Chosen" needs an element picked in the popup, which sends it directly
+      if (settings.targetMode !== previous.targetMode && settings.targetMode !== "selected") {
+        this.applyTargetMode(settings.targetMode);
+      } else if (indicatorChanged) {
+        this.setSpeed(this.currentSpeed, this.showConstantIndicator, this.indicatorPosition);
+      }
+
+      const host = this.getSiteKey();
+      const profileChanged = JSON.stringify(settings.siteProfiles[host]) !== JSON.stringify(previous.siteProfiles[host]);
+      if (profileChanged || settings.saveSpeed !== previous.saveSpeed || settings.speed !== previous.speed) {
+        this.reapplyTabSpeed();
+      }
+    }
+
+    /**
+     * Load saved settings from storage.
+     * Start speed comes from the service worker: this tab's own speed, then the site
+     * profile, then the saved default (Save Speed ON), then 1x.
      */
     loadSavedSettings() {
       chrome.storage.sync.get(["speedTuneSettings"], (result) => {
         if (chrome.runtime.lastError) {
           console.error("[SpeedTune] Error loading settings:", chrome.runtime.lastError);
           // Use defaults on error
-          const videos = this.getAllVideos();
-          if (videos.length > 0) {
-            this.setSpeed(1.0, this.showConstantIndicator, this.indicatorPosition);
-          } else {
-            this.currentSpeed = 1.0;
-            this.hideConstantIndicator();
-            this.hidePopupToast();
-          }
+          this.start();
+          this.applyInitialSpeed(1.0);
+          this.announceReady();
           return;
         }
 
-        if (result.speedTuneSettings) {
-          const settings = result.speedTuneSettings;
-          this.showConstantIndicator = settings.showIndicator !== false;
-          this.indicatorPosition = settings.indicatorPosition || "top-left";
-          this.saveSpeedEnabled = settings.saveSpeed || false;
-
-          // Apply saved speed if Save Speed toggle is ON
-          if (settings.saveSpeed && settings.speed) {
-            const videos = this.getAllVideos();
-            if (videos.length > 0) {
-              this.setSpeed(settings.speed, this.showConstantIndicator, this.indicatorPosition);
-            } else {
-              // No videos yet - just set the speed value
-              this.currentSpeed = settings.speed;
-              this.hideConstantIndicator();
-              this.hidePopupToast();
-            }
-          } else {
-            // Save Speed is OFF - use default 1x speed
-            const videos = this.getAllVideos();
-            if (videos.length > 0) {
-            this.setSpeed(1.0, this.showConstantIndicator, this.indicatorPosition);
-          } else {
-            this.currentSpeed = 1.0;
-            this.hideConstantIndicator();
-            this.hidePopupToast();
-            }
-          }
+        const settings = SpeedTuneSettings.migrateSettings(result.speedTuneSettings);
+        this.applySettings(settings, true);
+        if (this.siteEnabled) {
+          this.start();
+          this.requestTabSpeed((speed) => this.applyInitialSpeed(speed), settings);
         } else {
-          // No settings found - use defaults
-          const videos = this.getAllVideos();
-          if (videos.length > 0) {
-            this.setSpeed(1.0, this.showConstantIndicator, this.indicatorPosition);
-          } else {
-            this.currentSpeed = 1.0;
-            this.hideConstantIndicator();
-            this.hidePopupToast();
-          }
+          this.reportBadge();
         }
+        this.announceReady();
+      });
+    }
+
+    /**
+     * Ask the service worker for this tab's effective speed. Falls back to resolving
+     * from the stored settings (site profile / saved default) if the worker is unreachable.
+     */
+    requestTabSpeed(callback, settings) {
+      if (!this.isTopFrame) return;
+      const fallback = () => {
+        const profile = this.getSiteProfile(settings);
+        if (profile) callback(profile.speed);
+        else if (settings && settings.saveSpeed && settings.speed) callback(settings.speed);
+        else callback(1.0);
+      };
+      try {
+        chrome.runtime.sendMessage({ type: MESSAGES.GET_TAB_SPEED }, (response) => {
+          if (chrome.runtime.lastError || !response || typeof response.speed !== "number") {
+            fallback();
+            return;
+          }
+          callback(response.speed);
+        });
+      } catch (e) {
+        // Extension context invalidated (extension reloaded under the page)
+        fallback();
+      }
+    }
+
+    /**
+     * Persist an in-page speed change as this tab's speed (never the saved default).
+     * Subframes hand this to the top frame, which owns the tab-level state.
+     */
+    persistSpeed(speed) {
+      if (!this.isTopFrame) {
+        this.postToTopFrame({ type: "speed-changed", speed, persist: true });
+        return;
+      }
+      try {
+        chrome.runtime.sendMessage({ type: MESSAGES.SET_TAB_SPEED, speed }, () => {
+          if (chrome.runtime.lastError) {
+            console.error("[SpeedTune] Error saving tab speed:", chrome.runtime.lastError);
+          }
+        });
+      } catch (e) {
+        // Extension context invalidated
+      }
+    }
+
+    /**
+     * Apply a starting speed: immediately if videos exist, otherwise remember it for when they appear.
+     * Subframes skip this: their speed comes from the top frame on election.
+     */
+    applyInitialSpeed(speed) {
+      if (!this.isTopFrame) return;
+      const videos = this.getAllMedia();
+      if (videos.length > 0) {
+        this.setSpeed(speed, this.showConstantIndicator, this.indicatorPosition);
+      } else {
+        // No videos yet - just set the speed value
+        this.currentSpeed = speed;
+        this.hideConstantIndicator();
+      }
+    }
+
+    /**
+     * Hostname key for per-site speed profiles.
+     */
+    getSiteKey() {
+      try {
+        return (location.hostname || "").toLowerCase();
+      } catch (e) {
+        return "";
+      }
+    }
+
+    /**
+     * Hostname of the page the tab shows (the top frame's), which decides whether Speed Tune runs.
+     * Subframes read it from their ancestor origins; their own hostname is the fallback.
+     */
+    getTabSiteKey() {
+      if (this.isTopFrame) return this.getSiteKey();
+      try {
+        const origins = location.ancestorOrigins;
+        if (origins && origins.length > 0) return new URL(origins[origins.length - 1]).hostname.toLowerCase();
+      } catch (e) {}
+      return this.getSiteKey();
+    }
+
+    /**
+     * Saved profile ({ speed }) for the current site, or null.
+     */
+    getSiteProfile(settings) {
+      const host = this.getSiteKey();
+      if (!host || !settings || !settings.siteProfiles || typeof settings.siteProfiles !== "object") return null;
+      const profile = settings.siteProfiles[host];
+      return profile && typeof profile.speed === "number" ? profile : null;
+    }
+
+    /**
+     * SPA route change: re-apply the tab's speed (players often reset playbackRate on navigation).
+     */
+    reapplyTabSpeed() {
+      if (!this.isTopFrame) return;
+      chrome.storage.sync.get(["speedTuneSettings"], (result) => {
+        if (chrome.runtime.lastError) return;
+        this.requestTabSpeed((speed) => {
+          if (Math.abs(speed - this.currentSpeed) > 0.001) {
+            this.setSpeed(speed, this.showConstantIndicator, this.indicatorPosition);
+          }
+        }, result.speedTuneSettings);
       });
     }
 
@@ -273,6 +734,7 @@
      * Schedule findAndSetupVideos with debounce (single run per burst).
      */
     scheduleFindVideos() {
+      if (!this.running) return;
       if (this.debounceTimer) clearTimeout(this.debounceTimer);
       this.debounceTimer = setTimeout(() => {
         this.debounceTimer = null;
@@ -281,7 +743,7 @@
     }
 
     /**
-     * Setup MutationObserver with debounce to detect dynamically added videos.
+     * Setup MutationObserver with debounce to detect dynamically added videos and audio.
      */
     setupMutationObserver() {
       try {
@@ -294,7 +756,8 @@
               try {
                 if (
                   node.tagName === "VIDEO" ||
-                  (node.querySelector && node.querySelector("video")) ||
+                  node.tagName === "AUDIO" ||
+                  (node.querySelector && node.querySelector("video, audio")) ||
                   node.tagName === "IFRAME" ||
                   (node.classList &&
                     (node.classList.contains("video") || node.classList.contains("player")))
@@ -329,7 +792,11 @@
           const url = location.href;
           if (url !== this.lastUrl) {
             this.lastUrl = url;
-            setTimeout(() => this.findAndSetupVideos(), 1000);
+            setTimeout(() => {
+              if (!this.running) return;
+              this.findAndSetupVideos();
+              this.reapplyTabSpeed();
+            }, 1000);
           }
         });
         this.urlChangeObserver.observe(document, { subtree: true, childList: true });
@@ -342,17 +809,19 @@
      * When tab is hidden, pause intervals; when visible, resume.
      */
     setupVisibilityListener() {
+      this.visibilityHandler = () => {
+        if (document.visibilityState === "hidden") {
+          this.stopPeriodicScan();
+          this.stopGlobalSpeedCheck();
+          this.flushWatchTime();
+        } else {
+          this.startPeriodicScan();
+          this.startGlobalSpeedCheck();
+          this.scheduleFindVideos();
+        }
+      };
       try {
-        document.addEventListener("visibilitychange", () => {
-          if (document.visibilityState === "hidden") {
-            this.stopPeriodicScan();
-            this.stopGlobalSpeedCheck();
-          } else {
-            this.startPeriodicScan();
-            this.startGlobalSpeedCheck();
-            this.scheduleFindVideos();
-          }
-        });
+        document.addEventListener("visibilitychange", this.visibilityHandler);
       } catch (e) {
         console.warn("[SpeedTune] Visibility listener failed:", e);
       }
@@ -374,19 +843,22 @@
     }
 
     /**
-     * Single global interval: re-apply speed only on the active (main) video when it drifts.
+     * Single global interval: re-apply speed only on the targeted media (see targetMode) when it drifts.
      */
     startGlobalSpeedCheck() {
       this.stopGlobalSpeedCheck();
       this.speedCheckIntervalId = setInterval(() => {
         if (document.visibilityState === "hidden") return;
         try {
-          const active = this.indicatorPrimaryVideo || this.selectPrimaryVideo();
-          if (!active || !document.contains(active) || this.isLiveVideo(active)) return;
-          const targetSpeed = this.currentSpeed;
-          if (Math.abs((active.playbackRate || 1) - targetSpeed) > 0.01) {
-            active.playbackRate = targetSpeed;
+          this.updateRamp();
+          for (const media of this.getTargetMedia()) {
+            // Silence skipping and the ramp own the rate of the media they are driving
+            const targetSpeed = this.getPlaybackRateFor(media);
+            if (Math.abs((media.playbackRate || 1) - targetSpeed) > 0.01) {
+              this.setMediaRate(media, targetSpeed);
+            }
           }
+          this.syncPictureInPicture();
         } catch (e) {
           // Ignore
         }
@@ -423,11 +895,12 @@
     }
 
     /**
-     * Find and setup all videos; prune stale refs; use event listeners only (global interval handles re-apply).
+     * Find and setup all videos and audio; prune stale refs; use event listeners only (global interval handles re-apply).
      */
     findAndSetupVideos() {
+      if (!this.running) return;
       try {
-        const allVideos = this.getAllVideos();
+        const allVideos = this.getAllMedia();
 
         // Prune: remove videos no longer in the document
         for (const video of Array.from(this.videos)) {
@@ -438,7 +911,7 @@
           }
         }
 
-        const primary = this.selectPrimaryVideo();
+        const primary = this.selectPrimaryMedia();
         for (const video of allVideos) {
           try {
             if (!document.contains(video)) continue;
@@ -449,9 +922,9 @@
           if (!this.videos.has(video)) {
             this.videos.add(video);
 
-            if (!this.isLiveVideo(video) && video === primary) {
+            if (this.isTargetMedia(video, primary)) {
               try {
-                video.playbackRate = this.currentSpeed;
+                this.setMediaRate(video, this.getPlaybackRateFor(video));
               } catch (error) {
                 console.warn("[SpeedTune] Error setting playback rate:", error);
               }
@@ -459,10 +932,8 @@
 
             const applySpeed = () => {
               try {
-                if (this.isLiveVideo(video)) return;
-                const active = this.indicatorPrimaryVideo || this.selectPrimaryVideo();
-                if (video !== active || !video || !document.contains(video)) return;
-                if (!video.paused) video.playbackRate = this.currentSpeed;
+                if (!this.isTargetMedia(video)) return;
+                if (!video.paused) this.setMediaRate(video, this.getPlaybackRateFor(video));
               } catch (err) {
                 // Ignore
               }
@@ -470,14 +941,13 @@
 
             const onRateChange = () => {
               try {
-                if (this.isLiveVideo(video)) return;
-                const active = this.indicatorPrimaryVideo || this.selectPrimaryVideo();
-                if (video !== active) return;
-                if (video && Math.abs((video.playbackRate || 1) - this.currentSpeed) > 0.01) {
+                this.onMediaRateChange(video);
+                if (!this.isTargetMedia(video)) return;
+                if (video && Math.abs((video.playbackRate || 1) - this.getPlaybackRateFor(video)) > 0.01) {
                   setTimeout(() => {
                     try {
                       if (video && document.contains(video) && !video.paused) {
-                        video.playbackRate = this.currentSpeed;
+                        this.setMediaRate(video, this.getPlaybackRateFor(video));
                       }
                     } catch (err) {}
                   }, 100);
@@ -502,10 +972,11 @@
 
             this.videoListeners.set(video, { applySpeed, onRateChange, onDurationChange });
           } else {
-            if (!this.isLiveVideo(video) && video === primary) {
+            if (this.isTargetMedia(video, primary)) {
               try {
-                if (document.contains(video) && Math.abs((video.playbackRate || 1) - this.currentSpeed) > 0.01) {
-                  video.playbackRate = this.currentSpeed;
+                const rate = this.getPlaybackRateFor(video);
+                if (document.contains(video) && Math.abs((video.playbackRate || 1) - rate) > 0.01) {
+                  this.setMediaRate(video, rate);
                 }
               } catch (e) {}
             }
@@ -516,8 +987,11 @@
           this.updateIndicators(false);
         } else {
           this.hideConstantIndicator();
-          this.hidePopupToast();
         }
+
+        this.onMediaActivity();
+        this.updateSilenceSkip();
+        this.pushState();
       } catch (e) {
         console.warn("[SpeedTune] findAndSetupVideos error:", e);
       }
@@ -528,11 +1002,40 @@
      * Includes: standard videos, shadow DOM, iframes, generic selectors.
      */
     getAllVideos() {
-      const videos = [];
+      const videos = this.queryMediaElements("video");
+
+      try {
+        const additional = this.getPlatformSpecificVideos();
+        if (additional && additional.length) videos.push(...additional);
+      } catch (e) {}
+
+      return [...new Set(videos)];
+    }
+
+    /**
+     * Get all audio elements on the page (podcast/audiobook players), including shadow DOM and iframes.
+     */
+    getAllAudio() {
+      return [...new Set(this.queryMediaElements("audio"))];
+    }
+
+    /**
+     * All controllable media: videos first, then audio.
+     */
+    getAllMedia() {
+      return [...this.getAllVideos(), ...this.getAllAudio()];
+    }
+
+    /**
+     * Collect elements matching a media tag selector from the document, open shadow roots
+     * and same-origin iframes (defensive: try/catch per source).
+     */
+    queryMediaElements(selector) {
+      const elements = [];
 
       try {
-        const list = document.querySelectorAll("video");
-        if (list && list.length) videos.push(...list);
+        const list = document.querySelectorAll(selector);
+        if (list && list.length) elements.push(...list);
       } catch (e) {
         // Document may be in invalid state
       }
@@ -540,12 +1043,12 @@
       try {
         const traverseShadowDOM = (root) => {
           if (!root || !root.querySelectorAll) return;
-          const elements = root.querySelectorAll("*");
-          for (const el of elements) {
+          const all = root.querySelectorAll("*");
+          for (const el of all) {
             try {
               if (el.shadowRoot) {
-                const inner = el.shadowRoot.querySelectorAll("video");
-                if (inner && inner.length) videos.push(...inner);
+                const inner = el.shadowRoot.querySelectorAll(selector);
+                if (inner && inner.length) elements.push(...inner);
                 traverseShadowDOM(el.shadowRoot);
               }
             } catch (err) {}
@@ -559,19 +1062,25 @@
         for (const iframe of iframes) {
           try {
             if (iframe.contentDocument) {
-              const list = iframe.contentDocument.querySelectorAll("video");
-              if (list && list.length) videos.push(...list);
+              const list = iframe.contentDocument.querySelectorAll(selector);
+              if (list && list.length) elements.push(...list);
             }
           } catch (err) {}
         }
       } catch (e) {}
 
-      try {
-        const additional = this.getPlatformSpecificVideos();
-        if (additional && additional.length) videos.push(...additional);
-      } catch (e) {}
+      return elements;
+    }
 
-      return [...new Set(videos)];
+    /**
+     * True for <audio> elements (no visual box to anchor the indicator to).
+     */
+    isAudioElement(media) {
+      try {
+        return !!media && media.tagName === "AUDIO";
+      } catch (e) {
+        return false;
+      }
     }
 
     /**
@@ -609,8 +1118,8 @@
     }
 
     /**
-     * True if the video is a live stream (unbounded duration — speed cannot be controlled).
-     * HTML5: live streams report duration === Infinity per spec.
+     * True if the video is a live stream (unbounded duration — left at its own speed unless
+     * live catch-up is on). HTML5: live streams report duration === Infinity per spec.
      */
     isLiveVideo(video) {
       try {
@@ -621,6 +1130,14 @@
       }
     }
 
+    /**
+     * True if speed may be applied: anything but a live stream, and live streams too when
+     * live catch-up is enabled.
+     */
+    isSpeedControllable(media) {
+      return !this.isLiveVideo(media) || this.liveSettings.enabled;
+    }
+
     /** Min size for indicator: main player only (excludes small grid clips). ~16:9. */
     static get MAIN_VIDEO_MIN_SIZE() {
       return { width: 380, height: 214 };
@@ -645,13 +1162,13 @@
 
     /**
      * Candidate videos for main-player selection (do not attach UI here).
-     * Hard filters: main document, min size (main player scale), not ended, not live.
+     * Hard filters: main document, min size (main player scale), not ended, not live (unless live catch-up is on).
      */
     getCandidateVideos() {
       const all = this.getAllVideos();
       const { width: minW, height: minH } = SpeedTuneController.MAIN_VIDEO_MIN_SIZE;
       return all.filter((v) => {
-        if (!this.isInMainDocument(v) || this.isLiveVideo(v) || v.ended) return false;
+        if (!this.isInMainDocument(v) || !this.isSpeedControllable(v) || v.ended) return false;
         try {
           const r = v.getBoundingClientRect();
           return r.width >= minW && r.height >= minH;
@@ -678,18 +1195,83 @@
     }
 
     /**
-     * Get the single "primary" video for showing the speed indicator (uses selectPrimaryVideo).
+     * Candidate audio elements: main document, has a source, not ended, not live (unless live catch-up is on).
+     * Audio is usually hidden (no controls / display:none), so no size or visibility filter.
+     */
+    getCandidateAudio() {
+      return this.getAllAudio().filter((a) => {
+        if (!this.isInMainDocument(a) || !this.isSpeedControllable(a) || a.ended) return false;
+        try {
+          return !!(a.currentSrc || a.src || a.querySelector("source"));
+        } catch (e) {
+          return false;
+        }
+      });
+    }
+
+    /**
+     * Select the primary audio element: playing first, then "likely main", then longest duration.
+     */
+    selectPrimaryAudio() {
+      const candidates = this.getCandidateAudio();
+      if (candidates.length === 0) return null;
+      const playing = candidates.filter((a) => !a.paused);
+      const mainLike = candidates.filter((a) => this.isLikelyMainPlayer(a));
+      const pool = playing.length > 0 ? playing : mainLike.length > 0 ? mainLike : candidates;
+      const length = (a) => (Number.isFinite(a.duration) ? a.duration : 0);
+      return pool.reduce((a, b) => (length(a) >= length(b) ? a : b));
+    }
+
+    /**
+     * Primary media element this frame controls: the main video, or the primary audio when
+     * there is no visible video. Null while another frame holds the tab's primary media.
+     */
+    selectPrimaryMedia() {
+      if (!this.ownsPrimaryMedia()) return null;
+      return this.selectLocalPrimaryMedia();
+    }
+
+    /**
+     * Best media element in this frame, regardless of frame election.
+     */
+    selectLocalPrimaryMedia() {
+      return this.selectPrimaryVideo() || this.selectPrimaryAudio();
+    }
+
+    /**
+     * Candidate media for switchActiveVideo (video candidates, then audio candidates).
+     */
+    getCandidateMedia() {
+      return [...this.getCandidateVideos(), ...this.getCandidateAudio()];
+    }
+
+    /**
+     * Get the single "primary" media element for showing the speed indicator (uses selectPrimaryMedia).
      */
     getPrimaryVideoForIndicator() {
-      return this.selectPrimaryVideo();
+      return this.selectPrimaryMedia();
     }
 
     /**
-     * True if there is a primary video for the indicator (main doc, meaningfully visible).
+     * True if there is a primary media element for the indicator (main doc, meaningfully visible video or audio).
      * Used by popup so "Video detected" matches indicator logic (single source of truth).
      */
     hasPrimaryVideo() {
-      return !!this.getPrimaryVideoForIndicator();
+      return !!this.getPrimaryMediaKind();
+    }
+
+    /**
+     * Kind of the primary media element ("video" | "audio"), or null when there is none.
+     * In the top frame this includes media held by an elected subframe.
+     */
+    getPrimaryMediaKind() {
+      if (this.isTopFrame && this.primaryFrame !== null) {
+        const candidate = this.frameCandidates.get(this.primaryFrame);
+        return candidate ? candidate.kind : null;
+      }
+      const primary = this.getPrimaryVideoForIndicator();
+      if (!primary) return null;
+      return this.isAudioElement(primary) ? "audio" : "video";
     }
 
     /**
@@ -700,6 +1282,8 @@
       if (!v || !document.contains(v)) return false;
       if (v.readyState < 2) return false;
       if (v.paused && v.currentTime === 0) return false;
+      // Audio has no box on screen: the indicator is pinned to the viewport instead
+      if (this.isAudioElement(v)) return true;
       try {
         const rect = v.getBoundingClientRect();
         return (
@@ -723,22 +1307,28 @@
 
     /**
      * Single place to switch active video: detach UI from old, set active, attach to new.
-     * Never attach UI without detaching the old one first.
+     * Never attach UI without detaching the old one first. Silence skipping and the ramp
+     * follow the new media whether or not the indicator is shown; without it nothing pins
+     * the active media, so they pick the primary again (the one now playing).
      */
     switchActiveVideo(v) {
       if (v === this.indicatorPrimaryVideo) return;
-      if (!this.showConstantIndicator) return;
-      const candidates = this.getCandidateVideos();
+      if (!this.ownsPrimaryMedia()) return;
+      const candidates = this.getCandidateMedia();
       if (!candidates.length || !candidates.includes(v)) return;
 
-      this.hideConstantIndicator();
-      this.indicatorPrimaryVideo = v;
-      if (!this.isLiveVideo(v)) {
+      if (this.showConstantIndicator) {
+        this.hideConstantIndicator();
+        this.indicatorPrimaryVideo = v;
+      }
+      this.updateSilenceSkip();
+      this.updateRamp();
+      if (this.isTargetMedia(v)) {
         try {
-          v.playbackRate = this.currentSpeed;
+          this.setMediaRate(v, this.getPlaybackRateFor(v));
         } catch (e) {}
       }
-      this.createConstantIndicator(v);
+      if (this.showConstantIndicator) this.createConstantIndicator(v);
     }
 
     /**
@@ -798,12 +1388,18 @@
     // ========================================================================
 
     /**
-     * Set playback speed for all videos
+     * Set playback speed on the active (main) video or audio element
      * @param {number} speed - Playback speed (0.1 to 16)
      * @param {boolean} showConstantIndicator - Show persistent indicator
      * @param {string} position - Indicator position
+     * @param {boolean} fromUser - Chosen by the user (popup, shortcut): stops a running speed ramp
+     *   and caption-based speed for the current media
      */
-    setSpeed(speed, showConstantIndicator = true, position = "top-left") {
+    setSpeed(speed, showConstantIndicator = true, position = "top-left", fromUser = false) {
+      if (fromUser) {
+        this.stopRamp();
+        this.stopAdaptiveSpeed();
+      }
       // Round to fix floating-point precision issues
       const roundedSpeed = Math.round(speed * 100) / 100;
       this.currentSpeed = Math.max(0.1, Math.min(16, roundedSpeed));
@@ -816,399 +1412,2350 @@
       // If indicator was just disabled, hide it immediately
       if (indicatorWasEnabled && !showConstantIndicator) {
         this.hideConstantIndicator();
-        this.hidePopupToast();
       }
 
-      // Apply speed only to the active (main) video — never to grid/preview/thumbnail videos
-      const active = this.indicatorPrimaryVideo || this.selectPrimaryVideo();
-      if (active && document.contains(active) && !this.isLiveVideo(active)) {
-        this.videos.add(active);
-        active.playbackRate = this.currentSpeed;
+      // Apply speed only to the targeted media (main by default) — never to grid/preview/thumbnail videos
+      // A new speed at or above the silence speed ends the skip
+      if (this.silenceSkipping && this.silenceSettings.speed <= this.currentSpeed) this.silenceSkipping = false;
+      for (const media of this.getTargetMedia()) {
+        this.videos.add(media);
+        this.setMediaRate(media, this.getPlaybackRateFor(media));
       }
       // Keep other videos in our set for discovery; do not change their playbackRate
-      this.getAllVideos().forEach((v) => {
+      this.getAllMedia().forEach((v) => {
         if (v && document.contains(v)) this.videos.add(v);
       });
 
+      // Top frame: the elected subframe applies it; other subframes just track the value
+      if (this.isTopFrame) {
+        this.broadcastToFrames({
+          type: "set-speed",
+          speed: this.currentSpeed,
+          showIndicator: this.showConstantIndicator,
+          position: this.indicatorPosition,
+          fromUser,
+        });
+      }
+      this.updateSilenceSkip();
+      this.syncPictureInPicture();
+      this.pushState();
+
       // Update indicators (will hide if disabled)
       this.updateIndicators(true);
     }
 
     /**
-     * Get current playback speed
+     * Every rate change goes through here, so media also gets the site's pitch setting.
+     * Throws like the playbackRate setter does.
      */
-    getCurrentSpeed() {
-      return this.currentSpeed;
+    setMediaRate(media, rate) {
+      if ("preservesPitch" in media && media.preservesPitch !== this.preservesPitch) {
+        media.preservesPitch = this.preservesPitch;
+      }
+      media.playbackRate = rate;
     }
 
-    // ========================================================================
+    /**
+     * True when Chrome plays this media silently because of its rate (outside 0.5x–4x),
+     * unless the user muted it anyway.
+     */
+    isRateMuted(media, rate) {
+      try {
+        return !SpeedTuneSettings.isAudibleRate(rate) && !media.muted && media.volume > 0;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    // ========================================================================
+    // MULTI-VIDEO TARGETING
+    // ========================================================================
+
+    /**
+     * Whether speed should be applied to this element under the current targetMode.
+     * "all": every meaningfully visible main-document video, plus the primary media.
+     * "selected": only the element chosen in the popup (falls back to primary when none was chosen).
+     * @param {HTMLMediaElement} media
+     * @param {HTMLMediaElement|null} primary - Precomputed primary media (avoids re-selecting per element)
+     */
+    isTargetMedia(media, primary = this.indicatorPrimaryVideo || this.selectPrimaryMedia()) {
+      try {
+        if (!media || !document.contains(media) || !this.isSpeedControllable(media)) return false;
+      } catch (e) {
+        return false;
+      }
+      switch (this.targetMode) {
+        case "all":
+          if (this.isInMainDocument(media) && this.isMeaningfullyVisible(media)) return true;
+          break;
+        case "selected":
+          if (this.selectedVideo && document.contains(this.selectedVideo)) return media === this.selectedVideo;
+          if (this.hasSelectionElsewhere) return false;
+          break;
+      }
+      return media === primary;
+    }
+
+    /**
+     * All media elements speed currently applies to.
+     */
+    getTargetMedia() {
+      const primary = this.indicatorPrimaryVideo || this.selectPrimaryMedia();
+      const pool = new Set(this.videos);
+      if (primary) pool.add(primary);
+      return Array.from(pool).filter((m) => this.isTargetMedia(m, primary));
+    }
+
+    /**
+     * Stable per-page id for a media element (used by the popup's media list).
+     */
+    getMediaId(media) {
+      let id = this.mediaIds.get(media);
+      if (!id) {
+        id = this.nextMediaId++;
+        this.mediaIds.set(media, id);
+      }
+      return id;
+    }
+
+    /**
+     * Describe tracked media in this frame for the popup list.
+     * @returns {Array<{id: number, kind: string, width: number, height: number, duration: number|null,
+     *   currentTime: number, playbackRate: number, paused: boolean, live: boolean, primary: boolean, targeted: boolean}>}
+     */
+    listVideos() {
+      const primary = this.indicatorPrimaryVideo || this.selectPrimaryMedia();
+      const list = [];
+      for (const media of this.videos) {
+        try {
+          if (!document.contains(media)) continue;
+          const rect = this.isAudioElement(media) ? { width: 0, height: 0 } : media.getBoundingClientRect();
+          list.push({
+            id: this.getMediaId(media),
+            kind: this.isAudioElement(media) ? "audio" : "video",
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+            duration: Number.isFinite(media.duration) ? media.duration : null,
+            currentTime: media.currentTime || 0,
+            playbackRate: media.playbackRate || 1,
+            paused: media.paused,
+            live: this.isLiveVideo(media),
+            primary: media === primary,
+            targeted: this.isTargetMedia(media, primary),
+          });
+        } catch (e) {
+          // Detached or inaccessible element
+        }
+      }
+      return list;
+    }
+
+    /**
+     * Change targeting. For "selected", mediaId picks the element in this frame;
+     * null means the chosen element is in another frame (this frame then applies nothing).
+     * @param {string} mode - "primary" | "all" | "selected"
+     * @param {number|null} mediaId
+     */
+    setTargetMode(mode, mediaId = null) {
+      this.targetMode = TARGET_MODES.includes(mode) ? mode : "primary";
+      this.selectedVideo = null;
+      this.hasSelectionElsewhere = false;
+      if (this.targetMode === "selected") {
+        const chosen = Array.from(this.videos).find((m) => this.mediaIds.get(m) === mediaId);
+        if (chosen) {
+          this.selectedVideo = chosen;
+        } else if (mediaId === null) {
+          this.hasSelectionElsewhere = true;
+        }
+      }
+      this.setSpeed(this.currentSpeed, this.showConstantIndicator, this.indicatorPosition);
+    }
+
+    /**
+     * Get current playback speed
+     */
+    getCurrentSpeed() {
+      return this.currentSpeed;
+    }
+
+    /**
+     * Rate a targeted element should play at: the silence speed while it is being
+     * skipped through, the catch-up rate for a live stream, the ramp's rate while the
+     * primary media is ramping, the caption-based rate, otherwise the chosen speed. The
+     * drift check, rate-change listener and rescans all enforce this, so they never undo a
+     * skip, a ramp or a caption rate, or run a live stream past its edge.
+     */
+    getPlaybackRateFor(media) {
+      if (this.silenceSkipping && media === this.silenceMedia) return this.silenceSettings.speed;
+      return this.getSteadyRateFor(media);
+    }
+
+    /**
+     * getPlaybackRateFor() without the brief silence-skipping bursts.
+     */
+    getSteadyRateFor(media) {
+      if (this.isLiveVideo(media)) return this.getLiveRate(media);
+      const rampRate = this.getRampRate(media);
+      if (rampRate !== null) return rampRate;
+      const adaptiveRate = this.getAdaptiveRate(media);
+      return adaptiveRate === null ? this.currentSpeed : adaptiveRate;
+    }
+
+    // ========================================================================
+    // SPEED RAMP
+    // ========================================================================
+
+    /**
+     * Follow the primary media: a different element, or a new source in the same one
+     * (single-page players), starts a fresh ramp from its current position. Then step it.
+     * Called from the speed check and switchActiveVideo.
+     */
+    updateRamp() {
+      if (!this.rampSettings.enabled) {
+        this.ramp = null;
+        return;
+      }
+      const primary = this.indicatorPrimaryVideo || this.selectPrimaryMedia();
+      // No primary for a moment (re-render, another frame elected): keep the ramp where it is
+      if (!primary || this.isLiveVideo(primary)) return;
+      const src = primary.currentSrc || primary.src || "";
+      if (!this.ramp || this.ramp.media !== primary || this.ramp.src !== src) {
+        this.ramp = { media: primary, src, start: primary.currentTime || 0, done: false };
+      }
+      this.stepRamp();
+    }
+
+    /**
+     * 0..1 through the ramp: media time played since it began, over its length (minutes,
+     * or a share of the duration; 0 until the duration is known).
+     */
+    getRampProgress(media) {
+      const { by, minutes, percent } = this.rampSettings;
+      const length = by === "percent" ? (Number.isFinite(media.duration) ? (media.duration * percent) / 100 : 0) : minutes * 60;
+      if (!(length > 0)) return 0;
+      return Math.max(0, Math.min(1, (media.currentTime - this.ramp.start) / length));
+    }
+
+    /**
+     * Rate the ramp puts media at, or null when it isn't ramping (other media, finished,
+     * or stopped by the user).
+     */
+    getRampRate(media) {
+      const ramp = this.ramp;
+      if (!ramp || ramp.done || ramp.media !== media) return null;
+      const { startSpeed, targetSpeed } = this.rampSettings;
+      return Math.round((startSpeed + (targetSpeed - startSpeed) * this.getRampProgress(media)) * 100) / 100;
+    }
+
+    /**
+     * Apply the ramp's current rate. At the end the target becomes the tab's speed
+     * (saved like any other change), so playback carries on at it.
+     */
+    stepRamp() {
+      const ramp = this.ramp;
+      if (!ramp || ramp.done) return;
+      const media = ramp.media;
+      if (this.getRampProgress(media) >= 1) {
+        ramp.done = true;
+        const changed = Math.abs(this.currentSpeed - this.rampSettings.targetSpeed) > 0.001;
+        this.setSpeed(this.rampSettings.targetSpeed, this.showConstantIndicator, this.indicatorPosition);
+        if (changed) this.persistSpeed(this.currentSpeed);
+        return;
+      }
+      try {
+        const rate = this.getPlaybackRateFor(media);
+        if (!this.isTargetMedia(media) || Math.abs((media.playbackRate || 1) - rate) <= 0.01) return;
+        this.setMediaRate(media, rate);
+        if (this.constantIndicator && this.indicatorPrimaryVideo === media) {
+          this.setIndicatorText(this.getIndicatorText(media));
+          this.positionConstantIndicator(this.constantIndicator, media);
+        }
+      } catch (e) {
+        // Detached element
+      }
+    }
+
+    /**
+     * The user picked a speed: it wins over the ramp for the rest of this media.
+     */
+    stopRamp() {
+      if (this.ramp) this.ramp.done = true;
+    }
+
+    // ========================================================================
+    // CAPTION-BASED SPEED
+    // ========================================================================
+
+    /**
+     * On timeupdate of the primary media (throttled): measure how densely the captions
+     * around the playhead speak and set the rate that brings it to the target words per
+     * minute, within the speed bounds. Without readable captions the chosen speed applies.
+     */
+    updateAdaptiveSpeed(media) {
+      if (!this.adaptiveEnabled || !this.ownsPrimaryMedia() || this.isLiveVideo(media)) return;
+      if (media !== (this.indicatorPrimaryVideo || this.selectLocalPrimaryMedia())) return;
+      const src = media.currentSrc || media.src || "";
+      if (!this.adaptive || this.adaptive.media !== media || this.adaptive.src !== src) {
+        this.adaptive = { media, src, available: true, wpm: null, rate: null, stopped: false };
+        this.lastAdaptiveUpdate = 0;
+      }
+      const adaptive = this.adaptive;
+      const now = Date.now();
+      if (adaptive.stopped || now - this.lastAdaptiveUpdate < ADAPTIVE_REFRESH_MS) return;
+      this.lastAdaptiveUpdate = now;
+
+      const track = this.getCaptionTrack(media);
+      adaptive.available = !!track;
+      const wpm = track ? this.measureWpm(media, track) : null;
+      if (wpm !== null) {
+        const { targetWpm, minSpeed, maxSpeed } = this.adaptiveSettings;
+        const ideal = wpm > 0 ? targetWpm / wpm : maxSpeed;
+        adaptive.wpm = wpm;
+        adaptive.rate = Math.max(minSpeed, Math.min(maxSpeed, Math.round(ideal * 20) / 20));
+        try {
+          const rate = this.getPlaybackRateFor(media);
+          if (this.isTargetMedia(media) && Math.abs((media.playbackRate || 1) - rate) > 0.01) this.setMediaRate(media, rate);
+        } catch (e) {
+          // Detached element
+        }
+      }
+      if (this.constantIndicator && this.indicatorPrimaryVideo === media) {
+        this.setIndicatorText(this.getIndicatorText(media));
+        this.positionConstantIndicator(this.constantIndicator, media);
+      }
+      this.reportAdaptiveState();
+    }
+
+    /**
+     * Captions or subtitles track whose cues can be read: the one being shown, else the
+     * first one switched to "hidden" (cues load without appearing on screen). Players that
+     * draw their own captions have none.
+     */
+    getCaptionTrack(media) {
+      try {
+        const tracks = Array.from(media.textTracks || []).filter((t) => t.kind === "captions" || t.kind === "subtitles");
+        const active = tracks.find((t) => t.mode === "showing") || tracks.find((t) => t.mode === "hidden");
+        if (active || tracks.length === 0) return active || null;
+        tracks[0].mode = "hidden";
+        this.hiddenCaptionTrack = tracks[0];
+        return tracks[0];
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * Words per minute of media time over ADAPTIVE_WINDOW_S around the playhead. Cues
+     * partly inside the window count in proportion; pauses between cues count as no words.
+     * Null when the cues aren't loaded or none fall in the window.
+     */
+    measureWpm(media, track) {
+      const cues = track.cues;
+      if (!cues || cues.length === 0) return null;
+      const end = Number.isFinite(media.duration) ? media.duration : Infinity;
+      const from = Math.max(0, Math.min(media.currentTime - ADAPTIVE_WINDOW_S / 2, end - ADAPTIVE_WINDOW_S));
+      const to = Math.min(end, from + ADAPTIVE_WINDOW_S);
+      if (to - from < ADAPTIVE_MIN_SPAN_S) return null;
+
+      let words = 0;
+      let found = false;
+      for (let i = 0; i < cues.length; i++) {
+        const cue = cues[i];
+        if (cue.endTime <= from || cue.startTime >= to) continue;
+        const count = this.countWords(cue.text || "");
+        const length = cue.endTime - cue.startTime;
+        const overlap = Math.min(cue.endTime, to) - Math.max(cue.startTime, from);
+        words += length > 0 ? (count * overlap) / length : count;
+        found = true;
+      }
+      return found ? (words / (to - from)) * 60 : null;
+    }
+
+    /**
+     * Words in a cue, without markup (<i>, <v Speaker>) or sound descriptions ([music]).
+     */
+    countWords(text) {
+      const plain = text.replace(/<[^>]*>/g, " ").replace(/\[[^\]]*\]|\([^)]*\)/g, " ");
+      const words = plain.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu);
+      return words ? words.length : 0;
+    }
+
+    /**
+     * Rate captions call for on media, or null (other media, not measured yet, stopped by the user).
+     */
+    getAdaptiveRate(media) {
+      const adaptive = this.adaptive;
+      if (!this.adaptiveEnabled || !adaptive || adaptive.stopped || adaptive.media !== media) return null;
+      return adaptive.rate;
+    }
+
+    /**
+     * The user picked a speed: it wins over the captions for the rest of this media.
+     */
+    stopAdaptiveSpeed() {
+      if (!this.adaptive || this.adaptive.stopped) return;
+      this.adaptive.stopped = true;
+      this.reportAdaptiveState();
+    }
+
+    /**
+     * Settings changed or the mode was turned off for this site: measure again from scratch,
+     * and hand back a caption track we switched on once the mode is off.
+     */
+    resetAdaptiveSpeed() {
+      const media = this.adaptive && this.adaptive.media;
+      this.adaptive = null;
+      this.lastAdaptiveUpdate = 0;
+      if (!this.adaptiveEnabled && this.hiddenCaptionTrack) {
+        try {
+          if (this.hiddenCaptionTrack.mode === "hidden") this.hiddenCaptionTrack.mode = "disabled";
+        } catch (e) {}
+        this.hiddenCaptionTrack = null;
+      }
+      if (media) {
+        try {
+          if (this.isTargetMedia(media)) this.setMediaRate(media, this.getPlaybackRateFor(media));
+        } catch (e) {}
+      }
+      this.updateIndicators();
+      this.reportAdaptiveState();
+    }
+
+    /**
+     * { enabled, available, wpm (effective, at the current rate), rate, stopped } for the popup.
+     * The top frame reports the elected subframe's numbers when the primary media lives there.
+     */
+    getAdaptiveState() {
+      const enabled = this.adaptiveEnabled;
+      if (this.isTopFrame && this.primaryFrame !== null) {
+        return { enabled, ...(this.remoteAdaptive || { available: true, wpm: null, rate: null, stopped: false }) };
+      }
+      const adaptive = this.adaptive;
+      if (!adaptive) return { enabled, available: true, wpm: null, rate: null, stopped: false };
+      const rate = this.getPlaybackRateFor(adaptive.media);
+      return {
+        enabled,
+        available: adaptive.available,
+        wpm: adaptive.wpm === null ? null : Math.round(adaptive.wpm * rate),
+        rate,
+        stopped: adaptive.stopped,
+      };
+    }
+
+    reportAdaptiveState() {
+      if (this.isTopFrame) {
+        this.pushState();
+      } else {
+        const { available, wpm, rate, stopped } = this.getAdaptiveState();
+        this.postToTopFrame({ type: "adaptive-state", available, wpm, rate, stopped });
+      }
+    }
+
+    // ========================================================================
+    // LIVE CATCH-UP
+    // ========================================================================
+
+    /**
+     * Seconds between the playhead and the live edge: the end of the seekable range, or of
+     * the buffer for players that expose no seekable range. Null when neither is known yet.
+     */
+    getLiveLatency(media) {
+      try {
+        const ranges = media.seekable && media.seekable.length > 0 ? media.seekable : media.buffered;
+        if (!ranges || ranges.length === 0) return null;
+        return Math.max(0, ranges.end(ranges.length - 1) - media.currentTime);
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * Rate for a live stream: the chosen speed, capped at the catch-up speed while behind,
+     * and 1x once within edgeSeconds of live (it can't play ahead of the broadcast).
+     * Slower than 1x is always allowed.
+     */
+    getLiveRate(media) {
+      if (this.currentSpeed <= 1) return this.currentSpeed;
+      const latency = this.getLiveLatency(media);
+      if (latency === null || latency <= this.liveSettings.edgeSeconds) return 1;
+      return Math.min(this.currentSpeed, this.liveSettings.maxSpeed);
+    }
+
+    /**
+     * Caught up: once the primary live stream is within edgeSeconds of live, the tab's
+     * speed goes back to 1x by itself (and is saved, like any other speed change).
+     */
+    checkLiveEdge(media) {
+      if (!this.liveSettings.enabled || this.currentSpeed <= 1 || !this.isLiveVideo(media)) return;
+      const latency = this.getLiveLatency(media);
+      if (latency === null || latency > this.liveSettings.edgeSeconds) return;
+      this.setSpeed(1, this.showConstantIndicator, this.indicatorPosition);
+      this.persistSpeed(1);
+    }
+
+    /**
+     * Live catch-up was switched or retuned: live streams join or leave targeting. When it
+     * is turned off they go back to 1x, since nothing will keep them near the edge.
+     */
+    updateLiveCatchUp(wasEnabled) {
+      if (wasEnabled && !this.liveSettings.enabled) {
+        for (const media of this.videos) {
+          try {
+            if (this.isLiveVideo(media) && media.playbackRate !== 1) this.setMediaRate(media, 1);
+          } catch (e) {
+            // Detached element
+          }
+        }
+      }
+      this.findAndSetupVideos();
+    }
+
+    // ========================================================================
+    // SILENCE SKIPPING
+    // ========================================================================
+
+    /**
+     * Start or stop analysing the primary media to match the settings and the
+     * current primary. Only the frame that owns the primary media analyses it.
+     */
+    updateSilenceSkip() {
+      if (this.silenceAttaching) return;
+      const media = this.silenceSettings.enabled && this.ownsPrimaryMedia() ? this.selectPrimaryMedia() : null;
+      if (media === this.silenceMedia && (media === null || this.silenceIntervalId)) return;
+
+      this.stopSilenceMonitor();
+      if (!media || this.silenceUnreadable.has(media) || this.isLiveVideo(media)) return;
+      // Source not chosen yet: decide once it has one
+      if (!media.currentSrc && !media.src && !media.srcObject) return;
+      if (!this.silenceAnalysers.has(media) && !this.isAudioReadable(media)) {
+        this.silenceUnreadable.add(media);
+        this.reportSilenceState();
+        return;
+      }
+      this.startSilenceMonitor(media);
+    }
+
+    /**
+     * Web Audio only hears cross-origin media fetched with CORS; anything else comes out
+     * as silence, and routing it through the analyser would silence it for the user too.
+     * MSE players (blob: URLs) and same-origin files are readable.
+     */
+    isAudioReadable(media) {
+      if (media.srcObject) return false;
+      const src = media.currentSrc || media.src;
+      if (src.startsWith("blob:") || src.startsWith("data:")) return true;
+      if (media.crossOrigin !== null) return true;
+      try {
+        return new URL(src, location.href).origin === location.origin;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /**
+     * Route the media through an AnalyserNode (and on to the speakers) and sample its level.
+     * Waits for a user gesture on the page: before one, the AudioContext can't start, and
+     * routing the media into a suspended context would mute it.
+     */
+    async startSilenceMonitor(media) {
+      if (this.silenceAttaching) return;
+      this.silenceMedia = media;
+      if (!this.silenceAnalysers.has(media)) {
+        if (navigator.userActivation && !navigator.userActivation.hasBeenActive) {
+          this.silenceMedia = null;
+          return;
+        }
+        this.silenceAttaching = true;
+        try {
+          if (!this.audioContext) this.audioContext = new AudioContext();
+          if (this.audioContext.state !== "running") await this.audioContext.resume();
+          if (this.audioContext.state !== "running" || this.silenceMedia !== media) return;
+          const source = this.audioContext.createMediaElementSource(media);
+          const analyser = this.audioContext.createAnalyser();
+          analyser.fftSize = 2048;
+          source.connect(analyser);
+          source.connect(this.audioContext.destination);
+          this.silenceAnalysers.set(media, { analyser, samples: new Float32Array(analyser.fftSize) });
+        } catch (e) {
+          // The page already routes this element through its own audio graph
+          console.warn("[SpeedTune] Silence skipping unavailable for this media:", e);
+          this.silenceUnreadable.add(media);
+          this.silenceMedia = null;
+          return;
+        } finally {
+          this.silenceAttaching = false;
+        }
+      }
+      if (this.silenceMedia !== media) return;
+
+      this.silenceSince = 0;
+      this.silenceLastTime = null;
+      this.silenceHeardSignal = false;
+      this.silenceZeroMs = 0;
+      this.silenceIntervalId = setInterval(() => this.sampleSilence(), SILENCE_SAMPLE_MS);
+    }
+
+    /**
+     * Stop sampling and hand the media back to the chosen speed. The Web Audio
+     * routing stays (it can't be undone) and keeps playing to the speakers.
+     */
+    stopSilenceMonitor() {
+      if (this.silenceIntervalId) {
+        clearInterval(this.silenceIntervalId);
+        this.silenceIntervalId = null;
+      }
+      this.setSilenceSkipping(false);
+      this.silenceMedia = null;
+    }
+
+    /**
+     * One level sample: enter the skip after minSilenceMs below the threshold, leave it
+     * on the first sample above. Paused, muted and silent-by-volume media never skip.
+     */
+    sampleSilence() {
+      const media = this.silenceMedia;
+      const entry = media && this.silenceAnalysers.get(media);
+      if (!entry || !document.contains(media)) {
+        this.updateSilenceSkip();
+        return;
+      }
+      if (media.paused || media.ended || media.muted || media.volume === 0 || media.seeking) {
+        this.silenceSince = 0;
+        this.silenceLastTime = null;
+        this.setSilenceSkipping(false);
+        return;
+      }
+
+      // Time saved: media time covered at the silence speed instead of the chosen speed
+      const time = media.currentTime;
+      if (this.silenceSkipping && this.silenceLastTime !== null) {
+        const covered = time - this.silenceLastTime;
+        if (covered > 0 && covered < 2 * this.silenceSettings.speed) {
+          this.silenceTimeSaved += covered / this.currentSpeed - covered / this.silenceSettings.speed;
+        }
+      }
+      this.silenceLastTime = time;
+
+      entry.analyser.getFloatTimeDomainData(entry.samples);
+      let sum = 0;
+      for (const sample of entry.samples) sum += sample * sample;
+      const rms = Math.sqrt(sum / entry.samples.length);
+
+      if (rms === 0 && !this.silenceHeardSignal) {
+        this.silenceZeroMs += SILENCE_SAMPLE_MS;
+        if (this.silenceZeroMs >= SILENCE_UNREADABLE_MS) {
+          // Safety net for media that reads as pure zeros (e.g. a redirect to another origin): never treat that as silence
+          this.silenceUnreadable.add(media);
+          this.stopSilenceMonitor();
+          this.reportSilenceState();
+        }
+        return;
+      }
+      if (rms > 0) this.silenceHeardSignal = true;
+
+      const level = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+      if (level < this.silenceSettings.threshold) {
+        const now = Date.now();
+        if (!this.silenceSince) this.silenceSince = now;
+        if (now - this.silenceSince >= this.silenceSettings.minSilenceMs && this.silenceSettings.speed > this.currentSpeed) {
+          this.setSilenceSkipping(true);
+        }
+      } else {
+        this.silenceSince = 0;
+        this.setSilenceSkipping(false);
+      }
+    }
+
+    setSilenceSkipping(active) {
+      if (this.silenceSkipping === active) return;
+      this.silenceSkipping = active;
+      const media = this.silenceMedia;
+      if (media) {
+        try {
+          this.setMediaRate(media, this.getPlaybackRateFor(media));
+        } catch (e) {}
+      }
+      if (this.constantIndicator && this.indicatorPrimaryVideo) {
+        this.setIndicatorText(this.getIndicatorText(this.indicatorPrimaryVideo));
+      }
+      this.reportSilenceState();
+    }
+
+    /**
+     * { enabled, active, available, timeSaved } for the popup. The top frame reports the
+     * elected subframe's numbers when the primary media lives there.
+     */
+    getSilenceState() {
+      const enabled = this.silenceSettings.enabled;
+      if (this.isTopFrame && this.primaryFrame !== null) {
+        const remote = this.remoteSilence || { active: false, timeSaved: 0 };
+        return { enabled, active: remote.active, available: true, timeSaved: remote.timeSaved };
+      }
+      const primary = this.selectLocalPrimaryMedia();
+      return {
+        enabled,
+        active: this.silenceSkipping,
+        available: !primary || !this.silenceUnreadable.has(primary),
+        timeSaved: this.silenceTimeSaved,
+      };
+    }
+
+    reportSilenceState() {
+      if (this.isTopFrame) {
+        this.pushState();
+      } else {
+        this.postToTopFrame({ type: "silence-state", active: this.silenceSkipping, timeSaved: this.silenceTimeSaved });
+      }
+    }
+
+    // ========================================================================
+    // REMAINING TIME
+    // ========================================================================
+
+    /**
+     * Real time left at the rate the media plays at: { remaining (seconds), paused }. That
+     * includes a ramp, caption-based speed or a rate the page set itself, but not the brief
+     * silence-skipping bursts, so the estimate doesn't jump around.
+     * Live streams under catch-up report { behindLive (seconds), caughtUp, rate, paused }
+     * instead; null for other live streams and media without a known length.
+     */
+    getMediaTiming(media) {
+      try {
+        if (!media) return null;
+        if (this.isLiveVideo(media)) {
+          const latency = this.liveSettings.enabled ? this.getLiveLatency(media) : null;
+          if (latency === null) return null;
+          return {
+            behindLive: Math.round(latency),
+            caughtUp: latency <= this.liveSettings.edgeSeconds,
+            rate: this.getLiveRate(media),
+            paused: media.paused,
+          };
+        }
+        if (!Number.isFinite(media.duration) || media.duration <= 0) return null;
+        const skipping = this.silenceSkipping && media === this.silenceMedia;
+        const rate = skipping || !(media.playbackRate > 0) ? this.getSteadyRateFor(media) : media.playbackRate;
+        const remaining = Math.max(0, media.duration - media.currentTime) / rate;
+        return { remaining: Math.round(remaining), paused: media.paused };
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * Timing for the tab's primary media (the elected subframe's when it lives there).
+     */
+    getPrimaryTiming() {
+      if (this.isTopFrame && this.primaryFrame !== null) return this.remoteTiming;
+      return this.getMediaTiming(this.indicatorPrimaryVideo || this.selectLocalPrimaryMedia());
+    }
+
+    /**
+     * Throttled refresh on timeupdate: live-edge check, indicator text, popup state, or the
+     * top frame (subframes).
+     */
+    refreshTiming(media) {
+      if (!this.ownsPrimaryMedia()) return;
+      const now = Date.now();
+      if (now - this.lastTimingRefresh < TIMING_REFRESH_MS) return;
+      if (media !== (this.indicatorPrimaryVideo || this.selectLocalPrimaryMedia())) return;
+      this.lastTimingRefresh = now;
+      this.checkLiveEdge(media);
+
+      const live = this.isLiveVideo(media);
+      if (this.constantIndicator && this.indicatorPrimaryVideo === media && (live || this.indicatorMode !== "speed")) {
+        this.setIndicatorText(this.getIndicatorText(media));
+        // Right/bottom-anchored positions depend on the text width
+        this.positionConstantIndicator(this.constantIndicator, media);
+      }
+      if (this.isTopFrame) {
+        this.pushState();
+      } else {
+        this.postToTopFrame({ type: "media-timing", timing: this.getMediaTiming(media) });
+      }
+    }
+
+    /**
+     * "1:05:09" or "12:34".
+     */
+    formatDuration(seconds) {
+      const total = Math.max(0, Math.round(seconds));
+      const h = Math.floor(total / 3600);
+      const m = Math.floor((total % 3600) / 60);
+      const sec = String(total % 60).padStart(2, "0");
+      return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+    }
+
+    /**
+     * Remaining-time suffix for the indicator ("" in speed-only mode or without a known length).
+     * Live streams always show how far behind live they are, whatever the mode.
+     */
+    getTimingText(media) {
+      if (this.isLiveVideo(media)) {
+        const timing = this.getMediaTiming(media);
+        if (!timing) return "";
+        return timing.caughtUp ? " \u00B7 live" : ` \u00B7 ${this.formatDuration(timing.behindLive)} behind live`;
+      }
+      if (this.indicatorMode === "speed") return "";
+      const timing = this.getMediaTiming(media);
+      if (!timing) return "";
+      if (this.indicatorMode === "remaining") return ` \u00B7 ${this.formatDuration(timing.remaining)} left`;
+      const finish = new Date(Date.now() + timing.remaining * 1000);
+      return ` \u00B7 ends ${finish.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}`;
+    }
+
+    // ========================================================================
     // SPEED INDICATORS
     // ========================================================================
 
     /**
-     * Update indicators based on current mode
-     * @param {boolean} isSpeedChange - Whether this is triggered by a speed change
+     * Update indicators based on current mode
+     * @param {boolean} isSpeedChange - Whether this is triggered by a speed change
+     */
+    updateIndicators(isSpeedChange = false) {
+      // Check if there are any videos or audio on the page
+      const allVideos = this.getAllMedia();
+      const hasVideos = allVideos.length > 0;
+
+      // If no videos found, hide all indicators
+      if (!hasVideos) {
+        this.hideConstantIndicator();
+        return;
+      }
+
+      // If Speed Indicator toggle is OFF, hide everything completely
+      if (!this.showConstantIndicator) {
+        this.hideConstantIndicator();
+        return;
+      }
+
+      // Speed Indicator is ON - show constant indicator (briefly on a change, with auto-hide)
+      this.showConstantSpeedIndicator();
+      if (isSpeedChange) this.revealIndicator();
+    }
+
+    /**
+     * Show constant speed indicator (persistent HUD).
+     * Only called when showConstantIndicator is true. Only shows for a primary
+     * video in the main document that is meaningfully visible; avoids showing
+     * on article/image pages where the only video is in an iframe (e.g. ad).
+     */
+    showConstantSpeedIndicator() {
+      // Double-check: Don't show if indicator is disabled
+      if (!this.showConstantIndicator) {
+        this.hideConstantIndicator();
+        return;
+      }
+
+      const targetVideo = this.getPrimaryVideoForIndicator();
+      if (!targetVideo) {
+        this.hideConstantIndicator();
+        return;
+      }
+      if (!this.shouldShowIndicatorForVideo(targetVideo)) {
+        this.hideConstantIndicator();
+        return;
+      }
+
+      if (this.constantIndicator) {
+        // Update existing indicator (only if indicator is enabled)
+        if (this.showConstantIndicator) {
+          this.indicatorPrimaryVideo = targetVideo;
+          this.setIndicatorText(this.getIndicatorText(targetVideo));
+          this.positionConstantIndicator(this.constantIndicator, targetVideo);
+        } else {
+          // Indicator was disabled - remove it
+          this.hideConstantIndicator();
+        }
+      } else {
+        // Create new indicator (only if enabled)
+        if (this.showConstantIndicator) {
+          this.createConstantIndicator(targetVideo);
+        }
+      }
+    }
+
+    /**
+     * Create constant speed indicator element (fade-in).
+     * Only creates if indicator is enabled.
+     */
+    createConstantIndicator(video) {
+      // Don't create if indicator is disabled
+      if (!this.showConstantIndicator) {
+        return;
+      }
+
+      try {
+        if (this.indicatorControls) {
+          this.constantIndicator = this.createControllerOverlay();
+        } else {
+          this.constantIndicator = this.createReadOnlyIndicator();
+          this.indicatorLabel = this.constantIndicator;
+        }
+        if (this.indicatorAppearance.autoHide) {
+          // Hidden until a speed change or the pointer over the video shows it
+          Object.assign(this.constantIndicator.style, {
+            opacity: "0",
+            visibility: "hidden",
+            transition: "opacity 0.3s, visibility 0.3s",
+          });
+        }
+        if (this.indicatorControls || this.indicatorAppearance.autoHide) {
+          this.indicatorPointerHandler = (e) => this.onIndicatorPointerMove(e);
+          document.addEventListener("pointermove", this.indicatorPointerHandler, { capture: true, passive: true });
+        }
+
+        this.setIndicatorText(this.getIndicatorText(video));
+
+        // Cache primary so scroll/resize only reposition (no expensive getPrimaryVideoForIndicator on every scroll)
+        this.indicatorPrimaryVideo = video;
+        this.getIndicatorContainer().appendChild(this.constantIndicator);
+        this.positionConstantIndicator(this.constantIndicator, video);
+
+        // On scroll/resize: hide instantly if video scrolled out of view; otherwise reposition.
+        const updatePosition = () => {
+          if (!this.showConstantIndicator || !this.constantIndicator) {
+            this.hideConstantIndicator();
+            return;
+          }
+          let video = this.indicatorPrimaryVideo;
+          if (!video || !document.contains(video)) {
+            video = this.getPrimaryVideoForIndicator();
+            this.indicatorPrimaryVideo = video;
+            if (!video) {
+              this.hideConstantIndicator();
+              return;
+            }
+          }
+          if (this.isAudioElement(video)) {
+            this.positionConstantIndicator(this.constantIndicator, video);
+            return;
+          }
+          const rect = video.getBoundingClientRect();
+          const inView =
+            rect.right > 0 &&
+            rect.left < window.innerWidth &&
+            rect.bottom > 0 &&
+            rect.top < window.innerHeight;
+          if (!inView) {
+            this.hideConstantIndicator();
+            return;
+          }
+          this.positionConstantIndicator(this.constantIndicator, video);
+        };
+        this.constantIndicatorUpdateHandlers.push(updatePosition);
+        window.addEventListener("scroll", updatePosition, { passive: true });
+        window.addEventListener("resize", updatePosition, { passive: true });
+
+        // Periodic reconciliation (anti-desync): DOM/SPA/route changes; only switch when primary changes.
+        const RECONCILE_MS = 800;
+        this.indicatorRecomputeIntervalId = setInterval(() => {
+          if (!this.showConstantIndicator) return;
+          const primary = this.selectPrimaryMedia();
+          if (!primary) {
+            if (this.constantIndicator) this.hideConstantIndicator();
+            return;
+          }
+          if (
+            this.indicatorPrimaryVideo &&
+            !this.shouldShowIndicatorForVideo(this.indicatorPrimaryVideo)
+          ) {
+            this.hideConstantIndicator();
+            return;
+          }
+          if (primary !== this.indicatorPrimaryVideo) {
+            this.switchActiveVideo(primary);
+            return;
+          }
+          if (this.constantIndicator) {
+            this.positionConstantIndicator(this.constantIndicator, primary);
+          }
+        }, RECONCILE_MS);
+      } catch (error) {
+        console.error("[SpeedTune] Error creating constant indicator:", error);
+      }
+    }
+
+    /**
+     * Read-only speed pill; clicks pass through to the player.
+     */
+    createReadOnlyIndicator() {
+      const indicator = document.createElement("div");
+      indicator.className = "speed-tune-constant-indicator";
+      indicator.setAttribute("aria-live", "polite");
+      indicator.setAttribute("role", "status");
+
+      // Styling: no transition — instant show, correct position only
+      Object.assign(indicator.style, {
+        position: "absolute",
+        zIndex: "999999",
+        backdropFilter: "blur(10px)",
+        fontWeight: "600",
+        fontFamily:
+          '"Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+        pointerEvents: "none",
+        ...SpeedTuneSettings.indicatorStyleFor(this.indicatorAppearance),
+      });
+      return indicator;
+    }
+
+    setIndicatorText(text) {
+      if (this.indicatorLabel) this.indicatorLabel.textContent = text;
+    }
+
+    /**
+     * Auto-hide: show the indicator, then fade it hideSeconds later (later still while
+     * the controls are in use).
+     */
+    revealIndicator() {
+      const indicator = this.constantIndicator;
+      if (!indicator || !this.indicatorAppearance.autoHide) return;
+      indicator.style.opacity = "1";
+      indicator.style.visibility = "visible";
+      if (this.indicatorHideTimer) clearTimeout(this.indicatorHideTimer);
+      this.indicatorHideTimer = setTimeout(() => this.fadeIndicatorWhenIdle(), this.indicatorAppearance.hideSeconds * 1000);
+    }
+
+    fadeIndicatorWhenIdle() {
+      this.indicatorHideTimer = null;
+      if (!this.constantIndicator) return;
+      if (this.isOverlayBusy()) {
+        this.indicatorHideTimer = setTimeout(() => this.fadeIndicatorWhenIdle(), this.indicatorAppearance.hideSeconds * 1000);
+        return;
+      }
+      this.constantIndicator.style.opacity = "0";
+      this.constantIndicator.style.visibility = "hidden";
+    }
+
+    /**
+     * Pointer over the video (or the controls): show an auto-hidden indicator and unfold the
+     * controls, folding them OVERLAY_HIDE_MS after it stops.
+     */
+    onIndicatorPointerMove(e) {
+      const media = this.indicatorPrimaryVideo;
+      if (!this.constantIndicator || !media) return;
+      const rect = this.getIndicatorAnchorRect(media);
+      const overVideo = e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+      if (!overVideo && !this.constantIndicator.matches(":hover")) return;
+      this.revealIndicator();
+      if (!this.overlay) return;
+      this.setOverlayOpen(true);
+      if (this.overlayCloseTimer) clearTimeout(this.overlayCloseTimer);
+      this.overlayCloseTimer = setTimeout(() => this.closeOverlayWhenIdle(), OVERLAY_HIDE_MS);
+    }
+
+    /**
+     * Find the media element at viewport coordinates: the topmost video/audio under the
+     * cursor (players often cover the video with transparent layers) or an ancestor of it.
+     */
+    getVideoAtPoint(clientX, clientY) {
+      try {
+        for (const el of document.elementsFromPoint(clientX, clientY)) {
+          let node = el;
+          while (node) {
+            if (node instanceof HTMLMediaElement) return node;
+            node = node.parentElement;
+          }
+        }
+        return null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * Indicator label: speed (plus remaining or finish time, per indicatorMode, or the
+     * distance behind live), prefixed with a note symbol for audio-only playback. Shows the
+     * rate the media actually plays at (silence speed, capped live rate, ramp, captions), the
+     * effective words per minute under caption-based speed, and says when Chrome has muted
+     * the sound at that rate.
+     */
+    getIndicatorText(media) {
+      const skipping = this.silenceSkipping && media === this.silenceMedia;
+      const rate = this.getPlaybackRateFor(media);
+      let speed = SpeedTuneSettings.formatIndicatorSpeed(rate, this.indicatorAppearance.decimals);
+      if (skipping) speed = `\u23E9 ${speed}`;
+      else if (this.getRampRate(media) !== null) speed = `\u2197 ${speed}`;
+      // Skipped stretches are quiet anyway
+      const muted = !skipping && this.isRateMuted(media, rate) ? " \u00B7 muted" : "";
+      const adaptive = this.adaptive;
+      const wpm =
+        this.adaptiveEnabled && adaptive && adaptive.media === media && adaptive.wpm !== null
+          ? ` \u00B7 ${Math.round(adaptive.wpm * rate)} wpm`
+          : "";
+      const label = `${speed}${muted}${wpm}${this.getTimingText(media)}`;
+      return this.isAudioElement(media) ? `\u266A ${label}` : label;
+    }
+
+    /**
+     * Rect the indicator is anchored to: the video box, or the viewport for audio.
+     */
+    getIndicatorAnchorRect(media) {
+      if (this.isAudioElement(media)) {
+        return { top: 0, left: 0, right: window.innerWidth, bottom: window.innerHeight, width: window.innerWidth, height: window.innerHeight };
+      }
+      return media.getBoundingClientRect();
+    }
+
+    /**
+     * Position constant indicator relative to video, or to the viewport for audio (safe for detached nodes).
+     * Controls dragged on this site keep their spot; otherwise indicatorPosition is the preset used.
+     */
+    positionConstantIndicator(indicator, video) {
+      try {
+        if (!indicator || !video || !document.contains(video)) return;
+        // The drag sets the position itself
+        if (this.overlayDragging) return;
+        const videoRect = this.getIndicatorAnchorRect(video);
+        const indicatorRect = indicator.getBoundingClientRect();
+        const dragged = this.indicatorControls ? this.overlayPosition : null;
+
+        let top, left;
+        if (dragged) {
+          top = videoRect.top + dragged.y * Math.max(0, videoRect.height - indicatorRect.height);
+          left = videoRect.left + dragged.x * Math.max(0, videoRect.width - indicatorRect.width);
+        } else {
+          switch (this.indicatorPosition) {
+            case "top-left":
+              top = videoRect.top + 10;
+              left = videoRect.left + 10;
+              break;
+            case "top-right":
+              top = videoRect.top + 10;
+              left = videoRect.right - indicatorRect.width - 10;
+              break;
+            case "bottom-left":
+              top = videoRect.bottom - indicatorRect.height - 10;
+              left = videoRect.left + 10;
+              break;
+            case "bottom-right":
+              top = videoRect.bottom - indicatorRect.height - 10;
+              left = videoRect.right - indicatorRect.width - 10;
+              break;
+            case "center":
+              top = videoRect.top + (videoRect.height - indicatorRect.height) / 2;
+              left = videoRect.left + (videoRect.width - indicatorRect.width) / 2;
+              break;
+            default:
+              top = videoRect.top + 10;
+              left = videoRect.left + 10;
+          }
+        }
+
+        top = Math.max(10, Math.min(window.innerHeight - indicatorRect.height - 10, top));
+        left = Math.max(10, Math.min(window.innerWidth - indicatorRect.width - 10, left));
+
+        this.placeIndicator(indicator, top, left);
+      } catch (e) {
+        // Detached or inaccessible node
+      }
+    }
+
+    /**
+     * Put the indicator at viewport coordinates: page coordinates in the body, pinned to the
+     * viewport inside a fullscreen element (page scroll doesn't move it there).
+     */
+    placeIndicator(indicator, top, left) {
+      const pinned = indicator.parentNode !== document.body;
+      indicator.style.position = pinned ? "fixed" : "absolute";
+      indicator.style.top = `${top + (pinned ? 0 : window.scrollY)}px`;
+      indicator.style.left = `${left + (pinned ? 0 : window.scrollX)}px`;
+    }
+
+    /**
+     * Hide constant indicator instantly (no fade — clear for user when disabled)
+     */
+    hideConstantIndicator() {
+      if (!this.constantIndicator) return;
+
+      if (this.indicatorRecomputeIntervalId) {
+        clearInterval(this.indicatorRecomputeIntervalId);
+        this.indicatorRecomputeIntervalId = null;
+      }
+      this.lastIndicatorHideTime = Date.now();
+      const el = this.constantIndicator;
+      const handlers = [...this.constantIndicatorUpdateHandlers];
+      this.constantIndicator = null;
+      this.constantIndicatorUpdateHandlers = [];
+      this.indicatorPrimaryVideo = null;
+      this.indicatorLabel = null;
+      if (this.indicatorHideTimer) {
+        clearTimeout(this.indicatorHideTimer);
+        this.indicatorHideTimer = null;
+      }
+      if (this.indicatorPointerHandler) {
+        document.removeEventListener("pointermove", this.indicatorPointerHandler, { capture: true });
+        this.indicatorPointerHandler = null;
+      }
+      this.removeControllerOverlay();
+
+      try {
+        el.remove();
+      } catch (e) {}
+      handlers.forEach((handler) => {
+        window.removeEventListener("scroll", handler);
+        window.removeEventListener("resize", handler);
+      });
+    }
+
+    // ========================================================================
+    // CONTROLLER OVERLAY
+    // ========================================================================
+
+    /**
+     * Interactive indicator (indicatorControls): the speed, plus rewind, −, +, advance and 1x
+     * buttons that unfold while the pointer is over the video. Click the speed to type one;
+     * drag the handle to move it (remembered per site, double-click to go back to the preset).
+     * Lives in a closed shadow root, and its events stay out of the page's handlers.
      */
-    updateIndicators(isSpeedChange = false) {
-      // Check if there are any videos on the page
-      const allVideos = this.getAllVideos();
-      const hasVideos = allVideos.length > 0;
+    createControllerOverlay() {
+      const host = document.createElement("speed-tune-overlay");
+      host.className = "speed-tune-constant-indicator";
+      Object.assign(host.style, {
+        all: "initial",
+        position: "absolute",
+        zIndex: "999999",
+        display: "block",
+      });
+      const root = host.attachShadow({ mode: "closed" });
+      const style = document.createElement("style");
+      style.textContent = OVERLAY_CSS;
+
+      const pill = document.createElement("div");
+      pill.className = "pill";
+      Object.assign(pill.style, SpeedTuneSettings.indicatorStyleFor(this.indicatorAppearance));
+      const makeButton = (className, text, label, onClick) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = className;
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute("aria-label", label);
+        button.addEventListener("click", onClick);
+        return button;
+      };
+      const speedAction = (action) => () => {
+        const speed = this.getSpeedForAction(action);
+        if (speed !== null) this.applyUserSpeed(speed);
+      };
+
+      const grip = document.createElement("span");
+      grip.className = "grip control";
+      grip.textContent = "\u283F";
+      grip.title = "Drag to move; double-click to put back";
+      grip.addEventListener("pointerdown", (e) => this.startOverlayDrag(e, grip));
+      grip.addEventListener("dblclick", () => this.resetOverlayPosition());
+
+      const label = makeButton("label", "", "Type a speed", () => this.startSpeedEntry());
+      label.removeAttribute("aria-label");
+      label.setAttribute("aria-live", "polite");
+
+      pill.append(
+        grip,
+        makeButton("control", "\u00AB", `Back ${this.seekSeconds} seconds`, () => this.runMediaAction("rewind")),
+        makeButton("control", "\u2212", "Slower", speedAction("decreaseSmall")),
+        label,
+        makeButton("control", "+", "Faster", speedAction("increaseSmall")),
+        makeButton("control", "\u00BB", `Forward ${this.seekSeconds} seconds`, () => this.runMediaAction("advance")),
+        makeButton("control", "1x", "Normal speed", speedAction("reset"))
+      );
+      if (this.canPopOut()) {
+        pill.append(makeButton("control", "\u29C9", "Pop out with speed controls", () => this.popOutMedia()));
+      }
+      // Keep clicks and keys on the controls away from the page (players pause on click)
+      ["click", "dblclick", "pointerdown", "mousedown", "mouseup", "keydown", "keyup", "wheel"].forEach((type) => {
+        pill.addEventListener(type, (e) => e.stopPropagation());
+      });
+      root.append(style, pill);
 
-      // If no videos found, hide all indicators
-      if (!hasVideos) {
-        this.hideConstantIndicator();
-        this.hidePopupToast();
+      this.overlay = { root, pill, label };
+      this.indicatorLabel = label;
+      return host;
+    }
+
+    removeControllerOverlay() {
+      if (this.overlayCloseTimer) {
+        clearTimeout(this.overlayCloseTimer);
+        this.overlayCloseTimer = null;
+      }
+      this.overlay = null;
+      this.overlayDragging = false;
+      this.overlayEditing = false;
+    }
+
+    /**
+     * Fold the buttons unless the pointer or keyboard focus is on them, or a drag or typed
+     * speed is in progress.
+     */
+    closeOverlayWhenIdle() {
+      this.overlayCloseTimer = null;
+      if (!this.overlay) return;
+      if (this.isOverlayBusy()) {
+        this.overlayCloseTimer = setTimeout(() => this.closeOverlayWhenIdle(), OVERLAY_HIDE_MS);
+        return;
+      }
+      this.setOverlayOpen(false);
+    }
+
+    isOverlayBusy() {
+      if (!this.overlay) return false;
+      return (
+        this.overlayDragging ||
+        this.overlayEditing ||
+        !!this.overlay.root.activeElement ||
+        this.constantIndicator.matches(":hover")
+      );
+    }
+
+    setOverlayOpen(open) {
+      const { pill } = this.overlay;
+      if (pill.classList.contains("open") === open) return;
+      pill.classList.toggle("open", open);
+      // Width changed: corner presets keep their corner
+      if (this.indicatorPrimaryVideo) this.positionConstantIndicator(this.constantIndicator, this.indicatorPrimaryVideo);
+    }
+
+    /**
+     * Swap the speed for a number field: Enter applies, Escape or leaving it cancels.
+     */
+    startSpeedEntry() {
+      if (!this.overlay || this.overlayEditing) return;
+      const { label } = this.overlay;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = String(SpeedTuneSettings.SPEED_MIN);
+      input.max = String(SpeedTuneSettings.SPEED_MAX);
+      input.step = "0.05";
+      input.value = String(this.currentSpeed);
+      input.setAttribute("aria-label", "Playback speed");
+
+      let done = false;
+      const finish = (apply) => {
+        if (done) return;
+        done = true;
+        const value = parseFloat(input.value);
+        input.remove();
+        label.hidden = false;
+        this.overlayEditing = false;
+        if (apply && Number.isFinite(value)) this.applyUserSpeed(SpeedTuneSettings.clampSpeed(value));
+        else if (this.indicatorPrimaryVideo) this.positionConstantIndicator(this.constantIndicator, this.indicatorPrimaryVideo);
+      };
+      input.addEventListener("keydown", (e) => {
+        if (e.key !== "Enter" && e.key !== "Escape") return;
+        finish(e.key === "Enter");
+        label.focus();
+      });
+      input.addEventListener("blur", () => finish(false));
+
+      this.overlayEditing = true;
+      label.hidden = true;
+      label.after(input);
+      input.focus();
+      input.select();
+    }
+
+    /**
+     * Move the controls with the pointer; where they are dropped becomes this site's spot.
+     */
+    startOverlayDrag(e, grip) {
+      if (e.button !== 0 || !this.constantIndicator) return;
+      e.preventDefault();
+      const host = this.constantIndicator;
+      const start = host.getBoundingClientRect();
+      const offsetX = e.clientX - start.left;
+      const offsetY = e.clientY - start.top;
+      try {
+        grip.setPointerCapture(e.pointerId);
+      } catch (err) {}
+      this.overlayDragging = true;
+      let moved = false;
+
+      const move = (ev) => {
+        moved = moved || Math.abs(ev.clientX - e.clientX) > 3 || Math.abs(ev.clientY - e.clientY) > 3;
+        if (!moved) return;
+        const rect = host.getBoundingClientRect();
+        const left = Math.max(0, Math.min(window.innerWidth - rect.width, ev.clientX - offsetX));
+        const top = Math.max(0, Math.min(window.innerHeight - rect.height, ev.clientY - offsetY));
+        this.placeIndicator(host, top, left);
+      };
+      const end = () => {
+        grip.removeEventListener("pointermove", move);
+        grip.removeEventListener("pointerup", end);
+        grip.removeEventListener("pointercancel", end);
+        this.overlayDragging = false;
+        const media = this.indicatorPrimaryVideo;
+        // A click (or double-click) on the handle isn't a move
+        if (!moved || !media || this.constantIndicator !== host) return;
+        const anchor = this.getIndicatorAnchorRect(media);
+        const rect = host.getBoundingClientRect();
+        const fraction = (offset, free) => (free > 0 ? Math.round(Math.max(0, Math.min(1, offset / free)) * 1000) / 1000 : 0);
+        this.saveOverlayPosition({
+          x: fraction(rect.left - anchor.left, anchor.width - rect.width),
+          y: fraction(rect.top - anchor.top, anchor.height - rect.height),
+        });
+      };
+      grip.addEventListener("pointermove", move);
+      grip.addEventListener("pointerup", end);
+      grip.addEventListener("pointercancel", end);
+    }
+
+    /**
+     * Back to the indicatorPosition preset on this site.
+     */
+    resetOverlayPosition() {
+      this.saveOverlayPosition(null);
+      if (this.constantIndicator && this.indicatorPrimaryVideo) {
+        this.positionConstantIndicator(this.constantIndicator, this.indicatorPrimaryVideo);
+      }
+    }
+
+    /**
+     * Remember (or forget, with null) where the controls sit on this site, in the synced settings.
+     */
+    saveOverlayPosition(position) {
+      const host = this.getTabSiteKey();
+      if (!host) return;
+      this.overlayPosition = position;
+      try {
+        chrome.storage.sync.get(["speedTuneSettings"], (result) => {
+          if (chrome.runtime.lastError) return;
+          const settings = SpeedTuneSettings.migrateSettings(result.speedTuneSettings);
+          const overlayPositions = { ...settings.overlayPositions };
+          if (position) overlayPositions[host] = position;
+          else delete overlayPositions[host];
+          chrome.storage.sync.set({ speedTuneSettings: { ...settings, overlayPositions } }, () => {
+            if (chrome.runtime.lastError) {
+              console.error("[SpeedTune] Error saving controls position:", chrome.runtime.lastError);
+            }
+          });
+        });
+      } catch (e) {
+        // Extension context invalidated
+      }
+    }
+
+    // ========================================================================
+    // FULLSCREEN AND PICTURE-IN-PICTURE
+    // ========================================================================
+
+    /**
+     * Fullscreen puts the player in the top layer, above the body: move the indicator into
+     * the fullscreen element while it holds the primary video, and back out afterwards.
+     */
+    setupFullscreenListener() {
+      this.fullscreenHandler = () => {
+        const indicator = this.constantIndicator;
+        if (!indicator) return;
+        const container = this.getIndicatorContainer();
+        if (indicator.parentNode !== container) container.appendChild(indicator);
+        if (this.indicatorPrimaryVideo) this.positionConstantIndicator(indicator, this.indicatorPrimaryVideo);
+      };
+      document.addEventListener("fullscreenchange", this.fullscreenHandler);
+    }
+
+    /**
+     * Where the indicator is attached: the fullscreen element around the primary video, else the
+     * body. A <video> that is itself fullscreen can't hold other elements, so nothing shows over it.
+     */
+    getIndicatorContainer() {
+      const fullscreen = document.fullscreenElement;
+      const media = this.indicatorPrimaryVideo;
+      if (fullscreen && media && fullscreen !== media && !(fullscreen instanceof HTMLMediaElement)) {
+        try {
+          if (fullscreen.contains(media)) return fullscreen;
+        } catch (e) {}
+      }
+      return document.body;
+    }
+
+    /**
+     * Document Picture-in-Picture windows opened by the page get the speed bar too. The browser's
+     * own picture-in-picture window can't show page content: the popup says so while controlled
+     * media is in it (its speed and keys keep working), and the on-video controls can pop the
+     * video out into a window that has the bar.
+     */
+    setupPictureInPicture() {
+      this.classicPipHandler = (e) => {
+        if (!(e.target instanceof HTMLMediaElement)) return;
+        if (this.isTopFrame) this.pushState();
+        else if (this.ownsPrimaryMedia()) this.postToTopFrame({ type: "pip-state", active: this.isInClassicPictureInPicture() });
+      };
+      document.addEventListener("enterpictureinpicture", this.classicPipHandler, true);
+      document.addEventListener("leavepictureinpicture", this.classicPipHandler, true);
+
+      if (!this.isTopFrame || !window.documentPictureInPicture) return;
+      this.pipEnterHandler = (e) => {
+        if (this.pip && this.pip.win === e.window) return;
+        this.attachPipBar(e.window);
+      };
+      window.documentPictureInPicture.addEventListener("enter", this.pipEnterHandler);
+    }
+
+    /**
+     * Whether media this controller drives is in the browser's picture-in-picture window.
+     */
+    isInClassicPictureInPicture() {
+      try {
+        const media = document.pictureInPictureElement;
+        return media instanceof HTMLMediaElement && this.isTargetMedia(media);
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /**
+     * For the popup: the tab's primary media is in the browser's picture-in-picture window.
+     */
+    getPictureInPictureState() {
+      if (this.isTopFrame && this.primaryFrame !== null) return this.remotePictureInPicture;
+      return this.isInClassicPictureInPicture();
+    }
+
+    canPopOut() {
+      return this.isTopFrame && !!window.documentPictureInPicture;
+    }
+
+    /**
+     * Move the primary video into a Document Picture-in-Picture window with the speed bar, and put
+     * it back in its place when the window closes. Needs the click on the controls that calls it.
+     */
+    async popOutMedia() {
+      const media = this.indicatorPrimaryVideo;
+      if (!media || this.isAudioElement(media) || this.pip || !this.canPopOut()) return;
+      try {
+        const rect = media.getBoundingClientRect();
+        const win = await window.documentPictureInPicture.requestWindow({
+          width: Math.round(rect.width) || 640,
+          height: Math.round(rect.height) || 360,
+        });
+        const placeholder = document.createElement("div");
+        Object.assign(placeholder.style, { width: `${rect.width}px`, height: `${rect.height}px`, background: "black" });
+        const mediaStyle = media.getAttribute("style");
+        const wasPlaying = !media.paused;
+        media.replaceWith(placeholder);
+        Object.assign(win.document.body.style, { margin: "0", background: "black", overflow: "hidden" });
+        media.setAttribute("style", "width: 100vw; height: 100vh; object-fit: contain;");
+        win.document.body.appendChild(media);
+        if (wasPlaying && media.paused) media.play().catch(() => {});
+        // The window's "enter" event may already have added the bar
+        const popped = { media, placeholder, mediaStyle, controlled: true };
+        if (this.pip && this.pip.win === win) Object.assign(this.pip, popped);
+        else this.attachPipBar(win, popped);
+        this.syncPictureInPicture();
+      } catch (e) {
+        console.warn("[SpeedTune] Could not open picture-in-picture:", e);
+      }
+    }
+
+    /**
+     * Speed bar (−, speed, +, 1x) pinned to the top left of a picture-in-picture window.
+     */
+    attachPipBar(win, popped = {}) {
+      try {
+        const doc = win.document;
+        const host = doc.createElement("speed-tune-pip");
+        Object.assign(host.style, { all: "initial", position: "fixed", top: "8px", left: "8px", zIndex: "2147483647" });
+        const root = host.attachShadow({ mode: "closed" });
+        const style = doc.createElement("style");
+        style.textContent = `${OVERLAY_CSS} .pill { opacity: 0.6; transition: opacity 0.2s; } .pill:hover { opacity: 1; }`;
+        const pill = doc.createElement("div");
+        pill.className = "pill open";
+        Object.assign(pill.style, SpeedTuneSettings.indicatorStyleFor(this.indicatorAppearance));
+        const makeButton = (text, label, action) => {
+          const button = doc.createElement("button");
+          button.type = "button";
+          button.className = "control";
+          button.textContent = text;
+          button.title = label;
+          button.setAttribute("aria-label", label);
+          button.addEventListener("click", () => {
+            const speed = this.getSpeedForAction(action);
+            if (speed === null) return;
+            // Using the bar hands the window's media to Speed Tune
+            if (this.pip && this.pip.win === win) this.pip.controlled = true;
+            this.applyUserSpeed(speed);
+          });
+          return button;
+        };
+        const label = doc.createElement("span");
+        label.setAttribute("aria-live", "polite");
+        pill.append(
+          makeButton("\u2212", "Slower", "decreaseSmall"),
+          label,
+          makeButton("+", "Faster", "increaseSmall"),
+          makeButton("1x", "Normal speed", "reset")
+        );
+        root.append(style, pill);
+        doc.body.appendChild(host);
+
+        this.pip = { win, host, label, controlled: false, ...popped };
+        win.addEventListener("pagehide", () => this.detachPipBar(win), { once: true });
+        this.syncPictureInPicture();
+      } catch (e) {
+        console.warn("[SpeedTune] Could not add speed controls to picture-in-picture:", e);
+      }
+    }
+
+    /**
+     * Window closed: a popped-out video goes back where it was, with its own styles.
+     */
+    detachPipBar(win) {
+      const pip = this.pip;
+      if (!pip || pip.win !== win) return;
+      this.pip = null;
+      try {
+        pip.host.remove();
+      } catch (e) {}
+      if (!pip.media || !pip.placeholder) return;
+      try {
+        const wasPlaying = !pip.media.paused;
+        if (pip.mediaStyle === null) pip.media.removeAttribute("style");
+        else pip.media.setAttribute("style", pip.mediaStyle);
+        pip.placeholder.replaceWith(pip.media);
+        if (wasPlaying && pip.media.paused) pip.media.play().catch(() => {});
+      } catch (e) {
+        console.warn("[SpeedTune] Could not return the video from picture-in-picture:", e);
+      }
+    }
+
+    /**
+     * Media in the picture-in-picture window is outside this document, so the usual targeting
+     * misses it: keep it at the tab's speed once the window is controlled (see this.pip), and
+     * show the bar only while there is media in it. Until then the bar shows the media's own rate.
+     */
+    syncPictureInPicture() {
+      const pip = this.pip;
+      if (!pip) return;
+      let media = [];
+      try {
+        media = Array.from(pip.win.document.querySelectorAll("video, audio"));
+      } catch (e) {
         return;
       }
+      pip.host.style.display = media.length ? "block" : "none";
+      if (pip.controlled) {
+        for (const el of media) {
+          const rate = this.getPlaybackRateFor(el);
+          try {
+            if (Math.abs((el.playbackRate || 1) - rate) > 0.01) this.setMediaRate(el, rate);
+          } catch (e) {}
+        }
+      }
+      let shown = this.currentSpeed;
+      if (media[0]) shown = pip.controlled ? this.getPlaybackRateFor(media[0]) : media[0].playbackRate || 1;
+      pip.label.textContent = SpeedTuneSettings.formatIndicatorSpeed(shown, this.indicatorAppearance.decimals);
+    }
+
+    // ========================================================================
+    // FRAME COORDINATION
+    // ========================================================================
+
+    /**
+     * True in the tab's top-level frame (cross-origin access to window.top throws in some sandboxes).
+     */
+    detectTopFrame() {
+      try {
+        return window.top === window;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /**
+     * Whether this frame currently controls the tab's primary media.
+     * Top frame: unless a subframe won the election. Subframe: only once elected.
+     */
+    ownsPrimaryMedia() {
+      return this.isTopFrame ? this.primaryFrame === null : this.frameElected;
+    }
+
+    /**
+     * Listen for coordination messages: reports from subframes (top) or election/speed from top (subframes).
+     * They arrive from the service worker as { type: FRAME, from, message }, where `from` is the
+     * sender's frameId as Chrome reported it, so only Speed Tune's own controllers can write here.
+     */
+    setupFrameMessaging() {
+      this.frameMessageHandler = (envelope) => {
+        if (!envelope || envelope.type !== MESSAGES.FRAME || typeof envelope.from !== "number") return false;
+        const data = envelope.message;
+        if (!data || typeof data.type !== "string") return false;
+        try {
+          if (this.isTopFrame) {
+            if (envelope.from !== 0) this.handleSubframeMessage(envelope.from, data);
+          } else if (envelope.from === 0) {
+            this.handleTopFrameMessage(data);
+          }
+        } catch (err) {
+          console.warn("[SpeedTune] Frame message error:", err);
+        }
+        return false;
+      };
+      try {
+        chrome.runtime.onMessage.addListener(this.frameMessageHandler);
+      } catch (e) {
+        console.warn("[SpeedTune] Frame messaging setup failed:", e);
+      }
+    }
+
+    /**
+     * Top frame: record a subframe report or apply a speed change made inside a subframe.
+     * @param {number} source - The subframe's frameId
+     */
+    handleSubframeMessage(source, data) {
+      switch (data.type) {
+        case "frame-report":
+          this.frameCandidates.set(source, {
+            kind: data.kind === "video" || data.kind === "audio" ? data.kind : null,
+            area: Number(data.area) || 0,
+            likelyMain: !!data.likelyMain,
+            frameSize: { width: Number(data.frameWidth) || 0, height: Number(data.frameHeight) || 0 },
+            lastSeen: Date.now(),
+          });
+          this.electPrimaryFrame();
+          break;
+        case "speed-changed":
+          if (typeof data.speed !== "number") return;
+          this.setSpeed(data.speed, this.showConstantIndicator, this.indicatorPosition, !!data.persist);
+          if (data.persist) this.persistSpeed(this.currentSpeed);
+          break;
+        case "list-response": {
+          const resolve = this.pendingFrameRequests.get(data.requestId);
+          if (resolve) resolve(data);
+          break;
+        }
+        case "media-action":
+          if (SpeedTuneBindings.isMediaAction(data.action)) this.runMediaAction(data.action);
+          break;
+        case "media-timing": {
+          if (source !== this.primaryFrame) return;
+          const timing = data.timing;
+          if (timing && Number.isFinite(timing.remaining)) {
+            this.remoteTiming = { remaining: Math.max(0, timing.remaining), paused: !!timing.paused };
+          } else if (timing && Number.isFinite(timing.behindLive) && Number.isFinite(timing.rate)) {
+            this.remoteTiming = {
+              behindLive: Math.max(0, timing.behindLive),
+              caughtUp: !!timing.caughtUp,
+              rate: timing.rate,
+              paused: !!timing.paused,
+            };
+          } else {
+            this.remoteTiming = null;
+          }
+          this.pushState();
+          break;
+        }
+        case "adaptive-state":
+          if (source !== this.primaryFrame) return;
+          this.remoteAdaptive = {
+            available: data.available !== false,
+            wpm: Number.isFinite(data.wpm) ? data.wpm : null,
+            rate: Number.isFinite(data.rate) ? data.rate : null,
+            stopped: !!data.stopped,
+          };
+          this.pushState();
+          break;
+        case "silence-state":
+          if (source !== this.primaryFrame) return;
+          this.remoteSilence = { active: !!data.active, timeSaved: Number(data.timeSaved) || 0 };
+          this.pushState();
+          break;
+        case "media-rate":
+          if (source !== this.primaryFrame) return;
+          this.remoteRate = Number(data.rate) > 0 ? Number(data.rate) : null;
+          this.pushState();
+          break;
+        case "pip-state":
+          if (source !== this.primaryFrame) return;
+          this.remotePictureInPicture = !!data.active;
+          this.pushState();
+          break;
+      }
+    }
+
+    /**
+     * Subframe: react to election and speed relays from the top frame.
+     */
+    handleTopFrameMessage(data) {
+      switch (data.type) {
+        case "frame-elect":
+          this.frameElected = !!data.elected;
+          if (this.frameElected && typeof data.speed === "number") {
+            this.setSpeed(data.speed, data.showIndicator !== false, data.position || this.indicatorPosition);
+          } else if (!this.frameElected) {
+            this.hideConstantIndicator();
+            this.updateSilenceSkip();
+          }
+          break;
+        case "set-speed":
+          if (typeof data.speed !== "number") return;
+          this.setSpeed(data.speed, data.showIndicator !== false, data.position || this.indicatorPosition, data.fromUser === true);
+          break;
+        case "list-request":
+          this.postToTopFrame({ type: "list-response", requestId: data.requestId, videos: this.listVideos() });
+          break;
+        case "target-mode":
+          this.setTargetMode(data.mode, typeof data.mediaId === "number" ? data.mediaId : null);
+          break;
+        case "media-action":
+          if (this.frameElected && SpeedTuneBindings.isMediaAction(data.action)) this.performMediaAction(data.action);
+          break;
+      }
+    }
+
+    /**
+     * Top frame: post a request to a subframe and resolve with its reply (null on timeout).
+     */
+    requestFromFrame(frameId, message) {
+      return new Promise((resolve) => {
+        const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const timer = setTimeout(() => {
+          this.pendingFrameRequests.delete(requestId);
+          resolve(null);
+        }, FRAME_REQUEST_TIMEOUT_MS);
+        this.pendingFrameRequests.set(requestId, (reply) => {
+          clearTimeout(timer);
+          this.pendingFrameRequests.delete(requestId);
+          resolve(reply);
+        });
+        this.postToFrame(frameId, { ...message, requestId });
+      });
+    }
+
+    /**
+     * Top frame: media from this frame (frame 0) and every reporting subframe, keyed by frameId.
+     */
+    async listAllMedia() {
+      const list = this.listVideos().map((media) => ({ ...media, frame: 0 }));
+      const frames = Array.from(this.frameCandidates.keys());
+      const replies = await Promise.all(frames.map((frameId) => this.requestFromFrame(frameId, { type: "list-request" })));
+      replies.forEach((reply, i) => {
+        if (!reply || !Array.isArray(reply.videos)) return;
+        reply.videos.forEach((media) => list.push({ ...media, frame: frames[i] }));
+      });
+      return list;
+    }
+
+    /**
+     * Top frame: apply a targeting mode across frames. For "selected", the frame
+     * owning the chosen element gets its id; every other frame is told it is elsewhere.
+     * @param {string} mode
+     * @param {number|null} frame - frameId from listAllMedia (0 = top)
+     * @param {number|null} mediaId
+     */
+    applyTargetMode(mode, frame = null, mediaId = null) {
+      const selecting = mode === "selected" && frame !== null;
+      this.setTargetMode(mode, selecting && frame === 0 ? mediaId : null);
+      for (const frameId of Array.from(this.frameCandidates.keys())) {
+        const chosen = selecting && frameId === frame;
+        this.postToFrame(frameId, { type: "target-mode", mode, mediaId: chosen ? mediaId : null });
+      }
+    }
+
+    postToTopFrame(message) {
+      this.postToFrame(0, message);
+    }
+
+    /**
+     * Send a coordination message to another frame of this tab through the service worker,
+     * which only forwards subframe -> top and top -> subframe. Frames that are gone are
+     * dropped from the election when their reports stop.
+     */
+    postToFrame(frameId, message) {
+      try {
+        chrome.runtime.sendMessage({ type: MESSAGES.FRAME, to: frameId, message }, () => {
+          void chrome.runtime.lastError;
+        });
+      } catch (e) {
+        // Extension context invalidated
+      }
+    }
+
+    broadcastToFrames(message) {
+      for (const frameId of Array.from(this.frameCandidates.keys())) {
+        this.postToFrame(frameId, message);
+      }
+    }
+
+    /**
+     * Media state changed (scan, play): subframes report to the top, the top re-runs the election.
+     */
+    onMediaActivity() {
+      if (this.isTopFrame) {
+        this.electPrimaryFrame();
+      } else {
+        this.reportToTopFrame();
+      }
+    }
+
+    /**
+     * Subframe: send this frame's best media candidate to the top frame.
+     */
+    reportToTopFrame() {
+      const media = this.selectLocalPrimaryMedia();
+      // Frames that never had media stay silent; a frame that lost its media reports once more
+      if (!media && !this.hasReportedMedia) return;
+      this.hasReportedMedia = !!media;
+      this.postToTopFrame({
+        type: "frame-report",
+        ...this.describeMediaCandidate(media),
+        frameWidth: window.innerWidth,
+        frameHeight: window.innerHeight,
+      });
+    }
+
+    /**
+     * Comparable summary of a media candidate ({ kind, area, likelyMain }).
+     */
+    describeMediaCandidate(media) {
+      if (!media) return { kind: null, area: 0, likelyMain: false };
+      let area = 0;
+      if (!this.isAudioElement(media)) {
+        try {
+          const r = media.getBoundingClientRect();
+          area = r.width * r.height;
+        } catch (e) {}
+      }
+      return {
+        kind: this.isAudioElement(media) ? "audio" : "video",
+        area,
+        likelyMain: this.isLikelyMainPlayer(media),
+      };
+    }
 
-      // If Speed Indicator toggle is OFF, hide everything completely
-      if (!this.showConstantIndicator) {
-        this.hideConstantIndicator();
-        this.hidePopupToast();
-        return;
-      }
+    /**
+     * Rank candidates: playing/watched first, then video over audio, then larger area.
+     * Returns > 0 when a is better than b.
+     */
+    compareMediaCandidates(a, b) {
+      if (a.likelyMain !== b.likelyMain) return a.likelyMain ? 1 : -1;
+      if (a.kind !== b.kind) return a.kind === "video" ? 1 : -1;
+      return a.area - b.area;
+    }
 
-      // Speed Indicator is ON - show constant indicator
-      this.hidePopupToast();
-      this.showConstantSpeedIndicator();
+    /**
+     * Top frame: clamp a subframe's reported video area to the size of the frame itself (its
+     * viewport, i.e. the <iframe> box), so tiny ad/tracking frames never win. Returns null when
+     * the frame is not eligible.
+     */
+    clampFrameCandidate(candidate) {
+      if (!candidate.kind) return null;
+      if (candidate.kind === "audio") return candidate;
+      const { width, height } = candidate.frameSize;
+      const { width: minW, height: minH } = SpeedTuneController.MAIN_VIDEO_MIN_SIZE;
+      if (width < minW || height < minH) return null;
+      return { ...candidate, area: Math.min(candidate.area, width * height) };
     }
 
     /**
-     * Show constant speed indicator (persistent HUD).
-     * Only called when showConstantIndicator is true. Only shows for a primary
-     * video in the main document that is meaningfully visible; avoids showing
-     * on article/image pages where the only video is in an iframe (e.g. ad).
+     * Top frame: decide which frame holds the tab's primary media and notify the affected frames.
      */
-    showConstantSpeedIndicator() {
-      // Double-check: Don't show if indicator is disabled
-      if (!this.showConstantIndicator) {
-        this.hideConstantIndicator();
-        return;
+    electPrimaryFrame() {
+      if (!this.isTopFrame) return;
+
+      const now = Date.now();
+      let best = null;
+      let bestFrame = null;
+      for (const [frameId, reported] of Array.from(this.frameCandidates)) {
+        if (now - reported.lastSeen > FRAME_REPORT_TTL_MS) {
+          this.frameCandidates.delete(frameId);
+          continue;
+        }
+        const candidate = this.clampFrameCandidate(reported);
+        if (!candidate) continue;
+        if (!best || this.compareMediaCandidates(candidate, best) > 0) {
+          best = candidate;
+          bestFrame = frameId;
+        }
       }
 
-      const targetVideo = this.getPrimaryVideoForIndicator();
-      if (!targetVideo) {
-        this.hideConstantIndicator();
-        return;
+      const local = this.selectLocalPrimaryMedia();
+      let winner = null;
+      if (best && (!local || this.compareMediaCandidates(best, this.describeMediaCandidate(local)) > 0)) {
+        winner = bestFrame;
       }
-      if (!this.shouldShowIndicatorForVideo(targetVideo)) {
+      if (winner === this.primaryFrame) return;
+
+      const previous = this.primaryFrame;
+      this.primaryFrame = winner;
+      this.remoteSilence = null;
+      this.remoteTiming = null;
+      this.remoteAdaptive = null;
+      this.remoteRate = null;
+      this.remotePictureInPicture = false;
+      this.pushState();
+      if (previous !== null) this.postToFrame(previous, { type: "frame-elect", elected: false });
+      if (winner !== null) {
         this.hideConstantIndicator();
-        return;
+        this.postToFrame(winner, {
+          type: "frame-elect",
+          elected: true,
+          speed: this.currentSpeed,
+          showIndicator: this.showConstantIndicator,
+          position: this.indicatorPosition,
+        });
+      } else {
+        this.setSpeed(this.currentSpeed, this.showConstantIndicator, this.indicatorPosition);
       }
+    }
 
-      if (this.constantIndicator) {
-        // Update existing indicator (only if indicator is enabled)
-        if (this.showConstantIndicator) {
-          this.indicatorPrimaryVideo = targetVideo;
-          this.constantIndicator.textContent = `${this.currentSpeed.toFixed(1)}x`;
-          this.positionConstantIndicator(this.constantIndicator, targetVideo);
-        } else {
-          // Indicator was disabled - remove it
-          this.hideConstantIndicator();
-        }
-      } else {
-        // Create new indicator (only if enabled)
-        if (this.showConstantIndicator) {
-          this.createConstantIndicator(targetVideo);
+    // ========================================================================
+    // WATCH-TIME STATISTICS
+    // ========================================================================
+
+    /**
+     * Measure media time played at each speed on the primary media (timeupdate deltas).
+     * Only the frame that owns the primary media records, so a tab counts once.
+     * The same events keep the remaining-time display current (see refreshTiming).
+     */
+    setupWatchTimeTracking() {
+      this.timeUpdateHandler = (e) => {
+        const media = e.target;
+        if (!(media instanceof HTMLMediaElement)) return;
+        try {
+          this.recordWatchTime(media);
+          this.refreshTiming(media);
+          // Keeps ramping in background tabs, where the speed check is paused
+          if (this.ramp && this.ramp.media === media) this.stepRamp();
+          this.updateAdaptiveSpeed(media);
+        } catch (err) {
+          // Never let statistics break playback
         }
+      };
+      document.addEventListener("timeupdate", this.timeUpdateHandler, true);
+    }
+
+    recordWatchTime(media) {
+      if (!this.ownsPrimaryMedia() || media !== (this.indicatorPrimaryVideo || this.selectLocalPrimaryMedia())) return;
+      const last = this.watchLast;
+      this.watchLast = { media, time: media.currentTime };
+      if (!last || last.media !== media || media.paused) return;
+
+      const rate = media.playbackRate;
+      const delta = media.currentTime - last.time;
+      if (!(rate > 0) || !(delta > 0)) return;
+      // Seeks and long gaps (background throttling, buffering jumps) aren't watching
+      const wall = delta / rate;
+      if (wall > WATCH_MAX_GAP_S) return;
+
+      const entry = this.pendingWatchTime.get(rate) || { media: 0, wall: 0 };
+      entry.media += delta;
+      entry.wall += wall;
+      this.pendingWatchTime.set(rate, entry);
+      if (!this.watchFlushTimer) {
+        this.watchFlushTimer = setTimeout(() => this.flushWatchTime(), WATCH_FLUSH_MS);
       }
     }
 
     /**
-     * Create constant speed indicator element (fade-in).
-     * Only creates if indicator is enabled.
+     * Hand pending time to the service worker, which owns the statistics in chrome.storage.local.
      */
-    createConstantIndicator(video) {
-      // Don't create if indicator is disabled
-      if (!this.showConstantIndicator) {
-        return;
+    flushWatchTime() {
+      if (this.watchFlushTimer) {
+        clearTimeout(this.watchFlushTimer);
+        this.watchFlushTimer = null;
       }
-
+      if (this.pendingWatchTime.size === 0) return;
+      const samples = Array.from(this.pendingWatchTime, ([speed, { media, wall }]) => ({ speed, media, wall }));
+      this.pendingWatchTime.clear();
       try {
-        this.constantIndicator = document.createElement("div");
-        this.constantIndicator.className = "speed-tune-constant-indicator";
-        this.constantIndicator.setAttribute("aria-live", "polite");
-        this.constantIndicator.setAttribute("role", "status");
-
-        // Styling: no transition — instant show, correct position only
-        Object.assign(this.constantIndicator.style, {
-          position: "absolute",
-          zIndex: "999999",
-          backgroundColor: "rgba(0, 0, 0, 0.7)",
-          backdropFilter: "blur(10px)",
-          color: "white",
-          padding: "6px 12px",
-          borderRadius: "20px",
-          fontSize: "14px",
-          fontWeight: "600",
-          fontFamily:
-            '"Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
-          pointerEvents: "none",
+        chrome.runtime.sendMessage({ type: MESSAGES.RECORD_WATCH_TIME, samples }, () => {
+          void chrome.runtime.lastError;
         });
+      } catch (e) {
+        // Extension context invalidated
+      }
+    }
 
-        this.constantIndicator.textContent = `${this.currentSpeed.toFixed(1)}x`;
+    // ========================================================================
+    // EXTENSION MESSAGING
+    // ========================================================================
 
-        // Cache primary so scroll/resize only reposition (no expensive getPrimaryVideoForIndicator on every scroll)
-        this.indicatorPrimaryVideo = video;
-        this.positionConstantIndicator(this.constantIndicator, video);
-        document.body.appendChild(this.constantIndicator);
+    /**
+     * Snapshot pushed to the popup and returned by getState.
+     */
+    getState() {
+      return {
+        speed: this.currentSpeed,
+        mediaKind: this.getPrimaryMediaKind(),
+        targetMode: this.targetMode,
+        showIndicator: this.showConstantIndicator,
+        indicatorPosition: this.indicatorPosition,
+        silence: this.getSilenceState(),
+        adaptive: this.getAdaptiveState(),
+        timing: this.getPrimaryTiming(),
+        pictureInPicture: this.getPictureInPictureState(),
+      };
+    }
 
-        // On scroll/resize: hide instantly if video scrolled out of view; otherwise reposition.
-        const updatePosition = () => {
-          if (!this.showConstantIndicator || !this.constantIndicator) {
-            this.hideConstantIndicator();
-            return;
-          }
-          let video = this.indicatorPrimaryVideo;
-          if (!video || !document.contains(video)) {
-            video = this.getPrimaryVideoForIndicator();
-            this.indicatorPrimaryVideo = video;
-            if (!video) {
-              this.hideConstantIndicator();
-              return;
-            }
+    /**
+     * Top frame: answer controller requests and accept subscriptions (readiness: announceReady).
+     * Registered for the page's lifetime: a dormant controller answers that it is turned off.
+     */
+    setupExtensionMessaging() {
+      if (!this.isTopFrame) return;
+
+      this.runtimeMessageHandler = (message, sender, sendResponse) => {
+        if (!message || typeof message.type !== "string") return false;
+        if (!this.siteEnabled) {
+          if (PROTOCOL_REQUESTS.includes(message.type)) {
+            sendResponse({ ok: false, disabled: true, error: "Speed Tune is turned off on this site." });
           }
-          const rect = video.getBoundingClientRect();
-          const inView =
-            rect.right > 0 &&
-            rect.left < window.innerWidth &&
-            rect.bottom > 0 &&
-            rect.top < window.innerHeight;
-          if (!inView) {
-            this.hideConstantIndicator();
-            return;
+          return false;
+        }
+        try {
+          switch (message.type) {
+            case MESSAGES.SET_SPEED:
+              if (typeof message.speed !== "number") {
+                sendResponse({ ok: false, error: "Invalid speed" });
+                return false;
+              }
+              // Same speed again is a setting re-send or the page-load re-apply, not a new choice
+              this.setSpeed(
+                message.speed,
+                message.showIndicator !== false,
+                message.position || this.indicatorPosition,
+                Math.abs(message.speed - this.currentSpeed) > 0.001
+              );
+              sendResponse({ ok: true, state: this.getState() });
+              return false;
+            case MESSAGES.GET_STATE:
+              sendResponse({ ok: true, state: this.getState() });
+              return false;
+            case MESSAGES.LIST_VIDEOS:
+              this.listAllMedia().then((videos) => sendResponse({ ok: true, videos }));
+              return true;
+            case MESSAGES.MEDIA_ACTION:
+              if (!SpeedTuneBindings.isMediaAction(message.action)) {
+                sendResponse({ ok: false, error: "Unknown action" });
+                return false;
+              }
+              this.runMediaAction(message.action);
+              sendResponse({ ok: true, state: this.getState() });
+              return false;
+            case MESSAGES.SET_TARGET_MODE:
+              this.applyTargetMode(
+                message.mode,
+                typeof message.frame === "number" ? message.frame : null,
+                typeof message.mediaId === "number" ? message.mediaId : null
+              );
+              sendResponse({ ok: true, state: this.getState() });
+              return false;
+            default:
+              return false;
           }
-          this.positionConstantIndicator(this.constantIndicator, video);
-        };
-        this.constantIndicatorUpdateHandlers.push(updatePosition);
-        window.addEventListener("scroll", updatePosition, { passive: true });
-        window.addEventListener("resize", updatePosition, { passive: true });
+        } catch (err) {
+          sendResponse({ ok: false, error: err.message });
+          return false;
+        }
+      };
 
-        // Periodic reconciliation (anti-desync): DOM/SPA/route changes; only switch when primary changes.
-        const RECONCILE_MS = 800;
-        this.indicatorRecomputeIntervalId = setInterval(() => {
-          if (!this.showConstantIndicator) return;
-          const primary = this.selectPrimaryVideo();
-          if (!primary) {
-            if (this.constantIndicator) this.hideConstantIndicator();
-            return;
-          }
-          if (
-            this.indicatorPrimaryVideo &&
-            !this.shouldShowIndicatorForVideo(this.indicatorPrimaryVideo)
-          ) {
-            this.hideConstantIndicator();
-            return;
-          }
-          if (primary !== this.indicatorPrimaryVideo) {
-            this.switchActiveVideo(primary);
-            return;
-          }
-          if (this.constantIndicator) {
-            this.positionConstantIndicator(this.constantIndicator, primary);
-          }
-        }, RECONCILE_MS);
-      } catch (error) {
-        console.error("[SpeedTune] Error creating constant indicator:", error);
+      this.connectHandler = (port) => {
+        if (port.name !== SUBSCRIBE_PORT || !this.siteEnabled) return;
+        this.subscribers.add(port);
+        port.onDisconnect.addListener(() => this.subscribers.delete(port));
+        port.postMessage({ type: MESSAGES.STATE, state: this.getState() });
+      };
+
+      try {
+        chrome.runtime.onMessage.addListener(this.runtimeMessageHandler);
+        chrome.runtime.onConnect.addListener(this.connectHandler);
+      } catch (e) {
+        console.warn("[SpeedTune] Extension messaging setup failed:", e);
       }
     }
 
     /**
-     * Find the <video> element at viewport coordinates (element under cursor or its ancestor).
+     * Top frame: tell waiting requests the controller can answer (once settings are loaded,
+     * started or dormant).
      */
-    getVideoAtPoint(clientX, clientY) {
+    announceReady() {
+      if (!this.isTopFrame) return;
       try {
-        const el = document.elementFromPoint(clientX, clientY);
-        let node = el;
-        while (node) {
-          if (node.tagName === "VIDEO") return node;
-          node = node.parentElement;
-        }
-        return null;
+        chrome.runtime.sendMessage({ type: MESSAGES.READY, state: this.getState() }, () => {
+          // No listener is fine (nobody is waiting for this tab)
+          void chrome.runtime.lastError;
+        });
       } catch (e) {
-        return null;
+        // Extension context invalidated
       }
     }
 
     /**
-     * Position constant indicator relative to video (safe for detached nodes).
+     * Push state to subscribed popups (coalesced so scans and bursts send one message).
      */
-    positionConstantIndicator(indicator, video) {
-      try {
-        if (!indicator || !video || !document.contains(video)) return;
-        const videoRect = video.getBoundingClientRect();
-        const indicatorRect = indicator.getBoundingClientRect();
-
-        let top, left;
-        switch (this.indicatorPosition) {
-          case "top-left":
-            top = videoRect.top + 10;
-            left = videoRect.left + 10;
-            break;
-          case "top-right":
-            top = videoRect.top + 10;
-            left = videoRect.right - indicatorRect.width - 10;
-            break;
-          case "bottom-left":
-            top = videoRect.bottom - indicatorRect.height - 10;
-            left = videoRect.left + 10;
-            break;
-          case "bottom-right":
-            top = videoRect.bottom - indicatorRect.height - 10;
-            left = videoRect.right - indicatorRect.width - 10;
-            break;
-          case "center":
-            top = videoRect.top + (videoRect.height - indicatorRect.height) / 2;
-            left = videoRect.left + (videoRect.width - indicatorRect.width) / 2;
-            break;
-          default:
-            top = videoRect.top + 10;
-            left = videoRect.left + 10;
+    pushState() {
+      if (!this.isTopFrame || this.statePushTimer) return;
+      this.statePushTimer = setTimeout(() => {
+        this.statePushTimer = null;
+        this.reportBadge();
+        if (this.subscribers.size === 0) return;
+        const message = { type: MESSAGES.STATE, state: this.getState() };
+        for (const port of Array.from(this.subscribers)) {
+          try {
+            port.postMessage(message);
+          } catch (e) {
+            this.subscribers.delete(port);
+          }
         }
+      }, STATE_PUSH_DELAY_MS);
+    }
 
-        top = Math.max(10, Math.min(window.innerHeight - indicatorRect.height - 10, top));
-        left = Math.max(10, Math.min(window.innerWidth - indicatorRect.width - 10, left));
+    // ========================================================================
+    // CONTEXT MENU
+    // ========================================================================
 
-        indicator.style.top = `${top + window.scrollY}px`;
-        indicator.style.left = `${left + window.scrollX}px`;
+    /**
+     * Every frame: remember which media was right-clicked, and apply speeds picked from the
+     * background's "Speed Tune" menu (sent only to the clicked frame) to that element. Without
+     * a speed the message only asks for that element's rate ("Remember this speed for the site").
+     */
+    setupContextMenu() {
+      this.contextMenuHandler = (e) => {
+        const target = typeof e.composedPath === "function" ? e.composedPath()[0] : e.target;
+        this.contextMenuMedia = target instanceof HTMLMediaElement ? target : this.getVideoAtPoint(e.clientX, e.clientY);
+      };
+      document.addEventListener("contextmenu", this.contextMenuHandler, true);
+
+      this.contextMenuMessageHandler = (message, sender, sendResponse) => {
+        if (!message || message.type !== MESSAGES.CONTEXT_MENU) return false;
+        if (message.speed !== undefined) {
+          if (typeof message.speed !== "number") {
+            sendResponse({ ok: false, error: "Invalid speed" });
+            return false;
+          }
+          this.applyContextMenuSpeed(SpeedTuneSettings.clampSpeed(message.speed));
+        }
+        sendResponse({ ok: true, rate: this.getContextMenuRate() });
+        return false;
+      };
+      try {
+        chrome.runtime.onMessage.addListener(this.contextMenuMessageHandler);
       } catch (e) {
-        // Detached or inaccessible node
+        console.warn("[SpeedTune] Context menu messaging setup failed:", e);
       }
     }
 
     /**
-     * Hide constant indicator instantly (no fade — clear for user when disabled)
+     * Speed from the context menu. Controlled media gets it as the tab's speed, like any other
+     * speed change. Any other right-clicked element gets it once, on its own: the tab's
+     * targeting and speed stay as they were, and the controller leaves that element's rate alone.
      */
-    hideConstantIndicator() {
-      if (!this.constantIndicator) return;
-
-      if (this.indicatorRecomputeIntervalId) {
-        clearInterval(this.indicatorRecomputeIntervalId);
-        this.indicatorRecomputeIntervalId = null;
+    applyContextMenuSpeed(speed) {
+      const media = this.contextMenuMedia;
+      if (media && document.contains(media) && !this.isControlledMedia(media)) {
+        try {
+          this.setMediaRate(media, speed);
+        } catch (e) {}
+        return;
       }
-      this.lastIndicatorHideTime = Date.now();
-      const el = this.constantIndicator;
-      const handlers = [...this.constantIndicatorUpdateHandlers];
-      this.constantIndicator = null;
-      this.constantIndicatorUpdateHandlers = [];
-      this.indicatorPrimaryVideo = null;
+      this.applyUserSpeed(speed);
+    }
 
-      try {
-        el.remove();
-      } catch (e) {}
-      handlers.forEach((handler) => {
-        window.removeEventListener("scroll", handler);
-        window.removeEventListener("resize", handler);
-      });
+    /**
+     * Rate of the right-clicked element when the controller leaves it alone (a speed picked on it
+     * from the menu lives only there); null when it follows the tab's speed or nothing was clicked.
+     */
+    getContextMenuRate() {
+      const media = this.contextMenuMedia;
+      if (!media || !document.contains(media) || this.isControlledMedia(media)) return null;
+      return media.playbackRate > 0 ? media.playbackRate : null;
     }
 
     /**
-     * Show popup speed toast (transient notification)
-     * NOTE: This method is no longer used - indicators are completely hidden when toggle is OFF
-     * Kept for backward compatibility but should not be called
+     * Whether speed changes already reach this media (in primary mode, only in the frame owning it).
      */
-    showPopupSpeedToast() {
-      // Don't show if indicator is disabled
-      if (!this.showConstantIndicator) {
-        this.hidePopupToast();
-        return;
-      }
+    isControlledMedia(media) {
+      if (this.targetMode === "primary" && !this.ownsPrimaryMedia()) return false;
+      return this.isTargetMedia(media);
+    }
 
-      // Clear existing fade timeout
-      if (this.popupToastTimeout) {
-        clearTimeout(this.popupToastTimeout);
-        this.popupToastTimeout = null;
-      }
+    // ========================================================================
+    // TOOLBAR BADGE
+    // ========================================================================
 
-      if (this.popupToast) {
-        // Update existing toast
-        this.popupToast.textContent = `Speed: ${this.currentSpeed.toFixed(1)}x`;
+    /**
+     * Rate the primary media is actually playing at (the page, silence skipping or caption-based
+     * speed can differ from the chosen speed); the chosen speed when there is no media.
+     */
+    getEffectiveRate() {
+      if (this.isTopFrame && this.primaryFrame !== null) return this.remoteRate || this.currentSpeed;
+      const primary = this.indicatorPrimaryVideo || this.selectLocalPrimaryMedia();
+      return primary && primary.playbackRate > 0 ? primary.playbackRate : this.currentSpeed;
+    }
+
+    /**
+     * A media element's rate changed (by us or by the page): refresh the badge if it is the primary
+     * media. Subframes report the rate to the top frame, which owns the badge.
+     */
+    onMediaRateChange(media) {
+      if (!this.ownsPrimaryMedia()) return;
+      if (media !== (this.indicatorPrimaryVideo || this.selectLocalPrimaryMedia())) return;
+      if (this.isTopFrame) {
+        this.pushState();
       } else {
-        // Create new toast
-        this.createPopupToast();
+        this.postToTopFrame({ type: "media-rate", rate: media.playbackRate });
       }
-
-      // Set debounced fade timeout
-      this.popupToastTimeout = setTimeout(() => {
-        this.hidePopupToast();
-      }, 1000);
     }
 
     /**
-     * Create popup toast element
+     * Top frame: send the tab's badge (effective rate, "no media" or turned off) to the service
+     * worker when it changes.
      */
-    createPopupToast() {
+    reportBadge() {
+      if (!this.isTopFrame) return;
+      const disabled = !this.siteEnabled;
+      const rate = disabled ? 1 : Math.round(this.getEffectiveRate() * 100) / 100;
+      const hasMedia = !disabled && this.getPrimaryMediaKind() !== null;
+      const badge = disabled ? "disabled" : `${rate}|${hasMedia}`;
+      if (badge === this.lastBadge) return;
+      this.lastBadge = badge;
       try {
-        this.popupToast = document.createElement("div");
-        this.popupToast.className = "speed-tune-popup-toast";
-
-        // Styling
-        Object.assign(this.popupToast.style, {
-          position: "fixed",
-          top: "20px",
-          right: "20px",
-          zIndex: "999999",
-          backgroundColor: "rgba(0, 0, 0, 0.8)",
-          backdropFilter: "blur(10px)",
-          color: "white",
-          padding: "12px 20px",
-          borderRadius: "25px",
-          fontSize: "16px",
-          fontWeight: "600",
-          fontFamily:
-            '"Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
-          pointerEvents: "none",
-          transition: "all 0.5s cubic-bezier(0.4, 0, 0.2, 1)",
-          transform: "translateY(-20px) translateZ(0)",
-          opacity: "0",
-          willChange: "transform, opacity",
-        });
-
-        this.popupToast.textContent = `Speed: ${this.currentSpeed.toFixed(1)}x`;
-        document.body.appendChild(this.popupToast);
-
-        // Animate in
-        requestAnimationFrame(() => {
-          if (this.popupToast) {
-            this.popupToast.style.opacity = "1";
-            this.popupToast.style.transform = "translateY(0) translateZ(0)";
-          }
+        chrome.runtime.sendMessage({ type: MESSAGES.BADGE, speed: rate, hasMedia, disabled }, () => {
+          void chrome.runtime.lastError;
         });
-      } catch (error) {
-        console.error("[SpeedTune] Error creating popup toast:", error);
+      } catch (e) {
+        // Extension context invalidated
       }
     }
 
+    // ========================================================================
+    // CLEANUP
+    // ========================================================================
+
     /**
-     * Hide popup toast
+     * Speed Tune was turned off for this site: put the media back to normal speed and go dormant.
      */
-    hidePopupToast() {
-      if (this.popupToast) {
-        this.popupToast.style.opacity = "0";
-        this.popupToast.style.transform = "translateY(-20px) translateZ(0)";
-
-        setTimeout(() => {
-          if (this.popupToast) {
-            this.popupToast.remove();
-            this.popupToast = null;
-          }
-        }, 300);
+    sleep() {
+      for (const media of this.getTargetMedia()) {
+        try {
+          this.setMediaRate(media, 1.0);
+        } catch (e) {}
       }
-
-      if (this.popupToastTimeout) {
-        clearTimeout(this.popupToastTimeout);
-        this.popupToastTimeout = null;
+      if (this.hiddenCaptionTrack) {
+        try {
+          if (this.hiddenCaptionTrack.mode === "hidden") this.hiddenCaptionTrack.mode = "disabled";
+        } catch (e) {}
+        this.hiddenCaptionTrack = null;
       }
+      this.stop();
+      this.reportBadge();
     }
 
-    // ========================================================================
-    // CLEANUP
-    // ========================================================================
+    /**
+     * Speed Tune was turned back on for this site: start again at the tab's speed.
+     */
+    wake(settings) {
+      this.applySettings(settings, true);
+      this.start();
+      this.requestTabSpeed((speed) => this.applyInitialSpeed(speed), settings);
+    }
 
     /**
-     * Cleanup on page unload: observers, intervals, timers, per-video listeners.
+     * Undo start(): observers, intervals, timers, page and per-video listeners. Settings and
+     * extension messaging stay, so a dormant controller can be started again.
      */
-    destroy() {
+    stop() {
+      this.running = false;
       if (this.debounceTimer) {
         clearTimeout(this.debounceTimer);
         this.debounceTimer = null;
@@ -1230,8 +3777,87 @@
       for (const video of Array.from(this.videoListeners.keys())) {
         this.removeVideoListeners(video);
       }
+      if (this.frameMessageHandler) {
+        try {
+          chrome.runtime.onMessage.removeListener(this.frameMessageHandler);
+        } catch (e) {}
+        this.frameMessageHandler = null;
+      }
+      this.frameCandidates.clear();
+      if (this.statePushTimer) {
+        clearTimeout(this.statePushTimer);
+        this.statePushTimer = null;
+      }
+      this.flushWatchTime();
+      if (this.timeUpdateHandler) {
+        document.removeEventListener("timeupdate", this.timeUpdateHandler, true);
+        this.timeUpdateHandler = null;
+      }
+      this.stopSilenceMonitor();
+      this.ramp = null;
+      this.adaptive = null;
+      this.primaryFrame = null;
+      this.frameElected = false;
+      this.hasReportedMedia = false;
+      if (this.keydownHandler) {
+        document.removeEventListener("keydown", this.keydownHandler, true);
+        this.keydownHandler = null;
+      }
+      if (this.playHandler) {
+        document.removeEventListener("play", this.playHandler, true);
+        this.playHandler = null;
+      }
+      if (this.visibilityHandler) {
+        document.removeEventListener("visibilitychange", this.visibilityHandler);
+        this.visibilityHandler = null;
+      }
+      try {
+        if (this.contextMenuMessageHandler) chrome.runtime.onMessage.removeListener(this.contextMenuMessageHandler);
+      } catch (e) {}
+      this.contextMenuMessageHandler = null;
+      if (this.contextMenuHandler) {
+        document.removeEventListener("contextmenu", this.contextMenuHandler, true);
+        this.contextMenuHandler = null;
+      }
+      this.contextMenuMedia = null;
+      this.subscribers.forEach((port) => {
+        try {
+          port.disconnect();
+        } catch (e) {}
+      });
+      this.subscribers.clear();
       this.hideConstantIndicator();
-      this.hidePopupToast();
+      if (this.fullscreenHandler) {
+        document.removeEventListener("fullscreenchange", this.fullscreenHandler);
+        this.fullscreenHandler = null;
+      }
+      if (this.pipEnterHandler) {
+        window.documentPictureInPicture.removeEventListener("enter", this.pipEnterHandler);
+        this.pipEnterHandler = null;
+      }
+      if (this.classicPipHandler) {
+        document.removeEventListener("enterpictureinpicture", this.classicPipHandler, true);
+        document.removeEventListener("leavepictureinpicture", this.classicPipHandler, true);
+        this.classicPipHandler = null;
+      }
+      if (this.pip) this.detachPipBar(this.pip.win);
+    }
+
+    /**
+     * Cleanup on page unload: everything stop() does, plus the audio graph and extension messaging.
+     */
+    destroy() {
+      this.stop();
+      // Media routed through the silence analyser only plays through this context, so it stays while dormant
+      if (this.audioContext) {
+        this.audioContext.close().catch(() => {});
+        this.audioContext = null;
+      }
+      try {
+        if (this.runtimeMessageHandler) chrome.runtime.onMessage.removeListener(this.runtimeMessageHandler);
+        if (this.connectHandler) chrome.runtime.onConnect.removeListener(this.connectHandler);
+        if (this.storageChangeHandler) chrome.storage.onChanged.removeListener(this.storageChangeHandler);
+      } catch (e) {}
       window.speedTuneController = null;
     }
   }
@@ -0,0 +1,1084 @@
+/**
+ * Speed Tune - Options Page
+ *
+ * Handles:
+ * - Editing the whole speedTuneSettings schema (defaults, site rules, in-page
+ *   keys, shortcut actions, silence skipping, speed ramp, caption-based speed, live catch-up,
+ *   indicator look with a live preview, on-video controls)
+ * - Validation shared with migrateSettings() (speedTuneSettings.js)
+ * - Export to a settings file, and import with a preview of the changes
+ *   (merge with or replace the current settings); the copy the service worker
+ *   keeps from before the last settings upgrade is restored the same way
+ * - Reset to defaults
+ *
+ * Every change is validated and saved immediately. Open tabs pick it up through
+ * chrome.storage.onChanged (content.js), so nothing needs reloading. Edits made
+ * in the popup while this page is open are reflected here the same way.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SAVE_STATUS_MS = 2000;
+/** Shown while settings couldn't be read: saving then would overwrite them with defaults. */
+const LOAD_ERROR_STATUS = "Couldn't load your settings, so changes won't be saved. Reload the page to try again.";
+
+/** Names used in the import preview, by settings field. */
+const IMPORT_LABELS = {
+  speed: "Default speed",
+  saveSpeed: "Remember speed",
+  showIndicator: "Speed indicator",
+  indicatorPosition: "Indicator position",
+  indicatorMode: "Indicator shows",
+  indicatorAppearance: "Indicator look",
+  indicatorControls: "On-video controls",
+  overlayPositions: "Moved controls",
+  siteProfiles: "Site speed",
+  preservesPitch: "Keep voice pitch",
+  sitePitch: "Site voice pitch",
+  targetMode: "Controls which media",
+  keyBindings: "Key",
+  speedSteps: "Speed steps",
+  shortcutsDisabledSites: "In-page keys off",
+  seekSeconds: "Seek interval (s)",
+  preferredSpeed: "Preferred speed",
+  speedPresets: "Preset speeds",
+  silenceSkip: "Silence skipping",
+  liveCatchUp: "Live catch-up",
+  speedRamp: "Speed ramp",
+  adaptiveSpeed: "Caption speed",
+  adaptiveSpeedSites: "Caption speed on",
+  disabledSites: "Speed Tune off",
+  allowlistOnly: "Allowed sites only",
+  allowedSites: "Allowed site",
+};
+
+/** Names for the parts of grouped settings in the import preview. */
+const IMPORT_PART_LABELS = {
+  enabled: "on",
+  fontSize: "text size",
+  opacity: "opacity",
+  theme: "colours",
+  decimals: "decimals",
+  autoHide: "auto-hide",
+  hideSeconds: "hide after (s)",
+  small: "small step",
+  large: "large step",
+  threshold: "silence level (dB)",
+  minSilenceMs: "shortest silence (ms)",
+  speed: "speed",
+  maxSpeed: "top speed",
+  edgeSeconds: "live edge (s)",
+  startSpeed: "start speed",
+  targetSpeed: "target speed",
+  by: "ramp by",
+  minutes: "minutes",
+  percent: "percent",
+  targetWpm: "words per minute",
+  minSpeed: "lowest speed",
+};
+
+/** Settings that hold a list of sites; the preview shows whether each site is on it. */
+const IMPORT_SITE_LISTS = ["shortcutsDisabledSites", "adaptiveSpeedSites", "disabledSites", "allowedSites"];
+
+// ============================================================================
+// SPEED TUNE OPTIONS CLASS
+// ============================================================================
+
+class SpeedTuneOptions {
+  constructor() {
+    // State
+    /** Last validated settings (what is in storage). */
+    this.settings = SpeedTuneSettings.getDefaultSettings();
+    /** Whether settings came from storage; saving is refused until then (it would overwrite them with defaults). */
+    this.loaded = false;
+    /** Browser shortcuts (chrome.commands.getAll) checked for conflicts. */
+    this.commands = [];
+    this.statusTimer = null;
+    /** Settings being previewed for import: { title, raw }, or null. */
+    this.pendingImport = null;
+    /** Settings saved before the last schema upgrade (SpeedTuneSettings.BACKUP_KEY), or null. */
+    this.backup = null;
+
+    // Initialize
+    this.initElements();
+    this.bindEvents();
+    this.loadSettings();
+    this.loadCommandShortcuts();
+    this.loadBackup();
+    this.setupStorageListener();
+  }
+
+  // ========================================================================
+  // INITIALIZATION
+  // ========================================================================
+
+  /**
+   * Initialize DOM element references
+   */
+  initElements() {
+    this.elements = {
+      saveStatus: document.getElementById("saveStatus"),
+      saveSpeedToggle: document.getElementById("saveSpeedToggle"),
+      defaultSpeedInput: document.getElementById("defaultSpeedInput"),
+      speedError: document.getElementById("speedError"),
+      pitchToggle: document.getElementById("pitchToggle"),
+      targetModeSelect: document.getElementById("targetModeSelect"),
+      allowlistToggle: document.getElementById("allowlistToggle"),
+      siteRules: document.getElementById("siteRules"),
+      siteRulesEmpty: document.getElementById("siteRulesEmpty"),
+      siteAddForm: document.getElementById("siteAddForm"),
+      siteHostInput: document.getElementById("siteHostInput"),
+      siteSpeedInput: document.getElementById("siteSpeedInput"),
+      sitePitchSelect: document.getElementById("sitePitchSelect"),
+      siteError: document.getElementById("siteError"),
+      shortcutList: document.getElementById("shortcutList"),
+      shortcutsRestoreBtn: document.getElementById("shortcutsRestoreBtn"),
+      browserShortcutsLink: document.getElementById("browserShortcutsLink"),
+      smallStepInput: document.getElementById("smallStepInput"),
+      largeStepInput: document.getElementById("largeStepInput"),
+      stepError: document.getElementById("stepError"),
+      seekSecondsInput: document.getElementById("seekSecondsInput"),
+      seekError: document.getElementById("seekError"),
+      preferredSpeedInput: document.getElementById("preferredSpeedInput"),
+      preferredError: document.getElementById("preferredError"),
+      presetsInput: document.getElementById("presetsInput"),
+      presetsError: document.getElementById("presetsError"),
+      silenceToggle: document.getElementById("silenceToggle"),
+      silenceThresholdInput: document.getElementById("silenceThresholdInput"),
+      silenceMinInput: document.getElementById("silenceMinInput"),
+      silenceSpeedInput: document.getElementById("silenceSpeedInput"),
+      silenceError: document.getElementById("silenceError"),
+      rampToggle: document.getElementById("rampToggle"),
+      rampStartInput: document.getElementById("rampStartInput"),
+      rampTargetInput: document.getElementById("rampTargetInput"),
+      rampLengthInput: document.getElementById("rampLengthInput"),
+      rampBySelect: document.getElementById("rampBySelect"),
+      rampError: document.getElementById("rampError"),
+      adaptiveTargetInput: document.getElementById("adaptiveTargetInput"),
+      adaptiveMinInput: document.getElementById("adaptiveMinInput"),
+      adaptiveMaxInput: document.getElementById("adaptiveMaxInput"),
+      adaptiveError: document.getElementById("adaptiveError"),
+      liveToggle: document.getElementById("liveToggle"),
+      liveMaxSpeedInput: document.getElementById("liveMaxSpeedInput"),
+      liveEdgeInput: document.getElementById("liveEdgeInput"),
+      liveError: document.getElementById("liveError"),
+      indicatorToggle: document.getElementById("indicatorToggle"),
+      indicatorModeRow: document.getElementById("indicatorModeRow"),
+      indicatorModeSelect: document.getElementById("indicatorModeSelect"),
+      positionRow: document.getElementById("positionRow"),
+      indicatorPreview: document.getElementById("indicatorPreview"),
+      indicatorPreviewPill: document.getElementById("indicatorPreviewPill"),
+      sizeRow: document.getElementById("sizeRow"),
+      indicatorSizeInput: document.getElementById("indicatorSizeInput"),
+      indicatorSizeValue: document.getElementById("indicatorSizeValue"),
+      opacityRow: document.getElementById("opacityRow"),
+      indicatorOpacityInput: document.getElementById("indicatorOpacityInput"),
+      indicatorOpacityValue: document.getElementById("indicatorOpacityValue"),
+      themeRow: document.getElementById("themeRow"),
+      indicatorThemeSelect: document.getElementById("indicatorThemeSelect"),
+      decimalsRow: document.getElementById("decimalsRow"),
+      indicatorDecimalsSelect: document.getElementById("indicatorDecimalsSelect"),
+      autoHideRow: document.getElementById("autoHideRow"),
+      autoHideToggle: document.getElementById("autoHideToggle"),
+      hideSecondsRow: document.getElementById("hideSecondsRow"),
+      hideSecondsInput: document.getElementById("hideSecondsInput"),
+      appearanceError: document.getElementById("appearanceError"),
+      controlsRow: document.getElementById("controlsRow"),
+      controlsToggle: document.getElementById("controlsToggle"),
+      overlayPositionsRow: document.getElementById("overlayPositionsRow"),
+      overlayPositionsDesc: document.getElementById("overlayPositionsDesc"),
+      overlayPositionsBtn: document.getElementById("overlayPositionsBtn"),
+      positionSelect: document.getElementById("positionSelect"),
+      exportSettingsBtn: document.getElementById("exportSettingsBtn"),
+      importSettingsBtn: document.getElementById("importSettingsBtn"),
+      importFileInput: document.getElementById("importFileInput"),
+      importError: document.getElementById("importError"),
+      backupRow: document.getElementById("backupRow"),
+      backupDesc: document.getElementById("backupDesc"),
+      backupRestoreBtn: document.getElementById("backupRestoreBtn"),
+      importPreview: document.getElementById("importPreview"),
+      importFileName: document.getElementById("importFileName"),
+      importModeSelect: document.getElementById("importModeSelect"),
+      importModeDesc: document.getElementById("importModeDesc"),
+      importNotes: document.getElementById("importNotes"),
+      importDiffTable: document.getElementById("importDiffTable"),
+      importDiff: document.getElementById("importDiff"),
+      importDiffEmpty: document.getElementById("importDiffEmpty"),
+      importApplyBtn: document.getElementById("importApplyBtn"),
+      importCancelBtn: document.getElementById("importCancelBtn"),
+      resetBtn: document.getElementById("resetBtn"),
+    };
+  }
+
+  /**
+   * Load settings from storage (defaults on error, with saving refused until a read succeeds).
+   */
+  loadSettings() {
+    chrome.storage.sync.get(["speedTuneSettings"], (result) => {
+      if (chrome.runtime.lastError) {
+        console.error("[SpeedTune Options] Error loading settings:", chrome.runtime.lastError);
+        this.render();
+        this.showStatus(LOAD_ERROR_STATUS, true, true);
+        return;
+      }
+      this.settings = SpeedTuneSettings.migrateSettings(result.speedTuneSettings);
+      this.loaded = true;
+      this.render();
+    });
+  }
+
+  /**
+   * Browser-level shortcuts as the user assigned them (chrome://extensions/shortcuts).
+   */
+  loadCommandShortcuts() {
+    chrome.commands.getAll((commands) => {
+      if (chrome.runtime.lastError) return;
+      this.commands = commands || [];
+      this.renderShortcuts();
+    });
+  }
+
+  /**
+   * Keep this page in step with edits made in the popup or another options tab.
+   */
+  setupStorageListener() {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === "local" && changes[SpeedTuneSettings.BACKUP_KEY]) {
+        this.backup = changes[SpeedTuneSettings.BACKUP_KEY].newValue || null;
+        this.renderBackup();
+      }
+      if (namespace !== "sync" || !changes.speedTuneSettings) return;
+      this.settings = SpeedTuneSettings.migrateSettings(changes.speedTuneSettings.newValue);
+      if (!this.loaded) this.showStatus("");
+      this.loaded = true;
+      this.render();
+    });
+  }
+
+  // ========================================================================
+  // EVENT HANDLING
+  // ========================================================================
+
+  bindEvents() {
+    const { elements } = this;
+
+    // Toggles (click and keyboard for role="switch")
+    const bindToggle = (el, field, flip = () => this.save({ [field]: !this.settings[field] })) => {
+      el.addEventListener("click", flip);
+      el.addEventListener("keydown", (e) => {
+        if (e.key === " " || e.key === "Enter") {
+          e.preventDefault();
+          flip();
+        }
+      });
+    };
+    bindToggle(elements.saveSpeedToggle, "saveSpeed");
+    bindToggle(elements.indicatorToggle, "showIndicator");
+    bindToggle(elements.pitchToggle, "preservesPitch");
+    bindToggle(elements.allowlistToggle, "allowlistOnly");
+    bindToggle(elements.controlsToggle, "indicatorControls");
+    bindToggle(elements.autoHideToggle, "indicatorAppearance", () => {
+      const appearance = this.settings.indicatorAppearance;
+      this.save({ indicatorAppearance: { ...appearance, autoHide: !appearance.autoHide } });
+    });
+    bindToggle(elements.silenceToggle, "silenceSkip", () => {
+      this.save({ silenceSkip: { ...this.settings.silenceSkip, enabled: !this.settings.silenceSkip.enabled } });
+    });
+    bindToggle(elements.rampToggle, "speedRamp", () => {
+      this.save({ speedRamp: { ...this.settings.speedRamp, enabled: !this.settings.speedRamp.enabled } });
+    });
+    bindToggle(elements.liveToggle, "liveCatchUp", () => {
+      this.save({ liveCatchUp: { ...this.settings.liveCatchUp, enabled: !this.settings.liveCatchUp.enabled } });
+    });
+
+    elements.defaultSpeedInput.addEventListener("change", () => {
+      const speed = this.readNumber(elements.defaultSpeedInput, elements.speedError);
+      if (speed !== null) this.save({ speed }, elements.speedError, "speed");
+    });
+
+    elements.targetModeSelect.addEventListener("change", (e) => this.save({ targetMode: e.target.value }));
+    elements.positionSelect.addEventListener("change", (e) => this.save({ indicatorPosition: e.target.value }));
+    elements.indicatorModeSelect.addEventListener("change", (e) => this.save({ indicatorMode: e.target.value }));
+
+    // Indicator look: sliders preview while dragged and save when let go
+    const saveAppearance = (patch) => {
+      this.save(
+        { indicatorAppearance: { ...this.settings.indicatorAppearance, ...patch } },
+        elements.appearanceError,
+        "indicatorAppearance"
+      );
+    };
+    const bindSlider = (input, read) => {
+      input.addEventListener("input", () => this.renderAppearance({ ...this.settings.indicatorAppearance, ...read() }));
+      input.addEventListener("change", () => saveAppearance(read()));
+    };
+    bindSlider(elements.indicatorSizeInput, () => ({ fontSize: Number(elements.indicatorSizeInput.value) }));
+    bindSlider(elements.indicatorOpacityInput, () => ({ opacity: Number(elements.indicatorOpacityInput.value) / 100 }));
+    elements.indicatorThemeSelect.addEventListener("change", (e) => saveAppearance({ theme: e.target.value }));
+    elements.indicatorDecimalsSelect.addEventListener("change", (e) => saveAppearance({ decimals: Number(e.target.value) }));
+    elements.hideSecondsInput.addEventListener("change", () => {
+      const hideSeconds = this.readNumber(elements.hideSecondsInput, elements.appearanceError);
+      if (hideSeconds !== null) saveAppearance({ hideSeconds });
+    });
+    elements.overlayPositionsBtn.addEventListener("click", () => this.save({ overlayPositions: {} }));
+
+    // Site rules: edit speed / keys switch / remove per row, add from the form
+    elements.siteRules.addEventListener("change", (e) => {
+      const row = e.target.closest("tr");
+      if (!row) return;
+      if (e.target.classList.contains("site-enabled")) this.setSiteEnabled(row.dataset.host, e.target.checked);
+      if (e.target.classList.contains("site-speed")) this.updateSiteSpeed(row.dataset.host, e.target);
+      if (e.target.classList.contains("site-keys")) this.setSiteKeys(row.dataset.host, e.target.checked);
+      if (e.target.classList.contains("site-pitch")) this.setSitePitch(row.dataset.host, e.target.value);
+      if (e.target.classList.contains("site-adaptive")) this.setSiteAdaptive(row.dataset.host, e.target.checked);
+    });
+    elements.siteRules.addEventListener("click", (e) => {
+      const btn = e.target.closest(".remove-btn");
+      if (btn) this.removeSite(btn.closest("tr").dataset.host);
+    });
+    elements.siteAddForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.addSite();
+    });
+
+    // In-page keys
+    this.shortcutEditor = new SpeedTuneShortcutEditor(elements.shortcutList, {
+      onChange: (keyBindings) => this.save({ keyBindings }),
+    });
+    elements.shortcutsRestoreBtn.addEventListener("click", () => {
+      this.save({ keyBindings: SpeedTuneBindings.getDefaultBindings(), speedSteps: { ...SpeedTuneBindings.DEFAULT_STEPS } });
+    });
+    elements.browserShortcutsLink.addEventListener("click", (e) => {
+      e.preventDefault();
+      chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+    });
+    // Shortcuts may have been changed in that tab
+    window.addEventListener("focus", () => this.loadCommandShortcuts());
+
+    const bindStep = (input, size) => {
+      input.addEventListener("change", () => {
+        const step = this.readNumber(input, elements.stepError);
+        if (step !== null) this.save({ speedSteps: { ...this.settings.speedSteps, [size]: step } }, elements.stepError, "speedSteps");
+      });
+    };
+    bindStep(elements.smallStepInput, "small");
+    bindStep(elements.largeStepInput, "large");
+
+    // Shortcut actions
+    elements.seekSecondsInput.addEventListener("change", () => {
+      const seekSeconds = this.readNumber(elements.seekSecondsInput, elements.seekError);
+      if (seekSeconds !== null) this.save({ seekSeconds }, elements.seekError, "seekSeconds");
+    });
+    elements.preferredSpeedInput.addEventListener("change", () => {
+      const preferredSpeed = this.readNumber(elements.preferredSpeedInput, elements.preferredError);
+      if (preferredSpeed !== null) this.save({ preferredSpeed }, elements.preferredError, "preferredSpeed");
+    });
+    elements.presetsInput.addEventListener("change", () => this.updatePresets());
+
+    // Silence skipping
+    const bindSilence = (input, key) => {
+      input.addEventListener("change", () => {
+        const value = this.readNumber(input, elements.silenceError);
+        if (value !== null) this.save({ silenceSkip: { ...this.settings.silenceSkip, [key]: value } }, elements.silenceError, "silenceSkip");
+      });
+    };
+    bindSilence(elements.silenceThresholdInput, "threshold");
+    bindSilence(elements.silenceMinInput, "minSilenceMs");
+    bindSilence(elements.silenceSpeedInput, "speed");
+
+    // Speed ramp: the length field edits minutes or percent, whichever the unit select shows
+    const bindRamp = (input, key) => {
+      input.addEventListener("change", () => {
+        const value = this.readNumber(input, elements.rampError);
+        const field = typeof key === "function" ? key() : key;
+        if (value !== null) this.save({ speedRamp: { ...this.settings.speedRamp, [field]: value } }, elements.rampError, "speedRamp");
+      });
+    };
+    bindRamp(elements.rampStartInput, "startSpeed");
+    bindRamp(elements.rampTargetInput, "targetSpeed");
+    bindRamp(elements.rampLengthInput, () => (this.settings.speedRamp.by === "percent" ? "percent" : "minutes"));
+    elements.rampBySelect.addEventListener("change", (e) => {
+      this.save({ speedRamp: { ...this.settings.speedRamp, by: e.target.value } }, elements.rampError, "speedRamp");
+    });
+
+    // Caption-based speed
+    const bindAdaptive = (input, key) => {
+      input.addEventListener("change", () => {
+        const value = this.readNumber(input, elements.adaptiveError);
+        if (value !== null) this.save({ adaptiveSpeed: { ...this.settings.adaptiveSpeed, [key]: value } }, elements.adaptiveError, "adaptiveSpeed");
+      });
+    };
+    bindAdaptive(elements.adaptiveTargetInput, "targetWpm");
+    bindAdaptive(elements.adaptiveMinInput, "minSpeed");
+    bindAdaptive(elements.adaptiveMaxInput, "maxSpeed");
+
+    // Live catch-up
+    const bindLive = (input, key) => {
+      input.addEventListener("change", () => {
+        const value = this.readNumber(input, elements.liveError);
+        if (value !== null) this.save({ liveCatchUp: { ...this.settings.liveCatchUp, [key]: value } }, elements.liveError, "liveCatchUp");
+      });
+    };
+    bindLive(elements.liveMaxSpeedInput, "maxSpeed");
+    bindLive(elements.liveEdgeInput, "edgeSeconds");
+
+    // Backup & sharing
+    elements.exportSettingsBtn.addEventListener("click", () => this.exportSettings());
+    elements.importSettingsBtn.addEventListener("click", () => elements.importFileInput.click());
+    elements.importFileInput.addEventListener("change", () => {
+      const [file] = elements.importFileInput.files;
+      if (file) this.readImportFile(file);
+    });
+    elements.backupRestoreBtn.addEventListener("click", () => this.reviewBackup());
+    elements.importModeSelect.addEventListener("change", () => this.renderImportPreview());
+    elements.importApplyBtn.addEventListener("click", () => this.applyImport());
+    elements.importCancelBtn.addEventListener("click", () => this.closeImport());
+
+    elements.resetBtn.addEventListener("click", () => this.resetToDefaults());
+  }
+
+  // ========================================================================
+  // SETTINGS MANAGEMENT
+  // ========================================================================
+
+  /**
+   * Number from an input, or null (with the error shown) when it isn't one.
+   */
+  readNumber(input, errorEl) {
+    const value = input.value.trim() === "" ? NaN : Number(input.value);
+    if (Number.isNaN(value)) {
+      this.showError(errorEl, "Enter a number.");
+      input.classList.add("invalid");
+      return null;
+    }
+    input.classList.remove("invalid");
+    return value;
+  }
+
+  showError(errorEl, message) {
+    if (!errorEl) return;
+    errorEl.textContent = message || "";
+    errorEl.hidden = !message;
+  }
+
+  /**
+   * Validate the edited settings with the shared schema and save them.
+   * Out-of-range values are saved clamped; the message for `field` explains the change.
+   */
+  save(patch, errorEl = null, field = null) {
+    if (!this.loaded) {
+      this.render();
+      this.showStatus(LOAD_ERROR_STATUS, true, true);
+      return;
+    }
+    const { settings, errors } = SpeedTuneSettings.validateSettings({ ...this.settings, ...patch });
+    const fieldErrors = field ? errors.filter((error) => error.field === field) : [];
+    this.showError(errorEl, fieldErrors.map((error) => error.message).join(" "));
+
+    this.settings = settings;
+    this.render();
+    chrome.storage.sync.set({ speedTuneSettings: settings }, () => {
+      if (chrome.runtime.lastError) {
+        console.error("[SpeedTune Options] Error saving settings:", chrome.runtime.lastError);
+        this.showStatus(`Couldn't save: ${chrome.runtime.lastError.message}`, true);
+        return;
+      }
+      this.showStatus("Saved");
+    });
+  }
+
+  showStatus(text, isError = false, persist = false) {
+    const { saveStatus } = this.elements;
+    saveStatus.textContent = text;
+    saveStatus.classList.toggle("error", isError);
+    clearTimeout(this.statusTimer);
+    if (persist) return;
+    this.statusTimer = setTimeout(() => {
+      saveStatus.textContent = "";
+    }, SAVE_STATUS_MS);
+  }
+
+  /**
+   * Restore every setting after confirmation. Tabs keep their current speed.
+   */
+  resetToDefaults() {
+    if (!window.confirm("Reset all Speed Tune settings, site rules and keys to their defaults?")) return;
+    const {
+      speedError,
+      siteError,
+      stepError,
+      seekError,
+      preferredError,
+      presetsError,
+      silenceError,
+      rampError,
+      adaptiveError,
+      liveError,
+      appearanceError,
+    } = this.elements;
+    [
+      speedError,
+      siteError,
+      stepError,
+      seekError,
+      preferredError,
+      presetsError,
+      silenceError,
+      rampError,
+      adaptiveError,
+      liveError,
+      appearanceError,
+    ].forEach((el) => this.showError(el, ""));
+    this.settings = SpeedTuneSettings.getDefaultSettings();
+    this.save({});
+  }
+
+  /**
+   * Presets typed as a list ("1, 1.5, 2"); anything that isn't a number is reported.
+   */
+  updatePresets() {
+    const { presetsInput, presetsError } = this.elements;
+    const parts = presetsInput.value.split(/[\s,;]+/).filter(Boolean);
+    const speedPresets = parts.map((part) => Number(part.replace(/x$/i, "")));
+    if (speedPresets.some(Number.isNaN)) {
+      this.showError(presetsError, "Enter speeds separated by commas, e.g. 1, 1.5, 2.");
+      presetsInput.classList.add("invalid");
+      return;
+    }
+    this.save({ speedPresets }, presetsError, "speedPresets");
+  }
+
+  // ========================================================================
+  // SITE RULES
+  // ========================================================================
+
+  /**
+   * Add a rule from the form: a speed, a pitch choice, or both. With allowed sites only on,
+   * the site is also allowed (and needs nothing else).
+   */
+  addSite() {
+    const { siteHostInput, siteSpeedInput, sitePitchSelect, siteError } = this.elements;
+    const host = SpeedTuneSettings.normalizeHost(siteHostInput.value);
+    if (!host) {
+      this.showError(siteError, "Enter a site such as example.com.");
+      siteHostInput.classList.add("invalid");
+      return;
+    }
+    siteHostInput.classList.remove("invalid");
+    const pitch = sitePitchSelect.value;
+    const { allowlistOnly, allowedSites } = this.settings;
+    if (siteSpeedInput.value.trim() === "" && !pitch && !allowlistOnly) {
+      this.showError(siteError, "Enter a speed or choose a pitch for this site.");
+      return;
+    }
+
+    const patch = {};
+    if (siteSpeedInput.value.trim() !== "") {
+      const speed = this.readNumber(siteSpeedInput, siteError);
+      if (speed === null) return;
+      patch.siteProfiles = { ...this.settings.siteProfiles, [host]: { speed } };
+    }
+    if (pitch) patch.sitePitch = { ...this.settings.sitePitch, [host]: pitch === "keep" };
+    if (allowlistOnly && !allowedSites.includes(host)) patch.allowedSites = [...allowedSites, host];
+    this.save(patch, siteError, "siteProfiles");
+    siteHostInput.value = "";
+    siteSpeedInput.value = "";
+    sitePitchSelect.value = "";
+  }
+
+  /**
+   * Row speed edited; clearing it removes the site's speed (the row stays while its keys or pitch have a rule).
+   */
+  updateSiteSpeed(host, input) {
+    const siteProfiles = { ...this.settings.siteProfiles };
+    if (input.value.trim() === "") {
+      delete siteProfiles[host];
+      this.showError(this.elements.siteError, "");
+    } else {
+      const speed = this.readNumber(input, this.elements.siteError);
+      if (speed === null) return;
+      siteProfiles[host] = { speed };
+    }
+    this.save({ siteProfiles }, this.elements.siteError, "siteProfiles");
+  }
+
+  /**
+   * Row Speed Tune switch changed: allowed sites in allowlist mode, otherwise disabled sites.
+   */
+  setSiteEnabled(host, enabled) {
+    const without = (sites) => sites.filter((site) => site !== host);
+    const { disabledSites, allowedSites, allowlistOnly } = this.settings;
+    if (enabled) {
+      this.save({ disabledSites: without(disabledSites), allowedSites: allowlistOnly ? [...without(allowedSites), host] : allowedSites });
+    } else if (allowlistOnly) {
+      this.save({ allowedSites: without(allowedSites) });
+    } else {
+      this.save({ disabledSites: [...without(disabledSites), host] });
+    }
+  }
+
+  setSiteKeys(host, enabled) {
+    const others = this.settings.shortcutsDisabledSites.filter((site) => site !== host);
+    this.save({ shortcutsDisabledSites: enabled ? others : [...others, host] });
+  }
+
+  /**
+   * Row pitch changed: "keep" / "shift", or "" to follow the global choice.
+   */
+  setSitePitch(host, value) {
+    const sitePitch = { ...this.settings.sitePitch };
+    if (value) sitePitch[host] = value === "keep";
+    else delete sitePitch[host];
+    this.save({ sitePitch });
+  }
+
+  /**
+   * Row caption speed switch changed.
+   */
+  setSiteAdaptive(host, enabled) {
+    const others = this.settings.adaptiveSpeedSites.filter((site) => site !== host);
+    this.save({ adaptiveSpeedSites: enabled ? [...others, host] : others });
+  }
+
+  removeSite(host) {
+    const siteProfiles = { ...this.settings.siteProfiles };
+    delete siteProfiles[host];
+    const sitePitch = { ...this.settings.sitePitch };
+    delete sitePitch[host];
+    this.save({
+      siteProfiles,
+      sitePitch,
+      shortcutsDisabledSites: this.settings.shortcutsDisabledSites.filter((site) => site !== host),
+      adaptiveSpeedSites: this.settings.adaptiveSpeedSites.filter((site) => site !== host),
+      disabledSites: this.settings.disabledSites.filter((site) => site !== host),
+      allowedSites: this.settings.allowedSites.filter((site) => site !== host),
+    });
+  }
+
+  // ========================================================================
+  // BACKUP & SHARING
+  // ========================================================================
+
+  /**
+   * Save a file through the browser's download UI (no network, no extra permission).
+   */
+  download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  exportSettings() {
+    const date = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    this.download(`speed-tune-settings-${day}.json`, SpeedTuneSettings.createSettingsFile(this.settings), "application/json");
+  }
+
+  /**
+   * Read a chosen settings file and preview it; nothing is saved until Apply.
+   */
+  readImportFile(file) {
+    const { importError, importFileInput } = this.elements;
+    file.text().then(
+      (text) => {
+        importFileInput.value = "";
+        const { raw, exportedAt, errors } = SpeedTuneSettings.readSettingsFile(text);
+        if (!raw) {
+          this.closeImport();
+          this.showError(importError, errors.map((error) => error.message).join(" "));
+          return;
+        }
+        this.showError(importError, "");
+        const exported = exportedAt ? new Date(exportedAt) : null;
+        const title = exported && !Number.isNaN(exported.getTime()) ? `${file.name}, exported ${this.formatDate(exported)}` : file.name;
+        this.pendingImport = { title, raw };
+        this.renderImportPreview();
+      },
+      (error) => {
+        console.error("[SpeedTune Options] Error reading settings file:", error);
+        importFileInput.value = "";
+        this.closeImport();
+        this.showError(importError, "Couldn't read this file.");
+      }
+    );
+  }
+
+  loadBackup() {
+    chrome.storage.local.get([SpeedTuneSettings.BACKUP_KEY], (result) => {
+      if (chrome.runtime.lastError) {
+        console.error("[SpeedTune Options] Error loading settings backup:", chrome.runtime.lastError);
+        return;
+      }
+      this.backup = result[SpeedTuneSettings.BACKUP_KEY] || null;
+      this.renderBackup();
+    });
+  }
+
+  /**
+   * Preview the pre-upgrade settings like an imported file; Replace puts them back as they were.
+   */
+  reviewBackup() {
+    if (!this.backup || !this.backup.settings) return;
+    this.showError(this.elements.importError, "");
+    this.elements.importModeSelect.value = "replace";
+    this.pendingImport = { title: `Settings from version ${this.backup.version}`, raw: this.backup.settings };
+    this.renderImportPreview();
+  }
+
+  /**
+   * Settings the pending import would produce with the chosen mode, plus the fixes
+   * validation made to the file's values.
+   */
+  importResult() {
+    const { raw } = this.pendingImport;
+    return this.elements.importModeSelect.value === "replace"
+      ? SpeedTuneSettings.validateSettings(raw)
+      : SpeedTuneSettings.mergeSettings(this.settings, raw);
+  }
+
+  applyImport() {
+    if (!this.pendingImport) return;
+    const { settings } = this.importResult();
+    this.closeImport();
+    this.settings = settings;
+    this.save({});
+  }
+
+  closeImport() {
+    this.pendingImport = null;
+    this.elements.importPreview.hidden = true;
+  }
+
+  formatDate(date) {
+    return date.toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+  }
+
+  // ========================================================================
+  // RENDERING
+  // ========================================================================
+
+  render() {
+    const { settings, elements } = this;
+
+    elements.saveSpeedToggle.classList.toggle("active", settings.saveSpeed);
+    elements.saveSpeedToggle.setAttribute("aria-checked", String(settings.saveSpeed));
+    this.setInputValue(elements.defaultSpeedInput, settings.speed);
+    elements.pitchToggle.classList.toggle("active", settings.preservesPitch);
+    elements.pitchToggle.setAttribute("aria-checked", String(settings.preservesPitch));
+    elements.targetModeSelect.value = settings.targetMode;
+    elements.allowlistToggle.classList.toggle("active", settings.allowlistOnly);
+    elements.allowlistToggle.setAttribute("aria-checked", String(settings.allowlistOnly));
+
+    elements.indicatorToggle.classList.toggle("active", settings.showIndicator);
+    elements.indicatorToggle.setAttribute("aria-checked", String(settings.showIndicator));
+    elements.positionSelect.value = settings.indicatorPosition;
+    elements.positionRow.hidden = !settings.showIndicator;
+    elements.indicatorModeSelect.value = settings.indicatorMode;
+    elements.indicatorModeRow.hidden = !settings.showIndicator;
+    this.renderAppearance(settings.indicatorAppearance);
+    elements.controlsToggle.classList.toggle("active", settings.indicatorControls);
+    elements.controlsToggle.setAttribute("aria-checked", String(settings.indicatorControls));
+    elements.controlsRow.hidden = !settings.showIndicator;
+    const moved = Object.keys(settings.overlayPositions).length;
+    elements.overlayPositionsRow.hidden = !settings.showIndicator || !settings.indicatorControls || moved === 0;
+    elements.overlayPositionsDesc.textContent = `Dragged to their own spot on ${moved} ${moved === 1 ? "site" : "sites"}; put them back on the position above`;
+
+    this.renderSiteRules();
+    this.renderShortcuts();
+    this.renderSilence();
+    this.renderRamp();
+    this.renderAdaptive();
+    this.renderLive();
+    this.renderImportPreview();
+  }
+
+  setInputValue(input, value) {
+    input.value = value === null || value === undefined ? "" : String(value);
+    input.classList.remove("invalid");
+  }
+
+  /**
+   * One row per site with a saved speed, its keys turned off, its own pitch choice,
+   * caption speed on, or Speed Tune turned off or allowed.
+   */
+  renderSiteRules() {
+    const { settings } = this;
+    const { siteRules, siteRulesEmpty } = this.elements;
+    const { siteProfiles, shortcutsDisabledSites, sitePitch, adaptiveSpeedSites, disabledSites, allowedSites } = settings;
+    const hosts = [
+      ...new Set([
+        ...Object.keys(siteProfiles),
+        ...shortcutsDisabledSites,
+        ...Object.keys(sitePitch),
+        ...adaptiveSpeedSites,
+        ...disabledSites,
+        ...allowedSites,
+      ]),
+    ].sort();
+    const active = document.activeElement;
+    const focusedRow = active && active.closest("#siteRules tr");
+    const focusedHost = focusedRow ? focusedRow.dataset.host : null;
+    const focusedField = active
+      ? [".site-enabled", ".site-keys", ".site-pitch", ".site-adaptive"].find((selector) => active.matches(selector)) || ".site-speed"
+      : ".site-speed";
+
+    siteRules.textContent = "";
+    siteRulesEmpty.hidden = hosts.length > 0;
+
+    hosts.forEach((host) => {
+      const row = document.createElement("tr");
+      row.dataset.host = host;
+
+      const hostCell = document.createElement("td");
+      hostCell.className = "site-host";
+      hostCell.textContent = host;
+
+      const enabledCell = document.createElement("td");
+      const enabledInput = document.createElement("input");
+      enabledInput.type = "checkbox";
+      enabledInput.className = "site-enabled";
+      enabledInput.checked = SpeedTuneSettings.isSiteEnabled(settings, host);
+      enabledInput.setAttribute("aria-label", `Speed Tune on ${host}`);
+      enabledCell.appendChild(enabledInput);
+
+      const speedCell = document.createElement("td");
+      const speedInput = document.createElement("input");
+      speedInput.type = "number";
+      speedInput.className = "field-input site-speed";
+      speedInput.min = String(SpeedTuneSettings.SPEED_MIN);
+      speedInput.max = String(SpeedTuneSettings.SPEED_MAX);
+      speedInput.step = "0.05";
+      speedInput.placeholder = "—";
+      speedInput.value = siteProfiles[host] ? String(siteProfiles[host].speed) : "";
+      speedInput.setAttribute("aria-label", `Speed for ${host}`);
+      speedCell.appendChild(speedInput);
+
+      const keysCell = document.createElement("td");
+      const keysInput = document.createElement("input");
+      keysInput.type = "checkbox";
+      keysInput.className = "site-keys";
+      keysInput.checked = !shortcutsDisabledSites.includes(host);
+      keysInput.setAttribute("aria-label", `In-page keys on ${host}`);
+      keysCell.appendChild(keysInput);
+
+      const pitchCell = document.createElement("td");
+      const pitchSelect = document.createElement("select");
+      pitchSelect.className = "field-input site-pitch";
+      [
+        ["", "Default"],
+        ["keep", "Keep"],
+        ["shift", "Shift"],
+      ].forEach(([value, label]) => pitchSelect.appendChild(new Option(label, value)));
+      pitchSelect.value = host in sitePitch ? (sitePitch[host] ? "keep" : "shift") : "";
+      pitchSelect.setAttribute("aria-label", `Voice pitch on ${host}`);
+      pitchCell.appendChild(pitchSelect);
+
+      const adaptiveCell = document.createElement("td");
+      const adaptiveInput = document.createElement("input");
+      adaptiveInput.type = "checkbox";
+      adaptiveInput.className = "site-adaptive";
+      adaptiveInput.checked = adaptiveSpeedSites.includes(host);
+      adaptiveInput.setAttribute("aria-label", `Caption speed on ${host}`);
+      adaptiveCell.appendChild(adaptiveInput);
+
+      const removeCell = document.createElement("td");
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "remove-btn";
+      removeBtn.textContent = "×";
+      removeBtn.setAttribute("aria-label", `Remove rule for ${host}`);
+      removeCell.appendChild(removeBtn);
+
+      row.append(hostCell, enabledCell, speedCell, keysCell, pitchCell, adaptiveCell, removeCell);
+      siteRules.appendChild(row);
+    });
+
+    // Re-rendering replaced the row being edited: keep keyboard focus on it
+    if (focusedHost) {
+      const row = siteRules.querySelector(`tr[data-host="${CSS.escape(focusedHost)}"]`);
+      const field = row && row.querySelector(focusedField);
+      if (field) field.focus();
+    }
+  }
+
+  renderShortcuts() {
+    const { settings, elements } = this;
+    this.shortcutEditor.render({
+      bindings: settings.keyBindings,
+      steps: settings.speedSteps,
+      seekSeconds: settings.seekSeconds,
+      preferredSpeed: settings.preferredSpeed,
+      commands: this.commands,
+    });
+    this.setInputValue(elements.smallStepInput, settings.speedSteps.small);
+    this.setInputValue(elements.largeStepInput, settings.speedSteps.large);
+    this.setInputValue(elements.seekSecondsInput, settings.seekSeconds);
+    this.setInputValue(elements.preferredSpeedInput, settings.preferredSpeed);
+    this.setInputValue(elements.presetsInput, settings.speedPresets.join(", "));
+  }
+
+  renderSilence() {
+    const { elements } = this;
+    const { enabled, threshold, minSilenceMs, speed } = this.settings.silenceSkip;
+    elements.silenceToggle.classList.toggle("active", enabled);
+    elements.silenceToggle.setAttribute("aria-checked", String(enabled));
+    this.setInputValue(elements.silenceThresholdInput, threshold);
+    this.setInputValue(elements.silenceMinInput, minSilenceMs);
+    this.setInputValue(elements.silenceSpeedInput, speed);
+  }
+
+  renderRamp() {
+    const { elements } = this;
+    const { enabled, startSpeed, targetSpeed, by, minutes, percent } = this.settings.speedRamp;
+    const limits = SpeedTuneSettings.RAMP_LIMITS[by === "percent" ? "percent" : "minutes"];
+    elements.rampToggle.classList.toggle("active", enabled);
+    elements.rampToggle.setAttribute("aria-checked", String(enabled));
+    this.setInputValue(elements.rampStartInput, startSpeed);
+    this.setInputValue(elements.rampTargetInput, targetSpeed);
+    elements.rampBySelect.value = by;
+    elements.rampLengthInput.min = String(limits.min);
+    elements.rampLengthInput.max = String(limits.max);
+    elements.rampLengthInput.step = by === "percent" ? "1" : "0.5";
+    this.setInputValue(elements.rampLengthInput, by === "percent" ? percent : minutes);
+  }
+
+  renderAdaptive() {
+    const { elements } = this;
+    const { targetWpm, minSpeed, maxSpeed } = this.settings.adaptiveSpeed;
+    this.setInputValue(elements.adaptiveTargetInput, targetWpm);
+    this.setInputValue(elements.adaptiveMinInput, minSpeed);
+    this.setInputValue(elements.adaptiveMaxInput, maxSpeed);
+  }
+
+  /**
+   * Look controls and the preview; while a slider is dragged, `appearance` holds its unsaved value.
+   */
+  renderAppearance(appearance) {
+    const { settings, elements } = this;
+    const { fontSize, opacity, theme, decimals, autoHide, hideSeconds } = appearance;
+    const rows = [elements.indicatorPreview, elements.sizeRow, elements.opacityRow, elements.themeRow, elements.decimalsRow, elements.autoHideRow];
+    rows.forEach((el) => {
+      el.hidden = !settings.showIndicator;
+    });
+    elements.hideSecondsRow.hidden = !settings.showIndicator || !autoHide;
+
+    elements.indicatorSizeInput.value = String(fontSize);
+    elements.indicatorSizeValue.textContent = `${fontSize} px text`;
+    elements.indicatorOpacityInput.value = String(Math.round(opacity * 100));
+    elements.indicatorOpacityValue.textContent = `${Math.round(opacity * 100)}%`;
+    elements.indicatorThemeSelect.value = theme;
+    elements.indicatorDecimalsSelect.value = String(decimals);
+    elements.autoHideToggle.classList.toggle("active", autoHide);
+    elements.autoHideToggle.setAttribute("aria-checked", String(autoHide));
+    this.setInputValue(elements.hideSecondsInput, hideSeconds);
+
+    const pill = elements.indicatorPreviewPill;
+    Object.assign(pill.style, SpeedTuneSettings.indicatorStyleFor(appearance));
+    pill.dataset.position = settings.indicatorPosition;
+    pill.textContent = SpeedTuneSettings.formatIndicatorSpeed(1.25, decimals);
+  }
+
+  renderLive() {
+    const { elements } = this;
+    const { enabled, maxSpeed, edgeSeconds } = this.settings.liveCatchUp;
+    elements.liveToggle.classList.toggle("active", enabled);
+    elements.liveToggle.setAttribute("aria-checked", String(enabled));
+    this.setInputValue(elements.liveMaxSpeedInput, maxSpeed);
+    this.setInputValue(elements.liveEdgeInput, edgeSeconds);
+  }
+
+  /**
+   * Changes the pending import would make, against the settings as they are now (kept
+   * current while the preview is open, so edits made elsewhere are compared too).
+   */
+  renderImportPreview() {
+    const { elements, pendingImport } = this;
+    elements.importPreview.hidden = !pendingImport;
+    if (!pendingImport) return;
+
+    const { settings, errors } = this.importResult();
+    const changes = SpeedTuneSettings.diffSettings(this.settings, settings);
+    elements.importFileName.textContent = pendingImport.title;
+    elements.importModeDesc.textContent =
+      elements.importModeSelect.value === "replace"
+        ? "Every setting becomes the file's; anything the file leaves out goes back to its default"
+        : "Settings in the file replace yours; its site rules and site lists are added to yours";
+
+    elements.importNotes.textContent = "";
+    elements.importNotes.hidden = errors.length === 0;
+    errors.forEach((error) => {
+      const item = document.createElement("li");
+      item.textContent = `Corrected: ${error.message}`;
+      elements.importNotes.appendChild(item);
+    });
+
+    elements.importDiff.textContent = "";
+    elements.importDiffTable.hidden = changes.length === 0;
+    elements.importDiffEmpty.hidden = changes.length > 0;
+    elements.importApplyBtn.disabled = changes.length === 0;
+    changes.forEach(({ field, key, before, after }) => {
+      const row = document.createElement("tr");
+      const nameCell = document.createElement("td");
+      nameCell.className = "site-host";
+      nameCell.textContent = this.formatImportLabel(field, key);
+      const beforeCell = document.createElement("td");
+      beforeCell.textContent = this.formatImportValue(field, key, before);
+      const afterCell = document.createElement("td");
+      afterCell.className = "import-after";
+      afterCell.textContent = this.formatImportValue(field, key, after);
+      row.append(nameCell, beforeCell, afterCell);
+      elements.importDiff.appendChild(row);
+    });
+  }
+
+  renderBackup() {
+    const { backup, elements } = this;
+    elements.backupRow.hidden = !backup || !backup.settings;
+    if (elements.backupRow.hidden) return;
+    const saved = new Date(backup.savedAt);
+    const when = Number.isNaN(saved.getTime()) ? "" : ` on ${this.formatDate(saved)}`;
+    elements.backupDesc.textContent = `Kept when Speed Tune upgraded your settings from version ${backup.version} to ${backup.upgradedTo}${when}`;
+  }
+
+  /**
+   * "Default speed", "Key: Rewind", "Site speed: example.com", "Silence skipping: top speed".
+   */
+  formatImportLabel(field, key) {
+    const label = IMPORT_LABELS[field] || field;
+    if (key === null) return label;
+    if (field === "keyBindings") {
+      const action = SpeedTuneBindings.ACTIONS.find(({ id }) => id === key);
+      return `${label}: ${action ? action.label : key}`;
+    }
+    const isSiteKey = IMPORT_SITE_LISTS.includes(field) || ["siteProfiles", "sitePitch", "overlayPositions"].includes(field);
+    return `${label}: ${isSiteKey ? key : IMPORT_PART_LABELS[key] || key}`;
+  }
+
+  formatImportValue(field, key, value) {
+    if (value === undefined) return "–";
+    if (IMPORT_SITE_LISTS.includes(field)) return value ? "Yes" : "No";
+    if (field === "keyBindings") return value ? SpeedTuneBindings.formatBinding(value).join("+") : "None";
+    if (field === "siteProfiles") return `${value.speed}x`;
+    if (field === "sitePitch") return value ? "Keep pitch" : "Shift pitch";
+    if (field === "overlayPositions") return "Moved";
+    if (typeof value === "boolean") return value ? "On" : "Off";
+    if (Array.isArray(value)) return value.join(", ");
+    return String(value);
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener("DOMContentLoaded", () => {
+  new SpeedTuneOptions();
+});
@@ -7,45 +7,17 @@
  * - Video status detection
  * - Storage synchronization
  *
- * Safe-executor logic is inlined here to avoid "failed to fetch script" when
- * loading a separate safeExecuteSetSpeed.js file from the popup.
+ * Talks to the tab's controller through the shared message protocol
+ * (speedTuneProtocol.js, loaded before this file): requests for speed, state
+ * and the media list, plus a subscription port for live state pushes. Settings
+ * are validated with the shared schema (speedTuneSettings.js); the in-page key
+ * binding editor is shared with the options page (speedTuneShortcutEditor.js).
  */
 
-// ============================================================================
-// SAFE EXECUTOR (inlined — no separate script fetch)
-// ============================================================================
-
-const SAFE_EXEC_MAX_RETRIES = 6;
-const SAFE_EXEC_BACKOFF_MS = 250;
-
-async function safelySetSpeed(tabId, speed, showIndicator, position) {
-  for (let attempt = 0; attempt < SAFE_EXEC_MAX_RETRIES; attempt++) {
-    try {
-      const results = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (s, show, pos) => {
-          const c = window.speedTuneController;
-          if (!c) return "not-ready";
-          if (!c.videos || c.videos.size === 0) return "not-ready";
-          c.setSpeed(s, show, pos);
-          return "ok";
-        },
-        args: [speed, showIndicator, position],
-      });
-      const result = results && results[0] && results[0].result;
-      if (result === "ok") return true;
-    } catch (err) {
-      // Tab not ready / restricted / navigating / discarded
-    }
-    if (attempt < SAFE_EXEC_MAX_RETRIES - 1) {
-      await new Promise((r) => setTimeout(r, SAFE_EXEC_BACKOFF_MS * (attempt + 1)));
-    }
-  }
-  return false;
-}
+const { MESSAGES, SUBSCRIBE_PORT } = SpeedTuneProtocol;
 
-// Expose for popup use (same name as before)
-window.safelySetSpeed = safelySetSpeed;
+/** Wait before reconnecting to a controller that was just turned back on for the site. */
+const SITE_WAKE_DELAY_MS = 300;
 
 // ============================================================================
 // SPEED TUNE POPUP CLASS
@@ -54,18 +26,70 @@ window.safelySetSpeed = safelySetSpeed;
 class SpeedTunePopup {
   constructor() {
     // State
+    /** This tab's speed (per-tab state in the service worker). */
     this.speed = 1.0;
+    /** Where the tab's speed came from: "tab" | "site" | "default" | "none". */
+    this.speedSource = "none";
+    /** Saved default speed (speedTuneSettings.speed), applied on load when Save Speed is ON. */
+    this.savedSpeed = 1.0;
+    this.tabId = null;
     this.saveSpeed = false;
     this.showIndicator = true;
     this.indicatorPosition = "top-left";
+    /** Indicator text: "speed" | "remaining" | "finish". */
+    this.indicatorMode = "speed";
+    /** Primary media's { remaining, paused } from the controller, or null. */
+    this.timing = null;
+    this.siteProfiles = {};
+    this.siteHost = "";
+    this.targetMode = "primary";
+    /** Media reported by every frame of the active tab: [{ frame, id, kind, ... }]. */
+    this.mediaList = [];
+    this.mediaRefreshId = null;
+    /** A listVideos request is out; slow frames can take longer than a poll interval to answer. */
+    this.mediaListPending = false;
     this.hasVideo = false;
+    /** "video" | "audio" | null — kind of primary media on the active tab. */
+    this.mediaKind = null;
+    /** Primary media is in the browser's picture-in-picture window (which has no speed bar). */
+    this.pictureInPicture = false;
+    /** ControllerUnavailableError when the active tab cannot be controlled. */
+    this.controllerError = null;
+    this.controllerReady = false;
+    this.port = null;
+    /** In-page key bindings: action -> binding (null = unbound). */
+    this.keyBindings = SpeedTuneBindings.getDefaultBindings();
+    this.speedSteps = { ...SpeedTuneBindings.DEFAULT_STEPS };
+    /** Hostnames where the in-page key listener is off. */
+    this.shortcutsDisabledSites = [];
+    /** Browser shortcuts (chrome.commands.getAll) checked for conflicts. */
+    this.commands = [];
+    /** Preset chips in the user's order; digits 1–9 pick them. */
+    this.speedPresets = SpeedTuneSettings.getDefaultSettings().speedPresets;
+    this.editingPresets = false;
+    /** Index of the chip being dragged while editing, or null. */
+    this.draggedPreset = null;
+    /** Silence skipping settings, and the controller's { enabled, active, available, timeSaved }. */
+    this.silenceSkip = SpeedTuneSettings.getDefaultSettings().silenceSkip;
+    this.silenceState = null;
+    /** Caption-based speed settings, sites it is on for, and the controller's
+     * { enabled, available, wpm, rate, stopped }. */
+    this.adaptiveSpeed = SpeedTuneSettings.getDefaultSettings().adaptiveSpeed;
+    this.adaptiveSpeedSites = [];
+    this.adaptiveState = null;
+    /** Whether Speed Tune runs on the active tab's site (disabledSites / allowlist). */
+    this.siteEnabled = true;
+    /** Last stored settings; fields the popup doesn't edit are written back unchanged. */
+    this.storedSettings = SpeedTuneSettings.getDefaultSettings();
+    /** Whether storedSettings came from storage; saving is refused until then (it would overwrite them with defaults). */
+    this.settingsLoaded = false;
 
     // Initialize
     this.initElements();
     this.loadSettings();
-    this.checkVideoStatus();
     this.bindEvents();
     this.setupStorageListener();
+    this.startMediaListRefresh();
     this.updateUI();
   }
 
@@ -82,6 +106,14 @@ class SpeedTunePopup {
       statusText: document.getElementById("statusText"),
       statusHint: document.getElementById("statusHint"),
       speedValue: document.getElementById("speedValue"),
+      speedSource: document.getElementById("speedSource"),
+      speedTiming: document.getElementById("speedTiming"),
+      speedNote: document.getElementById("speedNote"),
+      saveStatus: document.getElementById("saveStatus"),
+      indicatorModes: document.getElementById("indicatorModes"),
+      indicatorModeSetting: document.getElementById("indicatorModeSetting"),
+      defaultSpeedText: document.getElementById("defaultSpeedText"),
+      makeDefaultBtn: document.getElementById("makeDefaultBtn"),
       speedSlider: document.getElementById("speedSlider"),
       speedInput: document.getElementById("speedInput"),
       inputArrowUp: document.getElementById("inputArrowUp"),
@@ -89,101 +121,182 @@ class SpeedTunePopup {
       minusBtn: document.getElementById("minusBtn"),
       plusBtn: document.getElementById("plusBtn"),
       resetBtn: document.getElementById("resetBtn"),
+      presetChips: document.getElementById("presetChips"),
+      presetsEditBtn: document.getElementById("presetsEditBtn"),
+      presetsHint: document.getElementById("presetsHint"),
       saveSpeedToggle: document.getElementById("saveSpeedToggle"),
       indicatorToggle: document.getElementById("indicatorToggle"),
+      silenceToggle: document.getElementById("silenceToggle"),
+      silenceDesc: document.getElementById("silenceDesc"),
+      adaptiveSetting: document.getElementById("adaptiveSetting"),
+      adaptiveToggle: document.getElementById("adaptiveToggle"),
+      adaptiveDesc: document.getElementById("adaptiveDesc"),
+      controlsPanel: document.getElementById("controlsPanel"),
+      siteEnabledSetting: document.getElementById("siteEnabledSetting"),
+      siteEnabledToggle: document.getElementById("siteEnabledToggle"),
+      siteEnabledDesc: document.getElementById("siteEnabledDesc"),
       positionGrid: document.getElementById("positionGrid"),
       positionSetting: document.getElementById("positionSetting"),
+      siteProfile: document.getElementById("siteProfile"),
+      siteProfileText: document.getElementById("siteProfileText"),
+      siteProfileBtn: document.getElementById("siteProfileBtn"),
+      mediaSection: document.getElementById("mediaSection"),
+      targetModes: document.getElementById("targetModes"),
+      mediaList: document.getElementById("mediaList"),
+      shortcutList: document.getElementById("shortcutList"),
+      openOptionsBtn: document.getElementById("openOptionsBtn"),
+      openStatsBtn: document.getElementById("openStatsBtn"),
+      shortcutsRestoreBtn: document.getElementById("shortcutsRestoreBtn"),
+      smallStepInput: document.getElementById("smallStepInput"),
+      largeStepInput: document.getElementById("largeStepInput"),
+      shortcutSite: document.getElementById("shortcutSite"),
+      shortcutSiteDesc: document.getElementById("shortcutSiteDesc"),
+      shortcutSiteToggle: document.getElementById("shortcutSiteToggle"),
     };
   }
 
   /**
-   * Normalize settings to current schema (migration).
+   * Site-profile key for a tab URL ("" for non-web pages such as chrome:// or file://).
    */
-  migrateSettings(raw) {
-    const defaults = { speed: 1.0, saveSpeed: false, showIndicator: true, indicatorPosition: "top-left" };
-    if (!raw || typeof raw !== "object") return defaults;
-    return {
-      speed: Math.max(0.1, Math.min(16, Number(raw.speed) || 1.0)),
-      saveSpeed: !!raw.saveSpeed,
-      showIndicator: raw.showIndicator !== false,
-      indicatorPosition: ["top-left", "top-right", "bottom-left", "bottom-right", "center"].includes(raw.indicatorPosition)
-        ? raw.indicatorPosition
-        : "top-left",
-    };
+  getHostname(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === "http:" || parsed.protocol === "https:" ? parsed.hostname.toLowerCase() : "";
+    } catch (e) {
+      return "";
+    }
+  }
+
+  /**
+   * Saved profile for the active tab's site, or null.
+   */
+  getSiteProfile() {
+    return (this.siteHost && this.siteProfiles[this.siteHost]) || null;
   }
 
   /**
-   * Load settings from storage (with migration fallback on error).
+   * Load settings from storage (defaults on error, with saving refused until a read succeeds).
    */
   loadSettings() {
-    chrome.storage.sync.get(["speedTuneSettings"], (result) => {
-      if (chrome.runtime.lastError) {
-        this.speed = 1.0;
-        this.saveSpeed = false;
-        this.showIndicator = true;
-        this.indicatorPosition = "top-left";
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tab = !chrome.runtime.lastError && tabs && tabs[0];
+      this.siteHost = tab ? this.getHostname(tab.url) : "";
+      this.tabId = tab ? tab.id : null;
+
+      chrome.storage.sync.get(["speedTuneSettings"], (result) => {
+        if (chrome.runtime.lastError) {
+          this.speed = 1.0;
+          this.saveSpeed = false;
+          this.showIndicator = true;
+          this.indicatorPosition = "top-left";
+          this.siteProfiles = {};
+          this.targetMode = "primary";
+          this.updateUI();
+          this.showLoadError();
+          return;
+        }
+
+        const settings = SpeedTuneSettings.migrateSettings(result.speedTuneSettings);
+        this.storedSettings = settings;
+        this.settingsLoaded = true;
+        this.siteProfiles = settings.siteProfiles;
+        this.savedSpeed = settings.speed;
+        this.saveSpeed = settings.saveSpeed;
+        this.showIndicator = settings.showIndicator;
+        this.indicatorPosition = settings.indicatorPosition;
+        this.indicatorMode = settings.indicatorMode;
+        this.targetMode = settings.targetMode;
+        this.keyBindings = settings.keyBindings;
+        this.speedSteps = settings.speedSteps;
+        this.shortcutsDisabledSites = settings.shortcutsDisabledSites;
+        this.speedPresets = settings.speedPresets;
+        this.silenceSkip = settings.silenceSkip;
+        this.adaptiveSpeed = settings.adaptiveSpeed;
+        this.adaptiveSpeedSites = settings.adaptiveSpeedSites;
+        this.siteEnabled = SpeedTuneSettings.isSiteEnabled(settings, this.siteHost);
         this.updateUI();
-        return;
-      }
+        this.loadTabSpeed();
+      });
 
-      const settings = this.migrateSettings(result.speedTuneSettings);
-      this.speed = settings.speed;
-      this.saveSpeed = settings.saveSpeed;
-      this.showIndicator = settings.showIndicator;
-      this.indicatorPosition = settings.indicatorPosition;
-      this.updateUI();
+      this.connectToController();
     });
+
+    this.loadCommandShortcuts();
   }
 
   /**
-   * Ask content script for primary video with retry (controller may not be injected yet).
-   * Returns true if primary video exists, false otherwise or after max retries.
+   * Ask the service worker for this tab's effective speed and its source.
    */
-  async checkPrimaryVideo(tabId) {
-    const MAX_TRIES = 5;
-    const RETRY_MS = 250;
-
-    for (let i = 0; i < MAX_TRIES; i++) {
-      try {
-        const results = await chrome.scripting.executeScript({
-          target: { tabId },
-          func: () => {
-            const c = window.speedTuneController;
-            if (!c) return "not-ready";
-            return c.hasPrimaryVideo() ? "yes" : "no";
-          },
-        });
-
-        const result = results && results[0] && results[0].result;
-        if (result === "yes") return true;
-        if (result === "no") return false;
-      } catch (err) {
-        // Tab restricted / navigating / script not ready
-      }
+  loadTabSpeed() {
+    if (this.tabId === null) return;
+    chrome.runtime.sendMessage({ type: MESSAGES.GET_TAB_SPEED, tabId: this.tabId }, (response) => {
+      if (chrome.runtime.lastError || !response || typeof response.speed !== "number") return;
+      this.speed = response.speed;
+      this.speedSource = response.source;
+      this.updateUI();
+    });
+  }
 
-      if (i < MAX_TRIES - 1) {
-        await new Promise((r) => setTimeout(r, RETRY_MS));
-      }
+  /**
+   * Reach the tab's controller (waits for it to announce itself on a loading page),
+   * then subscribe to live state pushes.
+   */
+  async connectToController() {
+    if (this.tabId === null) {
+      this.controllerError = new SpeedTuneProtocol.ControllerUnavailableError("no-tab", "No active tab.");
+      this.updateVideoStatus();
+      return;
+    }
+    try {
+      const response = await SpeedTuneProtocol.sendToController(this.tabId, { type: MESSAGES.GET_STATE });
+      this.controllerReady = true;
+      this.controllerError = null;
+      this.applyControllerState(response.state);
+      this.subscribe();
+      this.refreshMediaList();
+    } catch (err) {
+      this.controllerReady = false;
+      this.controllerError = err;
+      this.hasVideo = false;
+      this.updateVideoStatus();
     }
-
-    return false;
   }
 
   /**
-   * Check if current page has a primary video (same logic as indicator — single source of truth).
-   * Retries so popup never lies during load.
+   * Live state from the controller (media detected, targeting changes) while the popup is open.
    */
-  checkVideoStatus() {
-    chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
-      if (chrome.runtime.lastError || !tabs || !tabs[0]) {
-        this.hasVideo = false;
-        this.updateVideoStatus();
-        return;
-      }
-
-      this.hasVideo = await this.checkPrimaryVideo(tabs[0].id);
-      this.updateVideoStatus();
+  subscribe() {
+    try {
+      this.port = chrome.tabs.connect(this.tabId, { name: SUBSCRIBE_PORT, frameId: 0 });
+    } catch (err) {
+      return;
+    }
+    this.port.onMessage.addListener((message) => {
+      if (message && message.type === MESSAGES.STATE) this.applyControllerState(message.state);
     });
+    this.port.onDisconnect.addListener(() => {
+      void chrome.runtime.lastError;
+      this.port = null;
+      this.controllerReady = false;
+    });
+  }
+
+  /**
+   * Apply a controller state snapshot to the status area.
+   */
+  applyControllerState(state) {
+    if (!state) return;
+    this.mediaKind = state.mediaKind || null;
+    this.hasVideo = !!this.mediaKind;
+    this.pictureInPicture = !!state.pictureInPicture;
+    this.silenceState = state.silence || null;
+    this.adaptiveState = state.adaptive || null;
+    this.timing = state.timing || null;
+    this.updateVideoStatus();
+    this.updateTiming();
+    this.updateSilence();
+    this.updateAdaptive();
+    this.updateSpeedNote();
   }
 
   /**
@@ -193,16 +306,23 @@ class SpeedTunePopup {
     if (this.hasVideo) {
       this.elements.statusDot.classList.add("active");
       this.elements.statusDot.classList.remove("inactive");
-      this.elements.statusText.textContent = "Video detected";
+      this.elements.statusText.textContent = this.mediaKind === "audio" ? "Audio detected" : "Video detected";
       if (this.elements.statusHint) this.elements.statusHint.textContent = "";
+    } else if (this.controllerError) {
+      this.elements.statusDot.classList.remove("active");
+      this.elements.statusDot.classList.add("inactive");
+      const labels = { restricted: "Not available here", disabled: "Off on this site" };
+      this.elements.statusText.textContent = labels[this.controllerError.reason] || "Can't reach this page";
+      if (this.elements.statusHint) this.elements.statusHint.textContent = this.controllerError.message;
     } else {
       this.elements.statusDot.classList.remove("active");
       this.elements.statusDot.classList.add("inactive");
-      this.elements.statusText.textContent = "No video on this page";
+      this.elements.statusText.textContent = "No media on this page";
       if (this.elements.statusHint) {
-        this.elements.statusHint.textContent = "Open a page with a visible video to control speed.";
+        this.elements.statusHint.textContent = "Open a page with a visible video or playing audio to control speed.";
       }
     }
+    this.updateSpeedNote();
   }
 
   // ========================================================================
@@ -275,6 +395,58 @@ class SpeedTunePopup {
       this.handleSpeedChange(1.0);
     });
 
+    // Presets: click a chip to apply it, or edit the list
+    this.elements.presetsEditBtn.addEventListener("click", () => this.toggleEditPresets());
+    this.elements.presetChips.addEventListener("click", (e) => {
+      const chip = e.target.closest(".preset-chip");
+      if (!chip) return;
+      if (chip.classList.contains("preset-add")) {
+        this.addPreset(this.speed);
+      } else if (this.editingPresets) {
+        this.removePreset(Number(chip.dataset.index));
+      } else {
+        this.handleSpeedChange(this.speedPresets[Number(chip.dataset.index)]);
+      }
+    });
+    this.elements.presetChips.addEventListener("keydown", (e) => this.handlePresetChipKey(e));
+    this.bindPresetDrag();
+    // Digits 1–9 pick a preset anywhere in the popup except text fields
+    document.addEventListener("keydown", (e) => this.handlePresetDigit(e));
+
+    // Targeting mode (Main / All visible / Chosen)
+    this.elements.targetModes.addEventListener("click", (e) => {
+      const btn = e.target.closest(".target-btn");
+      if (btn) this.handleTargetModeChange(btn.dataset.mode);
+    });
+
+    // Media list: clicking a row targets that element
+    this.elements.mediaList.addEventListener("click", (e) => {
+      const item = e.target.closest(".media-item");
+      if (item) this.selectMedia(Number(item.dataset.frame), Number(item.dataset.mediaId));
+    });
+
+    this.elements.makeDefaultBtn.addEventListener("click", () => {
+      this.makeDefault();
+    });
+
+    // Per-site profile: save current speed for this site, or forget it
+    this.elements.siteProfileBtn.addEventListener("click", () => {
+      this.toggleSiteProfile();
+    });
+
+    // Shortcut editor: click a row's keys to capture new ones
+    this.shortcutEditor = new SpeedTuneShortcutEditor(this.elements.shortcutList, {
+      onChange: (bindings) => {
+        this.keyBindings = bindings;
+        this.saveSettings();
+      },
+    });
+    this.elements.openOptionsBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+    this.elements.openStatsBtn.addEventListener("click", () => chrome.tabs.create({ url: chrome.runtime.getURL("stats.html") }));
+    this.elements.shortcutsRestoreBtn.addEventListener("click", () => this.restoreDefaultBindings());
+    this.elements.smallStepInput.addEventListener("change", (e) => this.handleStepChange("small", e.target.value));
+    this.elements.largeStepInput.addEventListener("change", (e) => this.handleStepChange("large", e.target.value));
+
     // Toggles (click and keyboard for role="switch")
     const toggleOnKey = (el, toggleFn) => (e) => {
       if (e.key === " " || e.key === "Enter") {
@@ -286,6 +458,20 @@ class SpeedTunePopup {
     this.elements.saveSpeedToggle.addEventListener("keydown", toggleOnKey(this.elements.saveSpeedToggle, () => this.toggleSaveSpeed()));
     this.elements.indicatorToggle.addEventListener("click", () => this.toggleIndicator());
     this.elements.indicatorToggle.addEventListener("keydown", toggleOnKey(this.elements.indicatorToggle, () => this.toggleIndicator()));
+    this.elements.silenceToggle.addEventListener("click", () => this.toggleSilenceSkip());
+    this.elements.silenceToggle.addEventListener("keydown", toggleOnKey(this.elements.silenceToggle, () => this.toggleSilenceSkip()));
+    this.elements.siteEnabledToggle.addEventListener("click", () => this.toggleSiteEnabled());
+    this.elements.siteEnabledToggle.addEventListener("keydown", toggleOnKey(this.elements.siteEnabledToggle, () => this.toggleSiteEnabled()));
+    this.elements.adaptiveToggle.addEventListener("click", () => this.toggleAdaptiveSite());
+    this.elements.adaptiveToggle.addEventListener("keydown", toggleOnKey(this.elements.adaptiveToggle, () => this.toggleAdaptiveSite()));
+    this.elements.shortcutSiteToggle.addEventListener("click", () => this.toggleShortcutSite());
+    this.elements.shortcutSiteToggle.addEventListener("keydown", toggleOnKey(this.elements.shortcutSiteToggle, () => this.toggleShortcutSite()));
+
+    // Indicator display mode
+    this.elements.indicatorModes.addEventListener("click", (e) => {
+      const btn = e.target.closest(".target-btn");
+      if (btn) this.handleIndicatorModeChange(btn.dataset.mode);
+    });
 
     // Position grid
     this.elements.positionGrid.addEventListener("click", (e) => {
@@ -412,18 +598,30 @@ class SpeedTunePopup {
   // ========================================================================
 
   /**
-   * Handle speed change
+   * Handle speed change (this tab only; the saved default is changed by "Make this my default")
    */
   handleSpeedChange(newSpeed) {
+    if (!this.siteEnabled) return;
     const roundedSpeed = Math.round(parseFloat(newSpeed) * 100) / 100;
     this.speed = Math.max(0.1, Math.min(16, roundedSpeed));
+    this.speedSource = "tab";
 
     this.updateAllSpeedInputs();
+    this.updateSpeedSource();
     this.applySpeed();
+    this.saveTabSpeed();
+  }
 
-    if (this.saveSpeed) {
-      this.saveSettings();
-    }
+  /**
+   * Record the speed as this tab's own (service worker session state).
+   */
+  saveTabSpeed() {
+    if (this.tabId === null) return;
+    chrome.runtime.sendMessage({ type: MESSAGES.SET_TAB_SPEED, tabId: this.tabId, speed: this.speed }, () => {
+      if (chrome.runtime.lastError) {
+        console.error("[SpeedTune Popup] Error saving tab speed:", chrome.runtime.lastError);
+      }
+    });
   }
 
   /**
@@ -437,7 +635,7 @@ class SpeedTunePopup {
    * Update all speed input UI elements
    */
   updateAllSpeedInputs() {
-    this.elements.speedValue.textContent = `${this.speed.toFixed(1)}x`;
+    this.elements.speedValue.textContent = `${this.formatPreset(this.speed)}x`;
     this.elements.speedSlider.value = this.speed;
     this.elements.speedSlider.setAttribute("aria-valuenow", String(this.speed));
     this.elements.speedInput.value = this.speed.toFixed(1);
@@ -445,22 +643,206 @@ class SpeedTunePopup {
     // Update slider visual progress
     const progress = ((this.speed - 0.1) / (16 - 0.1)) * 100;
     this.elements.speedSlider.style.background = `linear-gradient(to right, #3b82f6 0%, #3b82f6 ${progress}%, #e5e7eb ${progress}%, #e5e7eb 100%)`;
+
+    // Re-rendering mid-drag would drop the dragged chip
+    if (this.draggedPreset === null) this.updatePresets();
+    this.updateSpeedNote();
   }
 
   /**
-   * Apply speed via shared safe executor (never assumes controller exists).
+   * Chrome plays no sound outside 0.5x–4x; say so rather than leave the user guessing. Its
+   * picture-in-picture window has no room for the speed bar, so point back here while it's open.
    */
-  applySpeed() {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (chrome.runtime.lastError || !tabs || !tabs[0]) return;
-      const tabId = tabs[0].id;
-      const speed = this.speed;
-      const showIndicator = this.showIndicator;
-      const position = this.indicatorPosition;
-      if (typeof window.safelySetSpeed === "function") {
-        window.safelySetSpeed(tabId, speed, showIndicator, position);
+  updateSpeedNote() {
+    const { speedNote } = this.elements;
+    const { min, max } = SpeedTuneSettings.AUDIBLE_RATES;
+    const muted = this.hasVideo && !SpeedTuneSettings.isAudibleRate(this.speed);
+    const pip = this.hasVideo && this.pictureInPicture;
+    speedNote.hidden = !muted && !pip;
+    if (muted) {
+      speedNote.textContent =
+        this.speed > max ? `Chrome mutes the sound above ${max.toFixed(1)}x` : `Chrome mutes the sound below ${min}x`;
+    } else if (pip) {
+      speedNote.textContent = "Chrome's picture-in-picture window has no speed bar — change the speed here or with your keys";
+    }
+  }
+
+  // ========================================================================
+  // SPEED PRESETS
+  // ========================================================================
+
+  formatPreset(speed) {
+    return Number.isInteger(speed) ? speed.toFixed(1) : String(speed);
+  }
+
+  /**
+   * Digit 1–9 applies that chip (not while typing, editing keys or holding modifiers).
+   */
+  handlePresetDigit(e) {
+    if (!/^[1-9]$/.test(e.key) || e.ctrlKey || e.altKey || e.metaKey) return;
+    const target = e.target;
+    if (target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA" || target.tagName === "SELECT" || target.isContentEditable)) return;
+    if (this.shortcutEditor.capturingAction) return;
+    const preset = this.speedPresets[Number(e.key) - 1];
+    if (preset === undefined) return;
+    e.preventDefault();
+    this.handleSpeedChange(preset);
+  }
+
+  toggleEditPresets() {
+    this.editingPresets = !this.editingPresets;
+    this.updatePresets();
+  }
+
+  savePresets(speedPresets, focusIndex = null) {
+    const { settings } = SpeedTuneSettings.validateSettings({ ...this.storedSettings, speedPresets });
+    this.speedPresets = settings.speedPresets;
+    this.updatePresets(focusIndex);
+    this.saveSettings();
+  }
+
+  addPreset(speed) {
+    if (this.speedPresets.includes(speed) || this.speedPresets.length >= SpeedTuneSettings.PRESETS_MAX) return;
+    this.savePresets([...this.speedPresets, speed], this.speedPresets.length);
+  }
+
+  /**
+   * Remove a chip; the last one can't go (cycling needs at least one).
+   */
+  removePreset(index) {
+    if (this.speedPresets.length <= 1) return;
+    this.savePresets(
+      this.speedPresets.filter((_, i) => i !== index),
+      Math.min(index, this.speedPresets.length - 2)
+    );
+  }
+
+  movePreset(from, to) {
+    if (to < 0 || to >= this.speedPresets.length || from === to) return;
+    const presets = [...this.speedPresets];
+    const [moved] = presets.splice(from, 1);
+    presets.splice(to, 0, moved);
+    this.savePresets(presets, to);
+  }
+
+  /**
+   * While editing: ←/→ move the focused chip, Delete/Backspace removes it.
+   */
+  handlePresetChipKey(e) {
+    if (!this.editingPresets) return;
+    const chip = e.target.closest(".preset-chip");
+    if (!chip || chip.classList.contains("preset-add")) return;
+    const index = Number(chip.dataset.index);
+    if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+      e.preventDefault();
+      this.movePreset(index, index + (e.key === "ArrowLeft" ? -1 : 1));
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      this.removePreset(index);
+    }
+  }
+
+  /**
+   * Drag a chip onto another to move it there (editing only).
+   */
+  bindPresetDrag() {
+    const { presetChips } = this.elements;
+    presetChips.addEventListener("dragstart", (e) => {
+      const chip = e.target.closest(".preset-chip");
+      if (!this.editingPresets || !chip || chip.classList.contains("preset-add")) return;
+      this.draggedPreset = Number(chip.dataset.index);
+      chip.classList.add("dragging");
+      e.dataTransfer.effectAllowed = "move";
+    });
+    presetChips.addEventListener("dragover", (e) => {
+      if (this.draggedPreset !== null && e.target.closest(".preset-chip:not(.preset-add)")) e.preventDefault();
+    });
+    presetChips.addEventListener("drop", (e) => {
+      const chip = e.target.closest(".preset-chip:not(.preset-add)");
+      if (this.draggedPreset === null || !chip) return;
+      e.preventDefault();
+      const from = this.draggedPreset;
+      this.draggedPreset = null;
+      this.movePreset(from, Number(chip.dataset.index));
+    });
+    presetChips.addEventListener("dragend", () => {
+      if (this.draggedPreset === null) return;
+      this.draggedPreset = null;
+      this.updatePresets();
+    });
+  }
+
+  /**
+   * Render the chips: numbered speed buttons, or removable/draggable chips plus "+ current" while editing.
+   * @param {number|null} focusIndex - Chip to focus after re-rendering (keyboard editing)
+   */
+  updatePresets(focusIndex = null) {
+    const { presetChips, presetsEditBtn, presetsHint } = this.elements;
+    const editing = this.editingPresets;
+    presetChips.textContent = "";
+    presetChips.classList.toggle("editing", editing);
+    presetsEditBtn.textContent = editing ? "Done" : "Edit";
+    presetsEditBtn.setAttribute("aria-pressed", String(editing));
+    presetsHint.textContent = editing
+      ? "Drag chips or use ←/→ to reorder; click one to remove it"
+      : "Press 1–9 to pick a preset";
+
+    this.speedPresets.forEach((preset, index) => {
+      const label = `${this.formatPreset(preset)}x`;
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "preset-chip";
+      chip.dataset.index = String(index);
+      chip.classList.toggle("active", !editing && preset === this.speed);
+
+      const digit = document.createElement("span");
+      digit.className = "preset-digit";
+      digit.textContent = String(index + 1);
+      chip.append(digit, label);
+
+      if (editing) {
+        chip.draggable = true;
+        const remove = document.createElement("span");
+        remove.className = "preset-remove";
+        remove.setAttribute("aria-hidden", "true");
+        remove.textContent = "×";
+        chip.appendChild(remove);
+        chip.setAttribute("aria-label", `${label}, preset ${index + 1}. Click or Delete to remove, arrow keys to move.`);
+      } else {
+        chip.setAttribute("aria-label", `${label} (key ${index + 1})`);
+        chip.setAttribute("aria-pressed", String(preset === this.speed));
       }
+      presetChips.appendChild(chip);
     });
+
+    if (editing && !this.speedPresets.includes(this.speed) && this.speedPresets.length < SpeedTuneSettings.PRESETS_MAX) {
+      const add = document.createElement("button");
+      add.type = "button";
+      add.className = "preset-chip preset-add";
+      add.textContent = `+ ${this.formatPreset(this.speed)}x`;
+      add.setAttribute("aria-label", `Add ${this.formatPreset(this.speed)}x as a preset`);
+      presetChips.appendChild(add);
+    }
+
+    if (focusIndex !== null) {
+      const chip = presetChips.querySelector(`.preset-chip[data-index="${focusIndex}"]`);
+      if (chip) chip.focus();
+    }
+  }
+
+  /**
+   * Apply speed via the controller protocol; surface a clear error if the tab can't be controlled.
+   */
+  async applySpeed() {
+    if (this.tabId === null) return;
+    const result = await SpeedTuneProtocol.safelySetSpeed(this.tabId, this.speed, this.showIndicator, this.indicatorPosition);
+    if (!result.ok) {
+      this.controllerError = result.error;
+      this.hasVideo = false;
+      this.updateVideoStatus();
+    } else if (this.controllerError) {
+      this.connectToController();
+    }
   }
 
   // ========================================================================
@@ -468,23 +850,423 @@ class SpeedTunePopup {
   // ========================================================================
 
   /**
-   * Toggle Save Speed setting
+   * Toggle Save Speed setting (whether new pages start at the saved default).
+   * Tabs keep their own speed either way.
    */
   toggleSaveSpeed() {
     this.saveSpeed = !this.saveSpeed;
-    
-    // If Save Speed is turned OFF, reset speed to 1.0x
-    if (!this.saveSpeed) {
-      this.speed = 1.0;
-      this.updateAllSpeedInputs();
-      // Apply 1.0x speed to the content script
-      this.applySpeed();
-    }
-    
     this.updateUI();
     this.saveSettings();
   }
 
+  /**
+   * Make this tab's speed the saved default for new pages (turns Save Speed on).
+   */
+  makeDefault() {
+    this.savedSpeed = this.speed;
+    this.saveSpeed = true;
+    this.updateUI();
+    this.saveSettings();
+  }
+
+  /**
+   * Toggle silence skipping (threshold, length and speed are set on the options page).
+   */
+  toggleSilenceSkip() {
+    this.silenceSkip = { ...this.silenceSkip, enabled: !this.silenceSkip.enabled };
+    this.updateSilence();
+    this.saveSettings();
+  }
+
+  /**
+   * Silence toggle plus what it is doing on this page (skipping now / time saved).
+   */
+  updateSilence() {
+    const { silenceToggle, silenceDesc } = this.elements;
+    const { enabled, speed } = this.silenceSkip;
+    silenceToggle.classList.toggle("active", enabled);
+    silenceToggle.setAttribute("aria-checked", String(enabled));
+
+    const state = this.silenceState;
+    if (!enabled) {
+      silenceDesc.textContent = `Speed up quiet stretches to ${speed}x`;
+    } else if (state && !state.available) {
+      silenceDesc.textContent = "Can't hear this player's audio";
+    } else if (state && state.active) {
+      silenceDesc.textContent = `Skipping silence at ${speed}x…`;
+    } else if (state && state.timeSaved >= 1) {
+      silenceDesc.textContent = `Saved ${this.formatTime(state.timeSaved)} on this page`;
+    } else {
+      silenceDesc.textContent = `Quiet stretches play at ${speed}x`;
+    }
+  }
+
+  /**
+   * Turn Speed Tune off (or back on) for the active tab's site: in allowlist mode by
+   * adding it to or removing it from the allowed sites, otherwise with the disabled sites.
+   */
+  toggleSiteEnabled() {
+    if (!this.siteHost) return;
+    const { disabledSites, allowedSites, allowlistOnly } = this.storedSettings;
+    const without = (sites) => sites.filter((host) => host !== this.siteHost);
+    const enable = !this.siteEnabled;
+    const changes = enable
+      ? { disabledSites: without(disabledSites), allowedSites: allowlistOnly ? [...without(allowedSites), this.siteHost] : allowedSites }
+      : allowlistOnly
+        ? { allowedSites: without(allowedSites) }
+        : { disabledSites: [...without(disabledSites), this.siteHost] };
+    this.storedSettings = { ...this.storedSettings, ...changes };
+    this.applySiteEnabled();
+    this.saveSettings();
+  }
+
+  /**
+   * Follow the site switch: a dormant controller answers nothing useful, so drop the
+   * connection when the site is turned off and reconnect when it is turned back on.
+   */
+  applySiteEnabled() {
+    const enabled = SpeedTuneSettings.isSiteEnabled(this.storedSettings, this.siteHost);
+    if (enabled === this.siteEnabled) return;
+    this.siteEnabled = enabled;
+    this.updateSiteEnabled();
+    if (enabled) {
+      this.controllerError = null;
+      // The tab's controller sees the same storage change; give it a moment to start
+      setTimeout(() => this.connectToController(), SITE_WAKE_DELAY_MS);
+      return;
+    }
+    if (this.port) {
+      try {
+        this.port.disconnect();
+      } catch (e) {}
+      this.port = null;
+    }
+    this.controllerReady = false;
+    this.controllerError = new SpeedTuneProtocol.ControllerUnavailableError("disabled", "Speed Tune is turned off on this site.");
+    this.hasVideo = false;
+    this.mediaKind = null;
+    this.pictureInPicture = false;
+    this.updateVideoStatus();
+  }
+
+  updateSiteEnabled() {
+    const { controlsPanel, siteEnabledSetting, siteEnabledToggle, siteEnabledDesc } = this.elements;
+    controlsPanel.classList.toggle("site-off", !this.siteEnabled);
+    siteEnabledSetting.hidden = !this.siteHost;
+    if (!this.siteHost) return;
+    siteEnabledToggle.classList.toggle("active", this.siteEnabled);
+    siteEnabledToggle.setAttribute("aria-checked", String(this.siteEnabled));
+    if (this.siteEnabled) {
+      siteEnabledDesc.textContent = `On for ${this.siteHost}. Turn off if it gets in the way here.`;
+    } else if (this.storedSettings.allowlistOnly) {
+      siteEnabledDesc.textContent = `Off: ${this.siteHost} isn't one of your allowed sites.`;
+    } else {
+      siteEnabledDesc.textContent = `Off for ${this.siteHost}. Videos play as the site sets them.`;
+    }
+  }
+
+  /**
+   * Turn caption-based speed on (or off) for the active tab's site.
+   */
+  toggleAdaptiveSite() {
+    if (!this.siteHost) return;
+    const sites = this.adaptiveSpeedSites.filter((host) => host !== this.siteHost);
+    if (sites.length === this.adaptiveSpeedSites.length) sites.push(this.siteHost);
+    this.adaptiveSpeedSites = sites;
+    this.updateAdaptive();
+    this.saveSettings();
+  }
+
+  /**
+   * Caption speed switch for this site plus what it is doing (words per minute now, no captions).
+   */
+  updateAdaptive() {
+    const { adaptiveSetting, adaptiveToggle, adaptiveDesc } = this.elements;
+    adaptiveSetting.hidden = !this.siteHost;
+    if (!this.siteHost) return;
+    const enabled = this.adaptiveSpeedSites.includes(this.siteHost);
+    adaptiveToggle.classList.toggle("active", enabled);
+    adaptiveToggle.setAttribute("aria-checked", String(enabled));
+
+    const { targetWpm, minSpeed, maxSpeed } = this.adaptiveSpeed;
+    const state = this.adaptiveState;
+    if (!enabled) {
+      adaptiveDesc.textContent = `Aim for ${targetWpm} words a minute using captions`;
+    } else if (!this.hasVideo) {
+      adaptiveDesc.textContent = `On for ${this.siteHost}`;
+    } else if (state && !state.available) {
+      adaptiveDesc.textContent = "This player has no captions to read";
+    } else if (state && state.stopped) {
+      adaptiveDesc.textContent = "Off for this video: you chose a speed";
+    } else if (state && state.wpm !== null) {
+      adaptiveDesc.textContent = `${state.wpm} words a minute at ${this.formatPreset(state.rate)}x`;
+    } else {
+      adaptiveDesc.textContent = `Reading captions… (${this.formatPreset(minSpeed)}x–${this.formatPreset(maxSpeed)}x)`;
+    }
+  }
+
+  /**
+   * Show where the tab's speed comes from, and the saved default next to it.
+   */
+  updateSpeedSource() {
+    const labels = {
+      tab: "This tab",
+      site: "This tab · saved for this site",
+      default: "This tab · your default",
+      none: "This tab · normal speed",
+    };
+    this.elements.speedSource.textContent = labels[this.speedSource] || labels.none;
+
+    this.elements.defaultSpeedText.textContent = this.saveSpeed
+      ? `Default: ${this.formatPreset(this.savedSpeed)}x`
+      : `Default: 1.0x (Save Speed off)`;
+    const isDefault = this.saveSpeed && Math.abs(this.savedSpeed - this.speed) < 0.001;
+    this.elements.makeDefaultBtn.disabled = isDefault;
+    this.elements.makeDefaultBtn.textContent = isDefault ? "Is your default" : "Make this my default";
+  }
+
+  /**
+   * Save the current speed as this site's profile, or forget the saved one
+   */
+  toggleSiteProfile() {
+    if (!this.siteHost) return;
+    const profiles = { ...this.siteProfiles };
+    if (profiles[this.siteHost]) {
+      delete profiles[this.siteHost];
+    } else {
+      profiles[this.siteHost] = { speed: this.speed };
+    }
+    this.siteProfiles = profiles;
+    this.updateSiteProfile();
+    this.saveSettings();
+  }
+
+  /**
+   * Update per-site profile row ("Saved for this site: 2.0x" / Forget)
+   */
+  updateSiteProfile() {
+    const { siteProfile, siteProfileText, siteProfileBtn } = this.elements;
+    siteProfile.hidden = !this.siteHost;
+    if (!this.siteHost) return;
+
+    const profile = this.getSiteProfile();
+    if (profile) {
+      siteProfileText.textContent = `Saved for this site: ${this.formatPreset(profile.speed)}x`;
+      siteProfileText.classList.add("saved");
+      siteProfileBtn.textContent = "Forget";
+      siteProfileBtn.setAttribute("aria-label", `Forget saved speed for ${this.siteHost}`);
+    } else {
+      siteProfileText.textContent = "No saved speed for this site";
+      siteProfileText.classList.remove("saved");
+      siteProfileBtn.textContent = "Save for this site";
+      siteProfileBtn.setAttribute("aria-label", `Save current speed for ${this.siteHost}`);
+    }
+    siteProfileText.title = this.siteHost;
+  }
+
+  // ========================================================================
+  // KEYBOARD SHORTCUTS
+  // ========================================================================
+
+  /**
+   * Browser-level shortcuts as the user assigned them (chrome://extensions/shortcuts).
+   */
+  loadCommandShortcuts() {
+    chrome.commands.getAll((commands) => {
+      if (chrome.runtime.lastError) return;
+      this.commands = commands || [];
+      this.updateShortcuts();
+    });
+  }
+
+  restoreDefaultBindings() {
+    this.keyBindings = SpeedTuneBindings.getDefaultBindings();
+    this.speedSteps = { ...SpeedTuneBindings.DEFAULT_STEPS };
+    this.updateShortcuts();
+    this.saveSettings();
+  }
+
+  /**
+   * Step sizes are shared by the in-page keys and the browser shortcuts.
+   */
+  handleStepChange(which, value) {
+    this.speedSteps = SpeedTuneBindings.normalizeSteps({ ...this.speedSteps, [which]: value });
+    this.updateShortcuts();
+    this.saveSettings();
+  }
+
+  /**
+   * Turn the in-page key listener off (or back on) for the active tab's site.
+   */
+  toggleShortcutSite() {
+    if (!this.siteHost) return;
+    const sites = this.shortcutsDisabledSites.filter((host) => host !== this.siteHost);
+    if (sites.length === this.shortcutsDisabledSites.length) sites.push(this.siteHost);
+    this.shortcutsDisabledSites = sites;
+    this.updateShortcuts();
+    this.saveSettings();
+  }
+
+  /**
+   * Render the binding table with conflict warnings, step sizes and the per-site switch.
+   */
+  updateShortcuts() {
+    const { smallStepInput, largeStepInput } = this.elements;
+    this.shortcutEditor.render({
+      bindings: this.keyBindings,
+      steps: this.speedSteps,
+      seekSeconds: this.storedSettings.seekSeconds,
+      preferredSpeed: this.storedSettings.preferredSpeed,
+      commands: this.commands,
+    });
+
+    if (document.activeElement !== smallStepInput) smallStepInput.value = String(this.speedSteps.small);
+    if (document.activeElement !== largeStepInput) largeStepInput.value = String(this.speedSteps.large);
+
+    this.updateShortcutSite();
+  }
+
+  updateShortcutSite() {
+    const { shortcutSite, shortcutSiteDesc, shortcutSiteToggle } = this.elements;
+    shortcutSite.hidden = !this.siteHost;
+    if (!this.siteHost) return;
+    const enabled = !this.shortcutsDisabledSites.includes(this.siteHost);
+    shortcutSiteToggle.classList.toggle("active", enabled);
+    shortcutSiteToggle.setAttribute("aria-checked", String(enabled));
+    shortcutSiteDesc.textContent = enabled
+      ? `On for ${this.siteHost}. Turn off if they clash with its own keys.`
+      : `Off for ${this.siteHost}. Browser shortcuts still work.`;
+  }
+
+  // ========================================================================
+  // MEDIA TARGETING
+  // ========================================================================
+
+  /**
+   * Poll the media list while the popup is open (current time / rate change live). A poll is
+   * skipped while the previous request is still out, so slow frames don't pile requests up.
+   */
+  startMediaListRefresh() {
+    this.refreshMediaList();
+    this.mediaRefreshId = setInterval(() => this.refreshMediaList(), 1000);
+    window.addEventListener("unload", () => {
+      clearInterval(this.mediaRefreshId);
+      if (this.port) this.port.disconnect();
+    });
+  }
+
+  /**
+   * Ask the controller for media in every frame of the active tab.
+   */
+  async refreshMediaList() {
+    if (!this.controllerReady || this.mediaListPending) return;
+    this.mediaListPending = true;
+    try {
+      const response = await SpeedTuneProtocol.sendToController(this.tabId, { type: MESSAGES.LIST_VIDEOS });
+      this.mediaList = response && Array.isArray(response.videos) ? response.videos : [];
+    } catch (err) {
+      // Navigating away / tab closed
+      this.mediaList = [];
+    } finally {
+      this.mediaListPending = false;
+    }
+    this.updateMediaList();
+  }
+
+  /**
+   * Change targeting in the tab. For "selected", frame/mediaId identify the chosen element.
+   */
+  async sendTargetMode(mode, frame = null, mediaId = null) {
+    if (this.tabId === null) return;
+    try {
+      await SpeedTuneProtocol.sendToController(this.tabId, { type: MESSAGES.SET_TARGET_MODE, mode, frame, mediaId });
+    } catch (err) {
+      this.controllerError = err;
+      this.updateVideoStatus();
+    }
+    this.refreshMediaList();
+  }
+
+  /**
+   * Switch Main / All visible / Chosen. "Chosen" starts from the current main media.
+   */
+  handleTargetModeChange(mode) {
+    this.targetMode = mode;
+    this.updateTargetModes();
+    this.saveSettings();
+    if (mode === "selected") {
+      const primary = this.mediaList.find((m) => m.primary) || this.mediaList[0];
+      this.sendTargetMode(mode, primary ? primary.frame : null, primary ? primary.id : null);
+    } else {
+      this.sendTargetMode(mode);
+    }
+  }
+
+  /**
+   * Target one element from the list (switches to "Chosen").
+   */
+  selectMedia(frame, mediaId) {
+    this.targetMode = "selected";
+    this.updateTargetModes();
+    this.saveSettings();
+    this.sendTargetMode("selected", frame, mediaId);
+  }
+
+  updateTargetModes() {
+    this.elements.targetModes.querySelectorAll(".target-btn").forEach((btn) => {
+      const active = btn.dataset.mode === this.targetMode;
+      btn.classList.toggle("active", active);
+      btn.setAttribute("aria-checked", String(active));
+    });
+  }
+
+  /**
+   * Format seconds as m:ss or h:mm:ss.
+   */
+  formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, "0");
+    return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+  }
+
+  /**
+   * Render detected media: size, position/duration and rate; targeted rows highlighted.
+   */
+  updateMediaList() {
+    const { mediaSection, mediaList } = this.elements;
+    mediaSection.hidden = this.mediaList.length === 0;
+    mediaList.textContent = "";
+
+    this.mediaList.forEach((media, index) => {
+      const li = document.createElement("li");
+      const item = document.createElement("button");
+      item.type = "button";
+      item.className = "media-item";
+      item.classList.toggle("targeted", media.targeted);
+      item.dataset.frame = String(media.frame);
+      item.dataset.mediaId = String(media.id);
+
+      const title = document.createElement("span");
+      title.className = "media-item-title";
+      const size = media.kind === "audio" ? "Audio" : `Video ${media.width}×${media.height}`;
+      title.textContent = `${index + 1}. ${size}${media.primary ? " · main" : ""}`;
+
+      const meta = document.createElement("span");
+      meta.className = "media-item-meta";
+      const time = media.live
+        ? "Live"
+        : `${this.formatTime(media.currentTime)} / ${media.duration === null ? "–" : this.formatTime(media.duration)}`;
+      meta.textContent = `${time} · ${media.playbackRate.toFixed(2)}x`;
+
+      item.setAttribute("aria-pressed", String(media.targeted));
+      item.append(title, meta);
+      li.appendChild(item);
+      mediaList.appendChild(li);
+    });
+  }
+
   /**
    * Toggle Speed Indicator setting
    */
@@ -500,11 +1282,58 @@ class SpeedTunePopup {
    */
   handlePositionChange(position) {
     this.indicatorPosition = position;
+    // Presets also bring on-video controls dragged on this site back to the chosen spot
+    const { overlayPositions } = this.storedSettings;
+    if (this.siteHost && overlayPositions[this.siteHost]) {
+      const others = { ...overlayPositions };
+      delete others[this.siteHost];
+      this.storedSettings = { ...this.storedSettings, overlayPositions: others };
+    }
     this.updateUI();
     this.saveSettings();
     this.applySpeed();
   }
 
+  /**
+   * Indicator display mode; open tabs pick it up from storage.
+   */
+  handleIndicatorModeChange(mode) {
+    if (!SpeedTuneSettings.INDICATOR_MODES.includes(mode)) return;
+    this.indicatorMode = mode;
+    this.updateIndicatorModes();
+    this.saveSettings();
+  }
+
+  updateIndicatorModes() {
+    this.elements.indicatorModes.querySelectorAll(".target-btn").forEach((btn) => {
+      const active = btn.dataset.mode === this.indicatorMode;
+      btn.classList.toggle("active", active);
+      btn.setAttribute("aria-checked", String(active));
+    });
+  }
+
+  /**
+   * Time left at this speed and when the primary media ends (hidden without a known length),
+   * or how far a live stream under catch-up is behind live.
+   */
+  updateTiming() {
+    const { speedTiming } = this.elements;
+    const timing = this.hasVideo ? this.timing : null;
+    speedTiming.hidden = !timing;
+    if (!timing) return;
+    if (Number.isFinite(timing.behindLive)) {
+      const behind = `${this.formatTime(timing.behindLive)} behind live`;
+      if (timing.caughtUp) speedTiming.textContent = "At the live edge";
+      else if (timing.paused) speedTiming.textContent = `Paused \u00B7 ${behind}`;
+      else if (timing.rate > 1) speedTiming.textContent = `${behind} \u00B7 catching up at ${this.formatPreset(timing.rate)}x`;
+      else speedTiming.textContent = behind;
+      return;
+    }
+    const finish = new Date(Date.now() + timing.remaining * 1000).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+    const left = `${this.formatTime(timing.remaining)} left`;
+    speedTiming.textContent = timing.paused ? `Paused \u00B7 ${left}` : `${left} \u00B7 ends ${finish}`;
+  }
+
   /**
    * Update position grid UI
    */
@@ -538,20 +1367,53 @@ class SpeedTunePopup {
     // Update position grid
     this.updatePositionGrid();
 
-    // Show/hide position setting based on Speed Indicator toggle
+    this.updateSpeedSource();
+    this.updateSiteProfile();
+    this.updateTargetModes();
+    this.updateShortcuts();
+    this.updateSilence();
+    this.updateAdaptive();
+    this.updateSiteEnabled();
+
+    this.updateIndicatorModes();
+
+    // Show/hide position and display settings based on Speed Indicator toggle
     this.elements.positionSetting.style.display = this.showIndicator ? "flex" : "none";
+    this.elements.indicatorModeSetting.style.display = this.showIndicator ? "flex" : "none";
+  }
+
+  /**
+   * Settings that failed to load must not be saved over; say why changes aren't kept.
+   */
+  showLoadError() {
+    const { saveStatus } = this.elements;
+    saveStatus.textContent = "Couldn't load your settings, so changes here won't be saved. Reopen Speed Tune to try again.";
+    saveStatus.hidden = false;
   }
 
   /**
    * Save settings to storage
    */
   saveSettings() {
+    if (!this.settingsLoaded) {
+      this.showLoadError();
+      return;
+    }
     const settings = {
-      speed: this.speed,
+      ...this.storedSettings,
+      speed: this.savedSpeed,
       saveSpeed: this.saveSpeed,
       showIndicator: this.showIndicator,
       indicatorPosition: this.indicatorPosition,
-      version: "1.0.0",
+      indicatorMode: this.indicatorMode,
+      siteProfiles: this.siteProfiles,
+      targetMode: this.targetMode,
+      keyBindings: this.keyBindings,
+      speedSteps: this.speedSteps,
+      shortcutsDisabledSites: this.shortcutsDisabledSites,
+      speedPresets: this.speedPresets,
+      silenceSkip: this.silenceSkip,
+      adaptiveSpeedSites: this.adaptiveSpeedSites,
     };
 
     chrome.storage.sync.set({ speedTuneSettings: settings }, () => {
@@ -562,33 +1424,49 @@ class SpeedTunePopup {
   }
 
   /**
-   * Setup storage change listener (for keyboard shortcuts)
+   * Setup storage change listener (settings edited elsewhere) and tab speed updates
+   * pushed by the service worker (keyboard shortcuts, in-page shortcuts).
    */
   setupStorageListener() {
     chrome.storage.onChanged.addListener((changes, namespace) => {
       if (namespace === "sync" && changes.speedTuneSettings) {
         const newSettings = changes.speedTuneSettings.newValue;
-        const oldSettings = changes.speedTuneSettings.oldValue;
 
         if (newSettings) {
-          const speedChanged = !oldSettings || oldSettings.speed !== newSettings.speed;
+          const settings = SpeedTuneSettings.migrateSettings(newSettings);
+          this.storedSettings = settings;
+          this.settingsLoaded = true;
+          this.elements.saveStatus.hidden = true;
 
           // Update local state
-          this.speed = newSettings.speed || 1.0;
-          this.saveSpeed = newSettings.saveSpeed || false;
-          this.showIndicator = newSettings.showIndicator !== false;
-          this.indicatorPosition = newSettings.indicatorPosition || "top-left";
+          this.siteProfiles = settings.siteProfiles;
+          this.savedSpeed = settings.speed;
+          this.saveSpeed = settings.saveSpeed;
+          this.showIndicator = settings.showIndicator;
+          this.indicatorPosition = settings.indicatorPosition;
+          this.indicatorMode = settings.indicatorMode;
+          this.targetMode = settings.targetMode;
+          this.keyBindings = settings.keyBindings;
+          this.speedSteps = settings.speedSteps;
+          this.shortcutsDisabledSites = settings.shortcutsDisabledSites;
+          this.speedPresets = settings.speedPresets;
+          this.silenceSkip = settings.silenceSkip;
+          this.adaptiveSpeed = settings.adaptiveSpeed;
+          this.adaptiveSpeedSites = settings.adaptiveSpeedSites;
 
           // Update UI
           this.updateUI();
-
-          // Apply speed if changed from keyboard shortcut
-          if (speedChanged) {
-            this.applySpeed();
-          }
+          this.applySiteEnabled();
         }
       }
     });
+
+    chrome.runtime.onMessage.addListener((message) => {
+      if (!message || message.type !== MESSAGES.TAB_SPEED_CHANGED || message.tabId !== this.tabId) return;
+      this.speed = message.speed;
+      this.speedSource = "tab";
+      this.updateUI();
+    });
   }
 }
 
@@ -0,0 +1,362 @@
+/**
+ * Speed Tune — In-page key bindings (MV3 production)
+ *
+ * The binding table for the content script's keyboard fallback: which key runs
+ * which action (speed changes, seeking, play/pause), the step sizes, and helpers
+ * to match, capture, display and compare bindings. speedForAction() is the one
+ * place a speed action is turned into a new speed, for in-page keys and commands.
+ *
+ * Loaded by background.js (importScripts), popup.html and options.html (<script>)
+ * and the content script (manifest, before content.js).
+ *
+ * Stored in speedTuneSettings:
+ *   keyBindings             { [action]: { code, ctrl, shift, alt, meta } | null }
+ *   speedSteps              { small, large }
+ *   shortcutsDisabledSites  [hostname, ...]   in-page listener off on these sites
+ *
+ * `code` is KeyboardEvent.code (physical key), so a binding keeps working when
+ * Shift changes the character ("." vs ">"). A binding with no Ctrl/Alt/Meta is a
+ * single-key binding: it only fires while the page's media has focus.
+ */
+
+(function () {
+  "use strict";
+
+  /** Actions in display order, with the manifest command that does the same thing. */
+  const ACTIONS = Object.freeze([
+    { id: "increaseSmall", command: "increase-speed-small", label: "Faster (small step)" },
+    { id: "decreaseSmall", command: "decrease-speed-small", label: "Slower (small step)" },
+    { id: "increaseLarge", command: "increase-speed-large", label: "Faster (large step)" },
+    { id: "decreaseLarge", command: "decrease-speed-large", label: "Slower (large step)" },
+    { id: "reset", command: "reset-speed", label: "Reset to 1x" },
+    { id: "togglePreferred", command: "toggle-preferred-speed", label: "Toggle preferred speed" },
+    { id: "cyclePresets", command: "cycle-presets", label: "Next preset speed" },
+    { id: "rewind", command: "seek-backward", label: "Rewind" },
+    { id: "advance", command: "seek-forward", label: "Advance" },
+    { id: "togglePlay", command: "toggle-play", label: "Play / pause" },
+  ]);
+
+  /** Actions that act on the primary media instead of changing the speed. */
+  const MEDIA_ACTIONS = Object.freeze(["rewind", "advance", "togglePlay"]);
+
+  const DEFAULT_STEPS = Object.freeze({ small: 0.1, large: 1.0 });
+  const STEP_MIN = 0.05;
+  const STEP_MAX = 4;
+
+  /** Keys that are modifiers on their own and can't be bound. */
+  const MODIFIER_CODES = [
+    "ControlLeft",
+    "ControlRight",
+    "ShiftLeft",
+    "ShiftRight",
+    "AltLeft",
+    "AltRight",
+    "MetaLeft",
+    "MetaRight",
+    "CapsLock",
+    "Fn",
+  ];
+
+  /** Printable names for codes whose name isn't the character. */
+  const CODE_LABELS = {
+    Period: ".",
+    Comma: ",",
+    Slash: "/",
+    Backslash: "\\",
+    Semicolon: ";",
+    Quote: "'",
+    BracketLeft: "[",
+    BracketRight: "]",
+    Minus: "-",
+    Equal: "=",
+    Backquote: "`",
+    Space: "Space",
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    ArrowLeft: "←",
+    ArrowRight: "→",
+  };
+
+  /** Key names used in chrome.commands shortcuts ("Ctrl+Shift+Period", "⌘⇧Y") -> code. */
+  const COMMAND_KEY_CODES = {
+    ".": "Period",
+    ",": "Comma",
+    PERIOD: "Period",
+    COMMA: "Comma",
+    SPACE: "Space",
+    UP: "ArrowUp",
+    DOWN: "ArrowDown",
+    LEFT: "ArrowLeft",
+    RIGHT: "ArrowRight",
+    HOME: "Home",
+    END: "End",
+    PAGEUP: "PageUp",
+    PAGEDOWN: "PageDown",
+    INSERT: "Insert",
+    DELETE: "Delete",
+  };
+
+  function binding(code, modifiers = {}) {
+    return {
+      code,
+      ctrl: !!modifiers.ctrl,
+      shift: !!modifiers.shift,
+      alt: !!modifiers.alt,
+      meta: !!modifiers.meta,
+    };
+  }
+
+  /**
+   * The shipped bindings. The first four match the manifest commands' suggested keys;
+   * Chrome allows only four suggested keys, so the rest use Alt and have no browser default.
+   */
+  function getDefaultBindings() {
+    return {
+      increaseSmall: binding("Period", { ctrl: true }),
+      decreaseSmall: binding("Comma", { ctrl: true }),
+      increaseLarge: binding("Period", { ctrl: true, shift: true }),
+      decreaseLarge: binding("Comma", { alt: true }),
+      reset: binding("Comma", { ctrl: true, shift: true }),
+      togglePreferred: binding("KeyP", { alt: true }),
+      cyclePresets: binding("KeyO", { alt: true }),
+      rewind: binding("KeyJ", { alt: true }),
+      advance: binding("KeyL", { alt: true }),
+      togglePlay: binding("KeyK", { alt: true }),
+    };
+  }
+
+  function isValidBinding(value) {
+    return !!value && typeof value === "object" && typeof value.code === "string" && value.code !== "" && !MODIFIER_CODES.includes(value.code);
+  }
+
+  /**
+   * Keep known actions only; missing actions get their default, null means "unbound".
+   */
+  function normalizeBindings(raw) {
+    const defaults = getDefaultBindings();
+    const bindings = {};
+    for (const { id } of ACTIONS) {
+      if (raw && typeof raw === "object" && id in raw) {
+        bindings[id] = isValidBinding(raw[id]) ? binding(raw[id].code, raw[id]) : null;
+      } else {
+        bindings[id] = defaults[id];
+      }
+    }
+    return bindings;
+  }
+
+  function normalizeStep(value, fallback) {
+    const step = Number(value);
+    if (!Number.isFinite(step)) return fallback;
+    return Math.round(Math.max(STEP_MIN, Math.min(STEP_MAX, step)) * 100) / 100;
+  }
+
+  function normalizeSteps(raw) {
+    const steps = raw && typeof raw === "object" ? raw : {};
+    return {
+      small: normalizeStep(steps.small, DEFAULT_STEPS.small),
+      large: normalizeStep(steps.large, DEFAULT_STEPS.large),
+    };
+  }
+
+  function isMediaAction(action) {
+    return MEDIA_ACTIONS.includes(action);
+  }
+
+  /**
+   * New speed for a speed action, or null for media actions and unknown ids.
+   * Speeds are rounded to 0.01 and clamped to SpeedTuneSettings' range.
+   * @param {string} action
+   * @param {number} speed - Current speed
+   * @param {{ speedSteps: object, preferredSpeed: number, speedPresets: number[] }} settings - Validated settings
+   */
+  function speedForAction(action, speed, settings) {
+    const { small, large } = settings.speedSteps;
+    const { clampSpeed } = SpeedTuneSettings;
+    const presets = settings.speedPresets;
+    switch (action) {
+      case "increaseSmall":
+        return clampSpeed(speed + small);
+      case "decreaseSmall":
+        return clampSpeed(speed - small);
+      case "increaseLarge":
+        return clampSpeed(speed + large);
+      case "decreaseLarge":
+        return clampSpeed(speed - large);
+      case "reset":
+        return 1.0;
+      case "togglePreferred":
+        // At the preferred speed (or set to 1x): back to normal
+        return speed === settings.preferredSpeed ? 1.0 : settings.preferredSpeed;
+      case "cyclePresets": {
+        // Next preset in the user's order, wrapping; from any other speed, the first preset
+        if (!presets.length) return null;
+        return presets[(presets.indexOf(speed) + 1) % presets.length];
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Action id for a manifest command name, or null.
+   */
+  function actionForCommand(command) {
+    const entry = ACTIONS.find((action) => action.command === command);
+    return entry ? entry.id : null;
+  }
+
+  /**
+   * Lower-cased, de-duplicated hostnames.
+   */
+  function normalizeSiteList(raw) {
+    if (!Array.isArray(raw)) return [];
+    const hosts = raw.filter((host) => typeof host === "string" && host.trim() !== "").map((host) => host.trim().toLowerCase());
+    return [...new Set(hosts)];
+  }
+
+  /**
+   * Single-key bindings (no Ctrl/Alt/Meta) only apply while media has focus.
+   */
+  function isSingleKey(value) {
+    return !value.ctrl && !value.alt && !value.meta;
+  }
+
+  function matchesEvent(value, event) {
+    return (
+      isValidBinding(value) &&
+      event.code === value.code &&
+      event.ctrlKey === value.ctrl &&
+      event.shiftKey === value.shift &&
+      event.altKey === value.alt &&
+      event.metaKey === value.meta
+    );
+  }
+
+  /**
+   * Action id bound to this keydown, or null.
+   */
+  function findAction(bindings, event) {
+    for (const { id } of ACTIONS) {
+      if (matchesEvent(bindings[id], event)) return id;
+    }
+    return null;
+  }
+
+  /**
+   * Binding captured from a keydown, or null while only a modifier is held.
+   */
+  function bindingFromEvent(event) {
+    if (!event.code || MODIFIER_CODES.includes(event.code)) return null;
+    return binding(event.code, { ctrl: event.ctrlKey, shift: event.shiftKey, alt: event.altKey, meta: event.metaKey });
+  }
+
+  function keyLabel(code) {
+    if (CODE_LABELS[code]) return CODE_LABELS[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad\d$/.test(code)) return `Num ${code.slice(6)}`;
+    return code;
+  }
+
+  /**
+   * Key parts for display, e.g. ["Ctrl", "Shift", "."].
+   */
+  function formatBinding(value) {
+    if (!isValidBinding(value)) return [];
+    const parts = [];
+    if (value.ctrl) parts.push("Ctrl");
+    if (value.alt) parts.push("Alt");
+    if (value.shift) parts.push("Shift");
+    if (value.meta) parts.push("Meta");
+    parts.push(keyLabel(value.code));
+    return parts;
+  }
+
+  function sameBinding(a, b) {
+    return isValidBinding(a) && isValidBinding(b) && a.code === b.code && a.ctrl === b.ctrl && a.shift === b.shift && a.alt === b.alt && a.meta === b.meta;
+  }
+
+  /**
+   * Parse a chrome.commands shortcut ("Ctrl+Shift+Period", "Alt+S", "⌘⇧Y") into a binding.
+   * Returns null for unassigned or unrecognized shortcuts.
+   */
+  function parseCommandShortcut(shortcut) {
+    if (!shortcut || typeof shortcut !== "string") return null;
+    const modifiers = {};
+    let text = shortcut.trim();
+    // macOS renders modifiers as symbols without separators
+    const symbols = { "⌘": "meta", "⌃": "ctrl", "⌥": "alt", "⇧": "shift" };
+    while (text && symbols[text[0]]) {
+      modifiers[symbols[text[0]]] = true;
+      text = text.slice(1);
+    }
+    const parts = text.split("+").map((part) => part.trim()).filter(Boolean);
+    const key = parts.pop();
+    if (!key) return null;
+    for (const part of parts) {
+      const name = part.toLowerCase();
+      if (name === "ctrl" || name === "control" || name === "macctrl") modifiers.ctrl = true;
+      else if (name === "shift") modifiers.shift = true;
+      else if (name === "alt" || name === "option") modifiers.alt = true;
+      else if (name === "command" || name === "cmd" || name === "meta" || name === "search") modifiers.meta = true;
+      else return null;
+    }
+    const upper = key.toUpperCase();
+    let code = COMMAND_KEY_CODES[upper] || null;
+    if (!code && /^[A-Z]$/.test(upper)) code = `Key${upper}`;
+    if (!code && /^\d$/.test(upper)) code = `Digit${upper}`;
+    return code ? binding(code, modifiers) : null;
+  }
+
+  /**
+   * Problems with a binding table, per action:
+   *   { [action]: [{ type: "duplicate", action } | { type: "command", command, description }] }
+   * A browser shortcut (chrome.commands.getAll()) for a different action wins over the page,
+   * so the in-page binding would never fire. The same key on the matching command is fine.
+   */
+  function findConflicts(bindings, commands = []) {
+    const conflicts = {};
+    const add = (id, conflict) => {
+      (conflicts[id] = conflicts[id] || []).push(conflict);
+    };
+    for (const { id, command } of ACTIONS) {
+      const value = bindings[id];
+      if (!isValidBinding(value)) continue;
+      for (const other of ACTIONS) {
+        if (other.id !== id && sameBinding(value, bindings[other.id])) add(id, { type: "duplicate", action: other.id });
+      }
+      for (const cmd of commands) {
+        if (!cmd || cmd.name === command) continue;
+        if (sameBinding(value, parseCommandShortcut(cmd.shortcut))) {
+          const description = cmd.description || (cmd.name === "_execute_action" ? "Open Speed Tune" : cmd.name);
+          add(id, { type: "command", command: cmd.name, description });
+        }
+      }
+    }
+    return conflicts;
+  }
+
+  const global = typeof globalThis !== "undefined" ? globalThis : typeof self !== "undefined" ? self : typeof window !== "undefined" ? window : this;
+  global.SpeedTuneBindings = {
+    ACTIONS,
+    MEDIA_ACTIONS,
+    DEFAULT_STEPS,
+    STEP_MIN,
+    STEP_MAX,
+    getDefaultBindings,
+    normalizeBindings,
+    normalizeSteps,
+    normalizeSiteList,
+    isMediaAction,
+    speedForAction,
+    actionForCommand,
+    isSingleKey,
+    findAction,
+    bindingFromEvent,
+    formatBinding,
+    sameBinding,
+    parseCommandShortcut,
+    findConflicts,
+  };
+})();
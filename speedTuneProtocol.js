@@ -0,0 +1,197 @@
+/**
+ * Speed Tune — Controller message protocol (MV3 production)
+ *
+ * Single shared definition of the messages exchanged between the popup, the
+ * service worker and the content-script controller, plus the client helpers
+ * used to reach a tab's controller. Loaded by background.js (importScripts),
+ * popup.html and stats.html (<script>) and the content script (manifest, before content.js).
+ *
+ * The controller in a tab's top frame answers every request; it relays to the
+ * subframe that holds the primary media (see content.js FRAME COORDINATION).
+ *
+ * Requests (chrome.tabs.sendMessage, frameId 0) — response shape in brackets:
+ *   setSpeed        { speed, showIndicator, position }  [{ ok, state }]
+ *   getState        {}                                  [{ ok, state }]
+ *   listVideos      {}                                  [{ ok, videos }]
+ *   setTargetMode   { mode, frame, mediaId }            [{ ok, state }]
+ *   mediaAction     { action }  rewind | advance | togglePlay on the primary media  [{ ok, state }]
+ *   contextMenu     { speed? }  speed chosen from the right-click menu; sent to the frame that
+ *                               was right-clicked (any frame), for the media under the pointer.
+ *                               Without a speed nothing changes. rate: that media's own rate
+ *                               when it doesn't follow the tab's speed, else null  [{ ok, rate }]
+ * On a site where Speed Tune is turned off the controller is dormant and answers every
+ * request with { ok: false, disabled: true } (sendToController throws reason "disabled").
+ * Push (content -> extension):
+ *   ready           { state }   once per page load, via chrome.runtime.sendMessage
+ *   state           { state }   on every change, over a "subscribe" port
+ * Service worker (chrome.runtime.sendMessage; tabId defaults to the sending content script's tab):
+ *   getTabSpeed     { tabId? }          the tab's effective speed  [{ speed, source, defaultSpeed, saveSpeed } | null]
+ *   setTabSpeed     { tabId?, speed }   record a speed change as the tab's speed  [{ speed, host } | null]
+ *   badge           { speed, hasMedia, disabled }  top frame only: the rate the tab plays at,
+ *                                       for the toolbar badge  [no response]
+ *   recordWatchTime { samples: [{ speed, media, wall }] }  media and real seconds played per speed
+ *                                       since the last report  [no response]
+ *   clearStats      {}                  statistics page only: delete the watch statistics,
+ *                                       after any reports already queued  [{ ok, error? }]
+ * Push (service worker -> extension pages):
+ *   tabSpeedChanged { tabId, speed }    after every setTabSpeed, for open popups
+ * Frame relay (content -> service worker -> content, same tab):
+ *   frame           { to, message }  sent by a controller; the service worker forwards
+ *                   { from, message } to frame `to`, with `from` taken from sender.frameId.
+ *                   Subframes may only write to the top frame (0); only the top frame
+ *                   may write to a subframe.
+ *
+ * Use: SpeedTuneProtocol.safelySetSpeed(tabId, speed, showIndicator, position)
+ * Returns: Promise<{ ok: boolean, error?: ControllerUnavailableError }>
+ */
+
+(function () {
+  "use strict";
+
+  const MESSAGES = Object.freeze({
+    SET_SPEED: "speedTune:setSpeed",
+    GET_STATE: "speedTune:getState",
+    LIST_VIDEOS: "speedTune:listVideos",
+    SET_TARGET_MODE: "speedTune:setTargetMode",
+    MEDIA_ACTION: "speedTune:mediaAction",
+    CONTEXT_MENU: "speedTune:contextMenu",
+    FRAME: "speedTune:frame",
+    GET_TAB_SPEED: "speedTune:getTabSpeed",
+    SET_TAB_SPEED: "speedTune:setTabSpeed",
+    TAB_SPEED_CHANGED: "speedTune:tabSpeedChanged",
+    BADGE: "speedTune:badge",
+    RECORD_WATCH_TIME: "speedTune:recordWatchTime",
+    CLEAR_STATS: "speedTune:clearStats",
+    READY: "speedTune:ready",
+    STATE: "speedTune:state",
+  });
+
+  const SUBSCRIBE_PORT = "speedTune:subscribe";
+
+  /** How long to wait for a freshly loading page to announce its controller. */
+  const READY_TIMEOUT_MS = 4000;
+
+  /**
+   * Thrown (or returned) when a tab's controller cannot be reached.
+   * reason: "no-tab" | "restricted" | "disabled" | "not-ready" | "failed"
+   */
+  class ControllerUnavailableError extends Error {
+    constructor(reason, message) {
+      super(message);
+      this.name = "ControllerUnavailableError";
+      this.reason = reason;
+    }
+  }
+
+  /**
+   * Pages where extensions cannot run content scripts.
+   */
+  function isRestrictedUrl(url) {
+    if (!url) return true;
+    return (
+      /^(chrome|edge|about|chrome-extension|devtools|view-source):/i.test(url) ||
+      /^https:\/\/chrome\.google\.com\/webstore/i.test(url) ||
+      /^https:\/\/chromewebstore\.google\.com/i.test(url)
+    );
+  }
+
+  function isMissingReceiver(err) {
+    const message = (err && err.message) || "";
+    return message.includes("Receiving end does not exist") || message.includes("Could not establish connection");
+  }
+
+  /**
+   * Resolve when the tab's top frame announces "ready" (or after timeoutMs with false).
+   */
+  function waitForReady(tabId, timeoutMs) {
+    return new Promise((resolve) => {
+      const listener = (message, sender) => {
+        if (!message || message.type !== MESSAGES.READY) return;
+        if (!sender.tab || sender.tab.id !== tabId || sender.frameId !== 0) return;
+        done(true);
+      };
+      const timer = setTimeout(() => done(false), timeoutMs);
+      function done(ready) {
+        clearTimeout(timer);
+        chrome.runtime.onMessage.removeListener(listener);
+        resolve(ready);
+      }
+      chrome.runtime.onMessage.addListener(listener);
+    });
+  }
+
+  /**
+   * Tabs opened before the extension was installed/updated have no content script: inject it once.
+   */
+  async function injectController(tabId) {
+    try {
+      // Same files, same order as the manifest content script
+      const files = chrome.runtime.getManifest().content_scripts[0].js;
+      await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Send a request to the tab's controller. Waits for a loading page to announce
+   * itself (injecting the controller into pre-existing tabs) instead of polling.
+   * @throws {ControllerUnavailableError}
+   */
+  async function sendToController(tabId, message) {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch (err) {
+      throw new ControllerUnavailableError("no-tab", "The tab is no longer open.");
+    }
+    if (isRestrictedUrl(tab.url)) {
+      throw new ControllerUnavailableError("restricted", "Speed Tune can't run on this page.");
+    }
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      let response;
+      try {
+        response = await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+      } catch (err) {
+        if (!isMissingReceiver(err)) {
+          throw new ControllerUnavailableError("failed", (err && err.message) || "Speed Tune could not reach this tab.");
+        }
+      }
+      if (response && response.disabled) {
+        throw new ControllerUnavailableError("disabled", "Speed Tune is turned off on this site.");
+      }
+      if (response) return response;
+      if (attempt === 0) {
+        const ready = waitForReady(tabId, READY_TIMEOUT_MS);
+        // Still loading: the controller announces itself. Otherwise inject into the existing page.
+        if (tab.status === "complete") injectController(tabId);
+        await ready;
+      }
+    }
+    throw new ControllerUnavailableError("not-ready", "Speed Tune isn't ready on this page yet. Try reloading it.");
+  }
+
+  /**
+   * Apply a speed in the tab without throwing.
+   */
+  async function safelySetSpeed(tabId, speed, showIndicator, position) {
+    try {
+      await sendToController(tabId, { type: MESSAGES.SET_SPEED, speed, showIndicator, position });
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err };
+    }
+  }
+
+  const global = typeof globalThis !== "undefined" ? globalThis : typeof self !== "undefined" ? self : typeof window !== "undefined" ? window : this;
+  global.SpeedTuneProtocol = {
+    MESSAGES,
+    SUBSCRIBE_PORT,
+    ControllerUnavailableError,
+    isRestrictedUrl,
+    sendToController,
+    safelySetSpeed,
+  };
+})();
@@ -0,0 +1,726 @@
+/**
+ * Speed Tune — Settings schema and validation (MV3 production)
+ *
+ * Single definition of the speedTuneSettings blob (chrome.storage.sync): the
+ * defaults, and the validation every reader and writer runs it through. Loaded by
+ * background.js (importScripts), popup.html / options.html (<script>) and the
+ * content script (manifest). Needs speedTuneBindings.js loaded first.
+ *
+ * validateSettings() never throws: invalid values are replaced or clamped and
+ * reported as { field, message } so the options page can explain the fix.
+ * migrateSettings() is the same normalization without the report.
+ *
+ * Versions: every blob carries the schema version that wrote it. Older blobs are
+ * first passed through MIGRATIONS, one ordered step per version, then validated,
+ * so every reader upgrades them the same way. Blobs from a newer version (synced
+ * from another browser, or left behind by a downgrade) keep the fields and version
+ * this one doesn't know, and the stored value of every field this one rejects (a new
+ * enum value, say), so the newer version finds them again. The service worker
+ * rewrites the stored blob on install/update, after saving the old one as
+ * speedTuneSettingsBackup in chrome.storage.local.
+ *
+ * Settings files (export / import on the options page) wrap the blob in
+ * { format, exportVersion, exportedAt, settings } and are read back through the
+ * same validation, so a hand-edited or older file can never be stored raw.
+ */
+
+(function () {
+  "use strict";
+
+  const SETTINGS_VERSION = "2.0.0";
+  /** The blob as it was before the last upgrade (chrome.storage.local, never synced). */
+  const BACKUP_KEY = "speedTuneSettingsBackup";
+  /** Settings file written by the options page: { format, exportVersion, exportedAt, settings }. */
+  const EXPORT_FORMAT = "speed-tune-settings";
+  const EXPORT_VERSION = 1;
+  const SPEED_MIN = 0.1;
+  const SPEED_MAX = 16;
+  const INDICATOR_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right", "center"];
+  const TARGET_MODES = ["primary", "all", "selected"];
+  /** Indicator text: speed only, plus real time left, or plus the clock time it ends. */
+  const INDICATOR_MODES = ["speed", "remaining", "finish"];
+  /** Indicator look: text size (px), background opacity, most decimals shown, auto-hide delay (s). */
+  const APPEARANCE_LIMITS = Object.freeze({
+    fontSize: { min: 10, max: 28 },
+    opacity: { min: 0.2, max: 1 },
+    decimals: { min: 1, max: 2 },
+    hideSeconds: { min: 1, max: 30 },
+  });
+  /** Indicator colours: [background RGB, text colour]. */
+  const INDICATOR_THEMES = Object.freeze({
+    dark: ["0, 0, 0", "#ffffff"],
+    light: ["255, 255, 255", "#111827"],
+    accent: ["59, 130, 246", "#ffffff"],
+  });
+  /** Seek interval for the rewind/advance actions, in seconds. */
+  const SEEK_LIMITS = Object.freeze({ min: 1, max: 300 });
+  /** Preset speeds, in the user's order: one per digit key (popup), so at most nine. */
+  const PRESETS_MAX = 9;
+  /** Silence skipping limits: level in dBFS, silence length in ms, speed in x. */
+  const SILENCE_LIMITS = Object.freeze({
+    threshold: { min: -80, max: -10 },
+    minSilenceMs: { min: 100, max: 5000 },
+    speed: { min: 1.1, max: SPEED_MAX },
+  });
+  /** Live catch-up limits: top speed while behind, and how close to the live edge counts as caught up (s). */
+  const LIVE_LIMITS = Object.freeze({
+    maxSpeed: { min: 1.05, max: 2 },
+    edgeSeconds: { min: 1, max: 60 },
+  });
+
+  /** Speed ramp limits: start and target speed, ramp length in minutes or in percent of the media. */
+  const RAMP_LIMITS = Object.freeze({
+    startSpeed: { min: SPEED_MIN, max: SPEED_MAX },
+    targetSpeed: { min: SPEED_MIN, max: SPEED_MAX },
+    minutes: { min: 0.5, max: 120 },
+    percent: { min: 1, max: 100 },
+  });
+  /** Caption-based speed: target words per minute and the speeds it may use. */
+  const ADAPTIVE_LIMITS = Object.freeze({
+    targetWpm: { min: 100, max: 800 },
+    minSpeed: { min: SPEED_MIN, max: SPEED_MAX },
+    maxSpeed: { min: SPEED_MIN, max: SPEED_MAX },
+  });
+  /** Ramp length measured in minutes of the media ("time") or as a share of its length ("percent"). */
+  const RAMP_MODES = ["time", "percent"];
+  /**
+   * Rates Chrome plays sound at; outside them it mutes the audio (the picture keeps playing).
+   */
+  const AUDIBLE_RATES = Object.freeze({ min: 0.5, max: 4 });
+
+  function clampSpeed(speed) {
+    return Math.max(SPEED_MIN, Math.min(SPEED_MAX, Math.round(speed * 100) / 100));
+  }
+
+  /**
+   * Hostname key for site rules. Accepts a bare hostname or a pasted URL; "" if neither.
+   */
+  function normalizeHost(value) {
+    if (typeof value !== "string") return "";
+    const text = value.trim().toLowerCase();
+    if (!text) return "";
+    try {
+      const host = new URL(text.includes("://") ? text : `https://${text}`).hostname;
+      return /^[a-z0-9.-]+$/.test(host) && !host.startsWith(".") && !host.endsWith(".") ? host : "";
+    } catch (e) {
+      return "";
+    }
+  }
+
+  function isAudibleRate(rate) {
+    return rate >= AUDIBLE_RATES.min && rate <= AUDIBLE_RATES.max;
+  }
+
+  /**
+   * Whether media on a site keeps its pitch when sped up: the site's own choice, else the global one.
+   */
+  function preservesPitchFor(settings, host) {
+    const override = settings.sitePitch[host];
+    return typeof override === "boolean" ? override : settings.preservesPitch;
+  }
+
+  /**
+   * Indicator speed text: at most `decimals` places, trailing zeros dropped but never the
+   * first one ("1.0x", "1.25x", or "1.3x" with one decimal).
+   */
+  function formatIndicatorSpeed(rate, decimals) {
+    const text = rate.toFixed(decimals).replace(/0+$/, "");
+    return `${text.endsWith(".") ? `${text}0` : text}x`;
+  }
+
+  /**
+   * Inline styles for the indicator pill (content script, options preview) from indicatorAppearance.
+   */
+  function indicatorStyleFor(appearance) {
+    const { fontSize, opacity, theme } = appearance;
+    const [background, color] = INDICATOR_THEMES[theme] || INDICATOR_THEMES.dark;
+    return {
+      backgroundColor: `rgba(${background}, ${opacity})`,
+      color,
+      fontSize: `${fontSize}px`,
+      padding: `${Math.round(fontSize * 0.43)}px ${Math.round(fontSize * 0.86)}px`,
+      borderRadius: `${Math.round(fontSize * 1.43)}px`,
+    };
+  }
+
+  /**
+   * Default settings schema (single source of truth).
+   */
+  function getDefaultSettings() {
+    return {
+      speed: 1.0,
+      saveSpeed: false,
+      showIndicator: true,
+      indicatorPosition: "top-left",
+      indicatorMode: "speed",
+      indicatorAppearance: { fontSize: 14, opacity: 0.7, theme: "dark", decimals: 2, autoHide: false, hideSeconds: 3 },
+      indicatorControls: false,
+      overlayPositions: {},
+      siteProfiles: {},
+      preservesPitch: true,
+      sitePitch: {},
+      targetMode: "primary",
+      keyBindings: SpeedTuneBindings.getDefaultBindings(),
+      speedSteps: { ...SpeedTuneBindings.DEFAULT_STEPS },
+      shortcutsDisabledSites: [],
+      seekSeconds: 10,
+      preferredSpeed: 2.0,
+      speedPresets: [1.0, 1.25, 1.5, 1.75, 2.0, 2.5, 3.0],
+      silenceSkip: { enabled: false, threshold: -45, minSilenceMs: 500, speed: 4 },
+      liveCatchUp: { enabled: false, maxSpeed: 1.5, edgeSeconds: 5 },
+      speedRamp: { enabled: false, startSpeed: 1.0, targetSpeed: 2.0, by: "time", minutes: 5, percent: 10 },
+      adaptiveSpeed: { targetWpm: 300, minSpeed: 1.0, maxSpeed: 2.5 },
+      adaptiveSpeedSites: [],
+      disabledSites: [],
+      allowlistOnly: false,
+      allowedSites: [],
+      version: SETTINGS_VERSION,
+    };
+  }
+
+  /**
+   * Whether Speed Tune runs on a site: never on disabledSites, and only on allowedSites while
+   * allowlistOnly is on. Pages without a hostname (local files) always follow disabledSites only.
+   */
+  function isSiteEnabled(settings, host) {
+    const site = normalizeHost(host);
+    if (!site) return true;
+    if (settings.disabledSites.includes(site)) return false;
+    return !settings.allowlistOnly || settings.allowedSites.includes(site);
+  }
+
+  function speedError(value, label) {
+    if (typeof value !== "number" || Number.isNaN(value)) return `${label} must be a number.`;
+    if (value < SPEED_MIN || value > SPEED_MAX) return `${label} must be between ${SPEED_MIN}x and ${SPEED_MAX}x.`;
+    return null;
+  }
+
+  /**
+   * Keep only well-formed per-site profiles ({ [hostname]: { speed } }).
+   */
+  function normalizeSiteProfiles(raw, errors = []) {
+    const profiles = {};
+    if (!raw || typeof raw !== "object") return profiles;
+    for (const [key, profile] of Object.entries(raw)) {
+      const host = normalizeHost(key);
+      if (!host) {
+        errors.push({ field: "siteProfiles", message: `"${key}" is not a valid site.` });
+        continue;
+      }
+      const speed = profile && profile.speed;
+      if (typeof speed !== "number" || Number.isNaN(speed)) {
+        errors.push({ field: "siteProfiles", message: `Speed for ${host} must be a number.` });
+        continue;
+      }
+      const problem = speedError(speed, `Speed for ${host}`);
+      if (problem) errors.push({ field: "siteProfiles", message: problem });
+      profiles[host] = { speed: clampSpeed(speed) };
+    }
+    return profiles;
+  }
+
+  /**
+   * Per-site pitch choices ({ [hostname]: boolean }); sites without one follow preservesPitch.
+   */
+  function normalizeSitePitch(raw, errors = []) {
+    const sites = {};
+    if (!raw || typeof raw !== "object") return sites;
+    for (const [key, value] of Object.entries(raw)) {
+      const host = normalizeHost(key);
+      if (!host) {
+        errors.push({ field: "sitePitch", message: `"${key}" is not a valid site.` });
+        continue;
+      }
+      if (typeof value !== "boolean") {
+        errors.push({ field: "sitePitch", message: `Pitch for ${host} must be on or off.` });
+        continue;
+      }
+      sites[host] = value;
+    }
+    return sites;
+  }
+
+  /**
+   * Where the on-video controls were dragged on each site ({ [hostname]: { x, y } }): fractions
+   * (0–1) of the free space across and down the video. Sites without one use indicatorPosition.
+   */
+  function normalizeOverlayPositions(raw, errors = []) {
+    const sites = {};
+    if (!raw || typeof raw !== "object") return sites;
+    for (const [key, value] of Object.entries(raw)) {
+      const host = normalizeHost(key);
+      if (!host) {
+        errors.push({ field: "overlayPositions", message: `"${key}" is not a valid site.` });
+        continue;
+      }
+      const x = Number(value && value.x);
+      const y = Number(value && value.y);
+      if (!(x >= 0 && x <= 1) || !(y >= 0 && y <= 1)) {
+        errors.push({ field: "overlayPositions", message: `The controls position for ${host} was unreadable and was reset.` });
+        continue;
+      }
+      sites[host] = { x: Math.round(x * 1000) / 1000, y: Math.round(y * 1000) / 1000 };
+    }
+    return sites;
+  }
+
+  /**
+   * Preset speeds, clamped and de-duplicated in the user's order; invalid entries are dropped.
+   */
+  function normalizePresets(raw, defaults, errors = []) {
+    if (!Array.isArray(raw)) {
+      if (raw !== undefined) errors.push({ field: "speedPresets", message: "Presets must be a list of speeds." });
+      return defaults;
+    }
+    const speeds = [];
+    for (const value of raw) {
+      const problem = speedError(value, "Each preset");
+      if (problem) errors.push({ field: "speedPresets", message: problem });
+      if (typeof value === "number" && !Number.isNaN(value)) speeds.push(clampSpeed(value));
+    }
+    const presets = [...new Set(speeds)];
+    if (presets.length > PRESETS_MAX) {
+      errors.push({ field: "speedPresets", message: `Up to ${PRESETS_MAX} presets; the last ones were dropped.` });
+    }
+    if (presets.length === 0) {
+      errors.push({ field: "speedPresets", message: "Add at least one preset; using the defaults." });
+      return defaults;
+    }
+    return presets.slice(0, PRESETS_MAX);
+  }
+
+  /**
+   * Bounded numbers ({ ...limits }): clamped to their limits and rounded to 0.01, fields in
+   * `integers` to whole numbers. Missing ones take the default.
+   */
+  function normalizeLimited(raw, defaults, limits, messages, errorField, errors, integers = []) {
+    const source = raw && typeof raw === "object" ? raw : {};
+    const result = {};
+    for (const [field, { min, max }] of Object.entries(limits)) {
+      const value = source[field];
+      if (value === undefined) {
+        result[field] = defaults[field];
+        continue;
+      }
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        errors.push({ field: errorField, message: messages[field] });
+        result[field] = defaults[field];
+        continue;
+      }
+      if (value < min || value > max) errors.push({ field: errorField, message: messages[field] });
+      const clamped = Math.max(min, Math.min(max, value));
+      result[field] = integers.includes(field) ? Math.round(clamped) : Math.round(clamped * 100) / 100;
+    }
+    return result;
+  }
+
+  /**
+   * An on/off feature with bounded numbers ({ enabled, ...limits }), see normalizeLimited.
+   */
+  function normalizeFeature(raw, defaults, limits, messages, errorField, errors, integers = []) {
+    const enabled = raw && typeof raw === "object" && typeof raw.enabled === "boolean" ? raw.enabled : defaults.enabled;
+    return { enabled, ...normalizeLimited(raw, defaults, limits, messages, errorField, errors, integers) };
+  }
+
+  /**
+   * Silence skipping: { enabled, threshold (dBFS), minSilenceMs, speed }.
+   */
+  function normalizeSilenceSkip(raw, defaults, errors = []) {
+    const messages = {
+      threshold: `Silence threshold must be between ${SILENCE_LIMITS.threshold.min} and ${SILENCE_LIMITS.threshold.max} dB.`,
+      minSilenceMs: `Minimum silence must be between ${SILENCE_LIMITS.minSilenceMs.min} and ${SILENCE_LIMITS.minSilenceMs.max} ms.`,
+      speed: `Silence speed must be between ${SILENCE_LIMITS.speed.min}x and ${SILENCE_LIMITS.speed.max}x.`,
+    };
+    return normalizeFeature(raw, defaults, SILENCE_LIMITS, messages, "silenceSkip", errors, ["minSilenceMs"]);
+  }
+
+  /**
+   * Live catch-up: { enabled, maxSpeed (x), edgeSeconds }.
+   */
+  function normalizeLiveCatchUp(raw, defaults, errors = []) {
+    const messages = {
+      maxSpeed: `Catch-up speed must be between ${LIVE_LIMITS.maxSpeed.min}x and ${LIVE_LIMITS.maxSpeed.max}x.`,
+      edgeSeconds: `Live edge distance must be between ${LIVE_LIMITS.edgeSeconds.min} and ${LIVE_LIMITS.edgeSeconds.max} seconds.`,
+    };
+    return normalizeFeature(raw, defaults, LIVE_LIMITS, messages, "liveCatchUp", errors);
+  }
+
+  /**
+   * Speed ramp: { enabled, startSpeed, targetSpeed, by ("time" | "percent"), minutes, percent }.
+   */
+  function normalizeSpeedRamp(raw, defaults, errors = []) {
+    const messages = {
+      startSpeed: `Ramp start speed must be between ${SPEED_MIN}x and ${SPEED_MAX}x.`,
+      targetSpeed: `Ramp target speed must be between ${SPEED_MIN}x and ${SPEED_MAX}x.`,
+      minutes: `Ramp length must be between ${RAMP_LIMITS.minutes.min} and ${RAMP_LIMITS.minutes.max} minutes.`,
+      percent: `Ramp length must be between ${RAMP_LIMITS.percent.min}% and ${RAMP_LIMITS.percent.max}% of the video.`,
+    };
+    const ramp = normalizeFeature(raw, defaults, RAMP_LIMITS, messages, "speedRamp", errors);
+    const by = raw && typeof raw === "object" ? raw.by : undefined;
+    ramp.by = RAMP_MODES.includes(by) ? by : defaults.by;
+    if (by !== undefined && ramp.by !== by) errors.push({ field: "speedRamp", message: "Unknown ramp length; using minutes." });
+    return ramp;
+  }
+
+  /**
+   * Caption-based speed: { targetWpm, minSpeed, maxSpeed }; a lowest speed above the
+   * highest is reported and the two are swapped.
+   */
+  function normalizeAdaptiveSpeed(raw, defaults, errors = []) {
+    const messages = {
+      targetWpm: `Target must be between ${ADAPTIVE_LIMITS.targetWpm.min} and ${ADAPTIVE_LIMITS.targetWpm.max} words per minute.`,
+      minSpeed: `Lowest caption speed must be between ${SPEED_MIN}x and ${SPEED_MAX}x.`,
+      maxSpeed: `Highest caption speed must be between ${SPEED_MIN}x and ${SPEED_MAX}x.`,
+    };
+    const adaptive = normalizeLimited(raw, defaults, ADAPTIVE_LIMITS, messages, "adaptiveSpeed", errors, ["targetWpm"]);
+    if (adaptive.minSpeed > adaptive.maxSpeed) {
+      errors.push({ field: "adaptiveSpeed", message: "The lowest speed was above the highest; they were swapped." });
+      [adaptive.minSpeed, adaptive.maxSpeed] = [adaptive.maxSpeed, adaptive.minSpeed];
+    }
+    return adaptive;
+  }
+
+  /**
+   * Indicator look: { fontSize, opacity, theme, decimals, autoHide, hideSeconds }.
+   */
+  function normalizeIndicatorAppearance(raw, defaults, errors = []) {
+    const messages = {
+      fontSize: `Indicator text size must be between ${APPEARANCE_LIMITS.fontSize.min} and ${APPEARANCE_LIMITS.fontSize.max} px.`,
+      opacity: `Indicator opacity must be between ${APPEARANCE_LIMITS.opacity.min * 100}% and 100%.`,
+      decimals: "The indicator shows one or two decimals.",
+      hideSeconds: `Auto-hide delay must be between ${APPEARANCE_LIMITS.hideSeconds.min} and ${APPEARANCE_LIMITS.hideSeconds.max} seconds.`,
+    };
+    const source = raw && typeof raw === "object" ? raw : {};
+    const appearance = normalizeLimited(raw, defaults, APPEARANCE_LIMITS, messages, "indicatorAppearance", errors, [
+      "fontSize",
+      "decimals",
+    ]);
+    appearance.theme = Object.keys(INDICATOR_THEMES).includes(source.theme) ? source.theme : defaults.theme;
+    if (source.theme !== undefined && appearance.theme !== source.theme) {
+      errors.push({ field: "indicatorAppearance", message: "Unknown indicator colours; using dark." });
+    }
+    appearance.autoHide = typeof source.autoHide === "boolean" ? source.autoHide : defaults.autoHide;
+    return appearance;
+  }
+
+  /**
+   * Schema steps, oldest first. Each receives a copy of the blob as the previous version
+   * left it and returns it in its own version's shape. validateSettings() fills in and
+   * checks every field afterwards, so a step only converts data validation would drop.
+   */
+  const MIGRATIONS = [
+    {
+      // 1.0.0 held speed, saveSpeed, showIndicator and indicatorPosition, and the popup
+      // accepted a numeric string speed and any truthy saveSpeed. Everything since (site
+      // rules, key bindings, presets, per-site lists…) was added on top of it.
+      version: "2.0.0",
+      up(raw) {
+        if (typeof raw.speed === "string" && raw.speed.trim() !== "" && !Number.isNaN(Number(raw.speed))) {
+          raw.speed = Number(raw.speed);
+        }
+        if (raw.saveSpeed !== undefined && typeof raw.saveSpeed !== "boolean") raw.saveSpeed = Boolean(raw.saveSpeed);
+        return raw;
+      },
+    },
+  ];
+
+  /**
+   * -1, 0 or 1 for two "major.minor.patch" versions; missing parts count as 0.
+   */
+  function compareVersions(a, b) {
+    const left = String(a).split(".").map(Number);
+    const right = String(b).split(".").map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff > 0 ? 1 : -1;
+    }
+    return 0;
+  }
+
+  /**
+   * Schema version a stored blob was written by. Blobs without a readable one predate
+   * versioning and count as 1.0.0.
+   */
+  function settingsVersionOf(raw) {
+    const version = raw && typeof raw === "object" ? raw.version : undefined;
+    return typeof version === "string" && /^\d+(\.\d+)*$/.test(version) ? version : "1.0.0";
+  }
+
+  /**
+   * Run the steps between the blob's version and this one on a copy of it.
+   */
+  function upgradeSchema(raw) {
+    const from = settingsVersionOf(raw);
+    let upgraded = { ...raw };
+    for (const step of MIGRATIONS) {
+      if (compareVersions(step.version, from) > 0 && compareVersions(step.version, SETTINGS_VERSION) <= 0) {
+        upgraded = step.up(upgraded);
+      }
+    }
+    return upgraded;
+  }
+
+  /**
+   * Normalize stored or edited settings to the current schema.
+   * @returns {{ settings: object, errors: Array<{ field: string, message: string }> }}
+   */
+  function validateSettings(stored) {
+    const defaults = getDefaultSettings();
+    if (!stored || typeof stored !== "object") return { settings: defaults, errors: [] };
+    const raw = upgradeSchema(stored);
+    const errors = [];
+    const has = (field) => raw[field] !== undefined;
+
+    let speed = defaults.speed;
+    if (has("speed")) {
+      const problem = speedError(raw.speed, "Default speed");
+      if (problem) errors.push({ field: "speed", message: problem });
+      if (typeof raw.speed === "number" && !Number.isNaN(raw.speed)) speed = clampSpeed(raw.speed);
+    }
+
+    const indicatorPosition = INDICATOR_POSITIONS.includes(raw.indicatorPosition) ? raw.indicatorPosition : defaults.indicatorPosition;
+    if (has("indicatorPosition") && indicatorPosition !== raw.indicatorPosition) {
+      errors.push({ field: "indicatorPosition", message: "Unknown indicator position; using top left." });
+    }
+
+    const indicatorMode = INDICATOR_MODES.includes(raw.indicatorMode) ? raw.indicatorMode : defaults.indicatorMode;
+    if (has("indicatorMode") && indicatorMode !== raw.indicatorMode) {
+      errors.push({ field: "indicatorMode", message: "Unknown indicator display; showing the speed only." });
+    }
+
+    const targetMode = TARGET_MODES.includes(raw.targetMode) ? raw.targetMode : defaults.targetMode;
+    if (has("targetMode") && targetMode !== raw.targetMode) {
+      errors.push({ field: "targetMode", message: "Unknown targeting mode; using the main video." });
+    }
+
+    let seekSeconds = defaults.seekSeconds;
+    if (has("seekSeconds")) {
+      const value = raw.seekSeconds;
+      const message = `Seek interval must be between ${SEEK_LIMITS.min} and ${SEEK_LIMITS.max} seconds.`;
+      if (typeof value !== "number" || Number.isNaN(value) || value < SEEK_LIMITS.min || value > SEEK_LIMITS.max) {
+        errors.push({ field: "seekSeconds", message });
+      }
+      if (typeof value === "number" && !Number.isNaN(value)) {
+        seekSeconds = Math.round(Math.max(SEEK_LIMITS.min, Math.min(SEEK_LIMITS.max, value)) * 10) / 10;
+      }
+    }
+
+    let preferredSpeed = defaults.preferredSpeed;
+    if (has("preferredSpeed")) {
+      const problem = speedError(raw.preferredSpeed, "Preferred speed");
+      if (problem) errors.push({ field: "preferredSpeed", message: problem });
+      if (typeof raw.preferredSpeed === "number" && !Number.isNaN(raw.preferredSpeed)) preferredSpeed = clampSpeed(raw.preferredSpeed);
+    }
+
+    const speedSteps = SpeedTuneBindings.normalizeSteps(raw.speedSteps);
+    if (raw.speedSteps && typeof raw.speedSteps === "object") {
+      for (const size of ["small", "large"]) {
+        const step = Number(raw.speedSteps[size]);
+        if (raw.speedSteps[size] !== undefined && !(step >= SpeedTuneBindings.STEP_MIN && step <= SpeedTuneBindings.STEP_MAX)) {
+          errors.push({
+            field: "speedSteps",
+            message: `Step sizes must be between ${SpeedTuneBindings.STEP_MIN}x and ${SpeedTuneBindings.STEP_MAX}x.`,
+          });
+          break;
+        }
+      }
+    }
+
+    const settings = {
+      speed,
+      saveSpeed: typeof raw.saveSpeed === "boolean" ? raw.saveSpeed : defaults.saveSpeed,
+      showIndicator: raw.showIndicator !== false,
+      indicatorPosition,
+      indicatorMode,
+      indicatorAppearance: normalizeIndicatorAppearance(raw.indicatorAppearance, defaults.indicatorAppearance, errors),
+      indicatorControls: typeof raw.indicatorControls === "boolean" ? raw.indicatorControls : defaults.indicatorControls,
+      overlayPositions: normalizeOverlayPositions(raw.overlayPositions, errors),
+      siteProfiles: normalizeSiteProfiles(raw.siteProfiles, errors),
+      preservesPitch: typeof raw.preservesPitch === "boolean" ? raw.preservesPitch : defaults.preservesPitch,
+      sitePitch: normalizeSitePitch(raw.sitePitch, errors),
+      targetMode,
+      keyBindings: SpeedTuneBindings.normalizeBindings(raw.keyBindings),
+      speedSteps,
+      shortcutsDisabledSites: SpeedTuneBindings.normalizeSiteList(raw.shortcutsDisabledSites).map(normalizeHost).filter(Boolean),
+      seekSeconds,
+      preferredSpeed,
+      speedPresets: normalizePresets(raw.speedPresets, defaults.speedPresets, errors),
+      silenceSkip: normalizeSilenceSkip(raw.silenceSkip, defaults.silenceSkip, errors),
+      liveCatchUp: normalizeLiveCatchUp(raw.liveCatchUp, defaults.liveCatchUp, errors),
+      speedRamp: normalizeSpeedRamp(raw.speedRamp, defaults.speedRamp, errors),
+      adaptiveSpeed: normalizeAdaptiveSpeed(raw.adaptiveSpeed, defaults.adaptiveSpeed, errors),
+      adaptiveSpeedSites: SpeedTuneBindings.normalizeSiteList(raw.adaptiveSpeedSites).map(normalizeHost).filter(Boolean),
+      disabledSites: SpeedTuneBindings.normalizeSiteList(raw.disabledSites).map(normalizeHost).filter(Boolean),
+      allowlistOnly: typeof raw.allowlistOnly === "boolean" ? raw.allowlistOnly : defaults.allowlistOnly,
+      allowedSites: SpeedTuneBindings.normalizeSiteList(raw.allowedSites).map(normalizeHost).filter(Boolean),
+      version: SETTINGS_VERSION,
+    };
+
+    if (compareVersions(settingsVersionOf(stored), SETTINGS_VERSION) > 0) {
+      // Written by a newer version: keep what this one can't read for when it comes back,
+      // both unknown fields and known ones holding values this version rejects
+      const rejected = new Set(errors.map((error) => error.field));
+      for (const [field, value] of Object.entries(stored)) {
+        if (!(field in settings) || rejected.has(field)) settings[field] = value;
+      }
+      settings.version = stored.version;
+    }
+    return { settings, errors };
+  }
+
+  /**
+   * Migrate/normalize stored settings to current schema.
+   */
+  function migrateSettings(raw) {
+    return validateSettings(raw).settings;
+  }
+
+  /** Per-site maps merged host by host on import; the file wins for hosts in both. */
+  const SITE_MAP_FIELDS = ["siteProfiles", "sitePitch", "overlayPositions"];
+  /** Site lists combined on import. */
+  const SITE_LIST_FIELDS = ["shortcutsDisabledSites", "adaptiveSpeedSites", "disabledSites", "allowedSites"];
+
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  }
+
+  /**
+   * Export file contents for the given settings.
+   */
+  function createSettingsFile(settings) {
+    const file = {
+      format: EXPORT_FORMAT,
+      exportVersion: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: migrateSettings(settings),
+    };
+    return `${JSON.stringify(file, null, 2)}\n`;
+  }
+
+  /**
+   * Read an exported file (or a bare settings object). Never throws.
+   * @returns {{ raw: object|null, exportedAt: string, errors: Array<{ field: string, message: string }> }}
+   *   raw is the file's settings as written: pass it to validateSettings() or mergeSettings().
+   */
+  function readSettingsFile(text) {
+    const fail = (message) => ({ raw: null, exportedAt: "", errors: [{ field: "file", message }] });
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return fail("This file isn't valid JSON.");
+    }
+    if (!isPlainObject(data)) return fail("This file doesn't contain Speed Tune settings.");
+    if (data.format === undefined) {
+      // A bare settings blob, e.g. copied out of storage before exports existed
+      const known = Object.keys(getDefaultSettings());
+      if (!Object.keys(data).some((field) => known.includes(field))) return fail("This file doesn't contain Speed Tune settings.");
+      return { raw: data, exportedAt: "", errors: [] };
+    }
+    if (data.format !== EXPORT_FORMAT || !isPlainObject(data.settings)) return fail("This file doesn't contain Speed Tune settings.");
+    if (typeof data.exportVersion === "number" && data.exportVersion > EXPORT_VERSION) {
+      return fail("This file was exported by a newer version of Speed Tune. Update the extension, then import it again.");
+    }
+    return { raw: data.settings, exportedAt: typeof data.exportedAt === "string" ? data.exportedAt : "", errors: [] };
+  }
+
+  /**
+   * Combine imported settings with the current ones: only fields present in the file
+   * change, site rules and site lists are added to rather than replaced, and grouped
+   * settings (key bindings, indicator look, silence skipping…) change part by part.
+   * @returns {{ settings: object, errors: Array<{ field: string, message: string }> }}
+   *   errors describe corrections made to the file's values.
+   */
+  function mergeSettings(current, raw) {
+    const base = migrateSettings(current);
+    const incoming = validateSettings(raw);
+    if (!isPlainObject(raw)) return { settings: base, errors: incoming.errors };
+
+    const merged = { ...base };
+    for (const field of Object.keys(base)) {
+      if (field === "version" || raw[field] === undefined) continue;
+      const value = incoming.settings[field];
+      if (SITE_MAP_FIELDS.includes(field)) {
+        merged[field] = { ...base[field], ...value };
+      } else if (SITE_LIST_FIELDS.includes(field)) {
+        merged[field] = Array.from(new Set([...base[field], ...value]));
+      } else if (isPlainObject(base[field]) && isPlainObject(raw[field])) {
+        merged[field] = { ...base[field] };
+        for (const key of Object.keys(raw[field])) {
+          if (key in value) merged[field][key] = value[key];
+        }
+      } else {
+        merged[field] = value;
+      }
+    }
+    return { settings: validateSettings(merged).settings, errors: incoming.errors };
+  }
+
+  /**
+   * What changes between two normalized settings objects: one entry per plain setting,
+   * or per site / action / part for site rules, site lists and grouped settings.
+   * For site lists, before/after say whether the site (key) is on the list.
+   * @returns {Array<{ field: string, key: string|null, before: *, after: * }>}
+   */
+  function diffSettings(before, after) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const changes = [];
+    for (const field of Object.keys(getDefaultSettings())) {
+      if (field === "version") continue;
+      const a = before[field];
+      const b = after[field];
+      if (same(a, b)) continue;
+      if (SITE_LIST_FIELDS.includes(field)) {
+        for (const host of new Set([...a, ...b])) {
+          if (a.includes(host) !== b.includes(host)) changes.push({ field, key: host, before: a.includes(host), after: b.includes(host) });
+        }
+      } else if (isPlainObject(a) && isPlainObject(b)) {
+        for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+          if (!same(a[key], b[key])) changes.push({ field, key, before: a[key], after: b[key] });
+        }
+      } else {
+        changes.push({ field, key: null, before: a, after: b });
+      }
+    }
+    return changes;
+  }
+
+  const global = typeof globalThis !== "undefined" ? globalThis : typeof self !== "undefined" ? self : typeof window !== "undefined" ? window : this;
+  global.SpeedTuneSettings = {
+    SETTINGS_VERSION,
+    BACKUP_KEY,
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    SPEED_MIN,
+    SPEED_MAX,
+    INDICATOR_POSITIONS,
+    INDICATOR_MODES,
+    APPEARANCE_LIMITS,
+    INDICATOR_THEMES,
+    TARGET_MODES,
+    SEEK_LIMITS,
+    PRESETS_MAX,
+    SILENCE_LIMITS,
+    LIVE_LIMITS,
+    RAMP_LIMITS,
+    RAMP_MODES,
+    ADAPTIVE_LIMITS,
+    AUDIBLE_RATES,
+    clampSpeed,
+    isAudibleRate,
+    preservesPitchFor,
+    isSiteEnabled,
+    formatIndicatorSpeed,
+    indicatorStyleFor,
+    normalizeHost,
+    getDefaultSettings,
+    compareVersions,
+    settingsVersionOf,
+    validateSettings,
+    migrateSettings,
+    createSettingsFile,
+    readSettingsFile,
+    mergeSettings,
+    diffSettings,
+  };
+})();
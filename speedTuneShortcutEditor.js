@@ -0,0 +1,208 @@
+/**
+ * Speed Tune — Key binding editor (popup and options page)
+ *
+ * Renders the in-page binding table (speedTuneBindings.js) as rows of
+ * click-to-capture key combos with conflict warnings. The owner keeps the
+ * settings and saves them; the editor only reports edits through onChange.
+ *
+ * Needs speedTuneBindings.js and speedTuneSettings.js loaded first.
+ *
+ * Capture: click a combo, then press the new keys. Esc cancels, Backspace or
+ * Delete clears the binding, Tab leaves without changing it.
+ */
+
+(function () {
+  "use strict";
+
+  const ICONS = {
+    increaseSmall: "+",
+    decreaseSmall: "−",
+    increaseLarge: "⏩",
+    decreaseLarge: "⏪",
+    reset: "↻",
+    togglePreferred: "⇄",
+    cyclePresets: "☰",
+    rewind: "«",
+    advance: "»",
+    togglePlay: "⏯",
+  };
+
+  function formatStep(step) {
+    return Number.isInteger(step) ? step.toFixed(1) : String(step);
+  }
+
+  class SpeedTuneShortcutEditor {
+    /**
+     * @param {HTMLElement} container - Element the rows are rendered into
+     * @param {{ onChange: (bindings: object) => void }} options
+     */
+    constructor(container, { onChange }) {
+      this.container = container;
+      this.onChange = onChange;
+      this.bindings = SpeedTuneBindings.getDefaultBindings();
+      this.steps = { ...SpeedTuneBindings.DEFAULT_STEPS };
+      const defaults = SpeedTuneSettings.getDefaultSettings();
+      this.seekSeconds = defaults.seekSeconds;
+      this.preferredSpeed = defaults.preferredSpeed;
+      this.commands = [];
+      /** Action whose binding is being captured, or null. */
+      this.capturingAction = null;
+
+      this.container.addEventListener("click", (e) => {
+        const combo = e.target.closest(".shortcut-combo");
+        if (combo) this.startCapture(combo.dataset.action);
+      });
+      document.addEventListener("keydown", (e) => this.handleCaptureKey(e), true);
+    }
+
+    /**
+     * Re-render with the latest bindings, step sizes, seek interval, preferred speed and browser shortcuts.
+     * @param {{ bindings?: object, steps?: object, seekSeconds?: number, preferredSpeed?: number, commands?: Array }} state
+     */
+    render(state = {}) {
+      if (state.bindings) this.bindings = state.bindings;
+      if (state.steps) this.steps = state.steps;
+      if (typeof state.seekSeconds === "number") this.seekSeconds = state.seekSeconds;
+      if (typeof state.preferredSpeed === "number") this.preferredSpeed = state.preferredSpeed;
+      if (state.commands) this.commands = state.commands;
+
+      const conflicts = SpeedTuneBindings.findConflicts(this.bindings, this.commands);
+      const labels = Object.fromEntries(SpeedTuneBindings.ACTIONS.map(({ id, label }) => [id, label]));
+      const descriptions = {
+        increaseSmall: `Increase by ${formatStep(this.steps.small)}x`,
+        decreaseSmall: `Decrease by ${formatStep(this.steps.small)}x`,
+        increaseLarge: `Increase by ${formatStep(this.steps.large)}x`,
+        decreaseLarge: `Decrease by ${formatStep(this.steps.large)}x`,
+        reset: "Reset to 1.0x",
+        togglePreferred: `Toggle 1.0x / ${formatStep(this.preferredSpeed)}x`,
+        cyclePresets: "Next preset speed",
+        rewind: `Rewind ${this.seekSeconds}s`,
+        advance: `Advance ${this.seekSeconds}s`,
+        togglePlay: "Play / pause",
+      };
+
+      this.container.textContent = "";
+      SpeedTuneBindings.ACTIONS.forEach(({ id }) => {
+        const row = document.createElement("div");
+        row.className = "shortcut-row";
+
+        const visual = document.createElement("div");
+        visual.className = "shortcut-visual";
+        const arrow = document.createElement("span");
+        arrow.className = "speed-arrow";
+        arrow.textContent = ICONS[id] || "•";
+        const text = document.createElement("span");
+        text.className = "speed-text";
+        text.textContent = descriptions[id] || labels[id];
+        visual.append(arrow, text);
+
+        const parts = SpeedTuneBindings.formatBinding(this.bindings[id]);
+        const combo = this.createCombo(id, parts);
+        combo.setAttribute("aria-label", `${labels[id]}: ${parts.length ? parts.join(" + ") : "not set"}. Click to change.`);
+        row.append(visual, combo);
+
+        (conflicts[id] || []).forEach((conflict) => {
+          const warning = document.createElement("div");
+          warning.className = "shortcut-conflict";
+          warning.textContent =
+            conflict.type === "duplicate"
+              ? `Same keys as “${labels[conflict.action]}”.`
+              : `Browser shortcut “${conflict.description}” uses these keys, so they won't reach the page.`;
+          row.appendChild(warning);
+        });
+
+        this.container.appendChild(row);
+      });
+    }
+
+    /**
+     * Key combo button: the keys, "Not set", or the capture prompt.
+     */
+    createCombo(action, parts) {
+      const combo = document.createElement("button");
+      combo.type = "button";
+      combo.className = "shortcut-combo";
+      combo.dataset.action = action;
+      const capturing = this.capturingAction === action;
+      combo.classList.toggle("capturing", capturing);
+
+      if (capturing) {
+        const prompt = document.createElement("span");
+        prompt.className = "shortcut-prompt";
+        prompt.textContent = "Press keys…";
+        combo.appendChild(prompt);
+        combo.title = "Esc to cancel, Backspace to clear";
+      } else if (parts.length === 0) {
+        const unbound = document.createElement("span");
+        unbound.className = "shortcut-unbound";
+        unbound.textContent = "Not set";
+        combo.appendChild(unbound);
+        combo.title = "Click to set keys";
+      } else {
+        parts.forEach((part, index) => {
+          if (index > 0) {
+            const plus = document.createElement("span");
+            plus.className = "key-plus";
+            plus.textContent = "+";
+            combo.appendChild(plus);
+          }
+          const key = document.createElement("kbd");
+          key.className = "simple-key";
+          key.textContent = part;
+          combo.appendChild(key);
+        });
+        combo.title = "Click to change";
+      }
+      return combo;
+    }
+
+    /**
+     * Start capturing keys for an action (clicking the same row again cancels).
+     */
+    startCapture(action) {
+      this.capturingAction = this.capturingAction === action ? null : action;
+      this.render();
+      const combo = this.container.querySelector(`.shortcut-combo[data-action="${action}"]`);
+      if (combo) combo.focus();
+    }
+
+    cancelCapture() {
+      this.capturingAction = null;
+      this.render();
+    }
+
+    /**
+     * While capturing: Esc cancels, Backspace/Delete unbinds, any other key (with modifiers) binds.
+     */
+    handleCaptureKey(e) {
+      if (!this.capturingAction) return;
+      const plain = !e.ctrlKey && !e.altKey && !e.metaKey && !e.shiftKey;
+      if (plain && e.key === "Tab") {
+        this.cancelCapture();
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (plain && e.key === "Escape") {
+        this.cancelCapture();
+        return;
+      }
+      if (plain && (e.key === "Backspace" || e.key === "Delete")) {
+        this.setBinding(this.capturingAction, null);
+        return;
+      }
+      const binding = SpeedTuneBindings.bindingFromEvent(e);
+      if (binding) this.setBinding(this.capturingAction, binding);
+    }
+
+    setBinding(action, binding) {
+      this.bindings = { ...this.bindings, [action]: binding };
+      this.capturingAction = null;
+      this.render();
+      this.onChange(this.bindings);
+    }
+  }
+
+  window.SpeedTuneShortcutEditor = SpeedTuneShortcutEditor;
+})();
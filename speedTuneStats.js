@@ -0,0 +1,164 @@
+/**
+ * Speed Tune — Watch-time statistics (MV3 production)
+ *
+ * Schema and helpers for the local usage statistics: how much media time was
+ * watched at each speed on each site, per day. Loaded by background.js
+ * (importScripts), which is the only writer, and by stats.html (<script>).
+ *
+ * Stored in chrome.storage.local (never synced, never sent anywhere):
+ *   speedTuneStats  { version, days: { "YYYY-MM-DD": { [host]: { [bucket]: { media, wall } } } } }
+ *
+ * media = seconds of the video/audio timeline played, wall = real seconds it took.
+ * Time saved is media - wall (negative below 1x). Speeds are bucketed to 0.25x.
+ */
+
+(function () {
+  "use strict";
+
+  const STATS_KEY = "speedTuneStats";
+  const STATS_VERSION = 1;
+  /** Days kept; older days are dropped when new time is recorded. */
+  const RETENTION_DAYS = 365;
+  const BUCKET_SIZE = 0.25;
+
+  function createEmptyStats() {
+    return { version: STATS_VERSION, days: {} };
+  }
+
+  /**
+   * Local calendar day ("2026-03-14") for a timestamp.
+   */
+  function dayKey(time = Date.now()) {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Speed bucket key: nearest 0.25x, e.g. 1.8 -> "1.75".
+   */
+  function bucketSpeed(speed) {
+    return String(Math.round(speed / BUCKET_SIZE) * BUCKET_SIZE);
+  }
+
+  /**
+   * Keep only well-formed entries; anything unreadable starts over empty.
+   */
+  function normalizeStats(raw) {
+    const stats = createEmptyStats();
+    if (!raw || typeof raw !== "object" || !raw.days || typeof raw.days !== "object") return stats;
+    for (const [day, sites] of Object.entries(raw.days)) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !sites || typeof sites !== "object") continue;
+      for (const [host, buckets] of Object.entries(sites)) {
+        if (!buckets || typeof buckets !== "object") continue;
+        for (const [bucket, entry] of Object.entries(buckets)) {
+          const media = Number(entry && entry.media);
+          const wall = Number(entry && entry.wall);
+          if (!(media >= 0) || !(wall >= 0) || Number.isNaN(Number(bucket))) continue;
+          const daySites = (stats.days[day] = stats.days[day] || {});
+          (daySites[host] = daySites[host] || {})[bucket] = { media, wall };
+        }
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Add watched time to stats (mutates and returns it), dropping days past retention.
+   * @param {{ day: string, host: string, speed: number, media: number, wall: number }} sample
+   */
+  function addWatchTime(stats, { day, host, speed, media, wall }) {
+    if (!(media > 0) || !(wall > 0) || !(speed > 0)) return stats;
+    const site = host || "(local files)";
+    const bucket = bucketSpeed(speed);
+    const sites = (stats.days[day] = stats.days[day] || {});
+    const buckets = (sites[site] = sites[site] || {});
+    const entry = (buckets[bucket] = buckets[bucket] || { media: 0, wall: 0 });
+    entry.media = Math.round((entry.media + media) * 1000) / 1000;
+    entry.wall = Math.round((entry.wall + wall) * 1000) / 1000;
+
+    const cutoff = dayKey(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    for (const key of Object.keys(stats.days)) {
+      if (key < cutoff) delete stats.days[key];
+    }
+    return stats;
+  }
+
+  /**
+   * Flat rows, one per day/site/speed bucket, newest day first.
+   * @param {string} sinceDay - Only days on or after this key ("" = all)
+   * @returns {Array<{ day: string, host: string, speed: number, media: number, wall: number, saved: number }>}
+   */
+  function toRows(stats, sinceDay = "") {
+    const rows = [];
+    for (const day of Object.keys(stats.days).sort().reverse()) {
+      if (day < sinceDay) break;
+      for (const [host, buckets] of Object.entries(stats.days[day])) {
+        for (const [bucket, { media, wall }] of Object.entries(buckets)) {
+          rows.push({ day, host, speed: Number(bucket), media, wall, saved: media - wall });
+        }
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Totals overall and grouped by day (newest first), site (most watched first) and
+   * speed bucket (slowest first). Groups are [{ key, media, wall, saved }].
+   */
+  function summarize(stats, sinceDay = "") {
+    const rows = toRows(stats, sinceDay);
+    const total = { media: 0, wall: 0, saved: 0 };
+    const groups = { day: new Map(), host: new Map(), speed: new Map() };
+    for (const row of rows) {
+      total.media += row.media;
+      total.wall += row.wall;
+      total.saved += row.saved;
+      for (const field of ["day", "host", "speed"]) {
+        const group = groups[field].get(row[field]) || { key: row[field], media: 0, wall: 0, saved: 0 };
+        group.media += row.media;
+        group.wall += row.wall;
+        group.saved += row.saved;
+        groups[field].set(row[field], group);
+      }
+    }
+    return {
+      total,
+      byDay: Array.from(groups.day.values()).sort((a, b) => (a.key < b.key ? 1 : -1)),
+      bySite: Array.from(groups.host.values()).sort((a, b) => b.media - a.media),
+      bySpeed: Array.from(groups.speed.values()).sort((a, b) => a.key - b.key),
+    };
+  }
+
+  function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * CSV export: one line per day/site/speed bucket, times in seconds.
+   */
+  function toCSV(stats) {
+    const lines = ["date,site,speed,media_seconds,watch_seconds,saved_seconds"];
+    for (const row of toRows(stats)) {
+      const seconds = (value) => value.toFixed(1);
+      lines.push([row.day, csvField(row.host), row.speed, seconds(row.media), seconds(row.wall), seconds(row.saved)].join(","));
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  const global = typeof globalThis !== "undefined" ? globalThis : typeof self !== "undefined" ? self : typeof window !== "undefined" ? window : this;
+  global.SpeedTuneStats = {
+    STATS_KEY,
+    STATS_VERSION,
+    RETENTION_DAYS,
+    createEmptyStats,
+    dayKey,
+    bucketSpeed,
+    normalizeStats,
+    addWatchTime,
+    toRows,
+    summarize,
+    toCSV,
+  };
+})();
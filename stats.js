@@ -0,0 +1,207 @@
+/**
+ * Speed Tune - Statistics Page
+ *
+ * Handles:
+ * - Totals and per-day / per-site / per-speed breakdowns of watched time
+ *   (speedTuneStats.js, written by the service worker)
+ * - CSV / JSON export as a file download
+ * - Clearing the statistics (through the service worker, which writes them)
+ *
+ * Everything is read from chrome.storage.local and exported through a local
+ * download; nothing is sent anywhere. Open tabs keep recording while this page
+ * is open, and the page refreshes as they do.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// SPEED TUNE STATS PAGE CLASS
+// ============================================================================
+
+class SpeedTuneStatsPage {
+  constructor() {
+    // State
+    this.stats = SpeedTuneStats.createEmptyStats();
+    /** Days shown ("all" or a number of days including today). */
+    this.range = "30";
+
+    // Initialize
+    this.initElements();
+    this.bindEvents();
+    this.loadStats();
+    this.setupStorageListener();
+  }
+
+  // ========================================================================
+  // INITIALIZATION
+  // ========================================================================
+
+  initElements() {
+    this.elements = {
+      rangeSelect: document.getElementById("rangeSelect"),
+      savedTotal: document.getElementById("savedTotal"),
+      mediaTotal: document.getElementById("mediaTotal"),
+      wallTotal: document.getElementById("wallTotal"),
+      averageSpeed: document.getElementById("averageSpeed"),
+      statsEmpty: document.getElementById("statsEmpty"),
+      dayRows: document.getElementById("dayRows"),
+      siteRows: document.getElementById("siteRows"),
+      speedRows: document.getElementById("speedRows"),
+      exportCsvBtn: document.getElementById("exportCsvBtn"),
+      exportJsonBtn: document.getElementById("exportJsonBtn"),
+      clearBtn: document.getElementById("clearBtn"),
+    };
+  }
+
+  loadStats() {
+    chrome.storage.local.get([SpeedTuneStats.STATS_KEY], (result) => {
+      if (chrome.runtime.lastError) {
+        console.error("[SpeedTune Stats] Error loading statistics:", chrome.runtime.lastError);
+      } else {
+        this.stats = SpeedTuneStats.normalizeStats(result[SpeedTuneStats.STATS_KEY]);
+      }
+      this.render();
+    });
+  }
+
+  setupStorageListener() {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== "local" || !changes[SpeedTuneStats.STATS_KEY]) return;
+      this.stats = SpeedTuneStats.normalizeStats(changes[SpeedTuneStats.STATS_KEY].newValue);
+      this.render();
+    });
+  }
+
+  bindEvents() {
+    const { elements } = this;
+    elements.rangeSelect.addEventListener("change", (e) => {
+      this.range = e.target.value;
+      this.render();
+    });
+    elements.exportCsvBtn.addEventListener("click", () => {
+      this.download(`speed-tune-stats-${SpeedTuneStats.dayKey()}.csv`, SpeedTuneStats.toCSV(this.stats), "text/csv");
+    });
+    elements.exportJsonBtn.addEventListener("click", () => {
+      this.download(`speed-tune-stats-${SpeedTuneStats.dayKey()}.json`, JSON.stringify(this.stats, null, 2), "application/json");
+    });
+    elements.clearBtn.addEventListener("click", () => this.clearStats());
+  }
+
+  // ========================================================================
+  // DATA
+  // ========================================================================
+
+  /**
+   * Save a file through the browser's download UI (no network, no extra permission).
+   */
+  download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * The service worker clears them, after any watch time it is still writing (which would
+   * otherwise put the old statistics back).
+   */
+  clearStats() {
+    if (!window.confirm("Delete all Speed Tune watch statistics from this browser? This can't be undone.")) return;
+    chrome.runtime.sendMessage({ type: SpeedTuneProtocol.MESSAGES.CLEAR_STATS }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.ok) {
+        console.error("[SpeedTune Stats] Error clearing statistics:", chrome.runtime.lastError || (response && response.error));
+        return;
+      }
+      this.stats = SpeedTuneStats.createEmptyStats();
+      this.render();
+    });
+  }
+
+  // ========================================================================
+  // RENDERING
+  // ========================================================================
+
+  /**
+   * "2h 05m", "12m", "45s"; negative durations (time lost below 1x) keep their sign.
+   */
+  formatDuration(seconds) {
+    const sign = seconds < 0 ? "−" : "";
+    const total = Math.round(Math.abs(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    if (h > 0) return `${sign}${h}h ${String(m).padStart(2, "0")}m`;
+    if (m > 0) return `${sign}${m}m`;
+    return `${sign}${total}s`;
+  }
+
+  formatDay(key) {
+    const [year, month, day] = key.split("-").map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric", year: "numeric" });
+  }
+
+  render() {
+    const { elements } = this;
+    const sinceDay = this.range === "all" ? "" : SpeedTuneStats.dayKey(Date.now() - (Number(this.range) - 1) * DAY_MS);
+    const { total, byDay, bySite, bySpeed } = SpeedTuneStats.summarize(this.stats, sinceDay);
+
+    elements.savedTotal.textContent = this.formatDuration(total.saved);
+    elements.mediaTotal.textContent = this.formatDuration(total.media);
+    elements.wallTotal.textContent = this.formatDuration(total.wall);
+    elements.averageSpeed.textContent = total.wall > 0 ? `${(total.media / total.wall).toFixed(2)}x` : "–";
+    elements.statsEmpty.hidden = total.media > 0;
+
+    this.renderRows(elements.dayRows, byDay, (key) => this.formatDay(key));
+    this.renderRows(elements.siteRows, bySite, (key) => key);
+    this.renderRows(elements.speedRows, bySpeed, (key) => `${key}x`);
+  }
+
+  /**
+   * Table body for one grouping, with a bar showing each row's share of watched time.
+   */
+  renderRows(tbody, groups, formatKey) {
+    tbody.textContent = "";
+    const largest = Math.max(0, ...groups.map((group) => group.media));
+    groups.forEach((group) => {
+      const row = document.createElement("tr");
+
+      const keyCell = document.createElement("td");
+      keyCell.className = "stats-host";
+      keyCell.textContent = formatKey(group.key);
+
+      const mediaCell = document.createElement("td");
+      mediaCell.className = "num";
+      mediaCell.textContent = this.formatDuration(group.media);
+
+      const savedCell = document.createElement("td");
+      savedCell.className = "num";
+      savedCell.classList.toggle("negative", group.saved < 0);
+      savedCell.textContent = this.formatDuration(group.saved);
+
+      const shareCell = document.createElement("td");
+      shareCell.className = "share-cell";
+      const bar = document.createElement("div");
+      bar.className = "share-bar";
+      bar.style.width = `${largest > 0 ? Math.max(2, (group.media / largest) * 100) : 0}%`;
+      shareCell.appendChild(bar);
+
+      row.append(keyCell, mediaCell, savedCell, shareCell);
+      tbody.appendChild(row);
+    });
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener("DOMContentLoaded", () => {
+  new SpeedTuneStatsPage();
+});